@@ -0,0 +1,460 @@
+#!/usr/bin/env node
+/* cli.js - run a tournament from the terminal
+   The store is a JSON file in the export format of index.html, so a file made here
+   can be imported in the browser and an exported backup can be played on here.
+
+   node cli.js create <file> [--name NAME] [--teams "A,B,..."] [--groups 6] [--per-group 4]
+                             [--qualify 2] [--best-thirds 4] [--double] [--tiebreak uefa|fifa|simple]
+                             [--legs r16,qf,sf] [--away-goals] [--seed SEED] [--force]
+                             [--league [--matches 8] [--pots 4] [--direct 8] [--playoff 16]]
+   node cli.js fixtures <file> [--round N]
+   node cli.js result <file> <home> <score> <away> [--et H-A] [--pens H-A]
+   node cli.js results <file> <text-file>
+   node cli.js standings <file>
+   node cli.js bracket <file>
+   node cli.js odds <file> [--runs 2000] [--seed SEED]
+   node cli.js check <file> [--repair]
+   node cli.js share <file> [--base URL] [--page groups.html|knockout.html]
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+const EfEngine = require('./engine.js');
+
+const USAGE = `Usage:
+  node cli.js create <file> [--name NAME] [--teams "A,B,..."] [--groups 6] [--per-group 4]
+                            [--qualify 2] [--best-thirds 4] [--double] [--tiebreak uefa|fifa|simple]
+                            [--legs r16,qf,sf] [--away-goals] [--seed SEED] [--force]
+                            [--league [--matches 8] [--pots 4] [--direct 8] [--playoff 16]]
+  node cli.js fixtures <file> [--round N]
+  node cli.js result <file> <home> <score> <away> [--et H-A] [--pens H-A]
+  node cli.js results <file> <text-file>
+  node cli.js standings <file>
+  node cli.js bracket <file>
+  node cli.js odds <file> [--runs 2000] [--seed SEED]
+  node cli.js check <file> [--repair]
+  node cli.js share <file> [--base URL] [--page groups.html|knockout.html]
+
+Scores are written "2-1". A result goes to the first unplayed group match or knockout
+tie between the two teams; when they have played already, the latest meeting is edited.
+--league plays one table instead of groups: every team meets --matches opponents, each
+matchday paired from the pots and the table once the one before is finished. The top
+--direct go straight into the knockout, the next --playoff meet in play-offs first.
+--legs names the two-legged knockout rounds (r32, r16, qf, sf, final). The first leg
+of such a tie is entered with the hosts first ("result cup.json AWAY 1-0 HOME"), the
+second leg the other way round; --et and --pens then belong to the second leg.
+"results" reads one group result per line ("REAL MADRID 2-1 BARCA" or CSV) and applies
+every line it can match as one step.
+"check" lists what in the file disagrees with itself (duplicate or orphan matches, a
+stale round counter, a bracket that does not follow the standings); --repair fixes
+what it can and keeps every result that still fits.
+"share" prints a link that shows the tables and the bracket read-only in a browser;
+--base is the address the pages are served from (the link is relative without it).`;
+
+const FLAGS = ['double', 'force', 'away-goals', 'repair', 'league', 'help'];
+
+// positional arguments plus --name value / --flag options
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') { options.help = true; continue; }
+    if (!arg.startsWith('--')) { args.push(arg); continue; }
+    const key = arg.slice(2);
+    if (FLAGS.includes(key)) options[key] = true;
+    else if (i + 1 < argv.length) options[key] = argv[++i];
+    else throw new Error(`--${key} needs a value.`);
+  }
+  return { args, options };
+}
+
+function parseScore(text, what = 'score') {
+  const match = /^(\d+)-(\d+)$/.exec(String(text || '').trim());
+  if (!match) throw new Error(`The ${what} must look like 2-1, got "${text}".`);
+  return [Number(match[1]), Number(match[2])];
+}
+
+function parseCount(options, key, fallback) {
+  if (options[key] === undefined) return fallback;
+  const value = Number(options[key]);
+  if (!Number.isInteger(value)) throw new Error(`--${key} must be a whole number.`);
+  return value;
+}
+
+// teams.js is a browser script with top-level consts, so it is run in a sandbox
+function loadDefaultTeams() {
+  const source = fs.readFileSync(path.join(__dirname, 'teams.js'), 'utf8');
+  return vm.runInNewContext(`${source}\n;({ teams, teamInfo })`);
+}
+
+/* ------------------------
+   Store
+   ------------------------ */
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read ${file}: ${err.code === 'ENOENT' ? 'no such file' : 'not valid JSON'}.`);
+  }
+}
+
+function readStore(file) {
+  const data = readJsonFile(file);
+  try {
+    return EfEngine.readState(data);
+  } catch (err) {
+    throw new Error(`${file} is not a usable tournament:\n- ${err.message}\nRun "node cli.js check ${file} --repair" to fix what can be fixed.`);
+  }
+}
+
+function writeStore(file, state) {
+  const data = { ...state, schemaVersion: EfEngine.SCHEMA_VERSION, exportedAt: new Date().toISOString() };
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+/* ------------------------
+   Printing
+   ------------------------ */
+const pad = (value, width) => String(value).padEnd(width);
+const padLeft = (value, width) => String(value).padStart(width);
+// results refer to team ids; what is printed is the profile name
+const nameOf = (state, team) => (team ? EfEngine.teamName(state.config, team) : 'TBD');
+
+function printStandings(state) {
+  const config = state.config;
+  const sorted = EfEngine.computeStandings(state);
+  const best = EfEngine.getBestFourThirds(state, sorted);
+  const bestTeams = best.qualified.map(t => t.team);
+  const width = Math.max(4, ...state.groups.flat().map(t => nameOf(state, t).length));
+  const league = EfEngine.isLeague(config);
+  sorted.forEach((rows, gi) => {
+    console.log(EfEngine.groupTitle(config, gi));
+    console.log(`  #  ${pad('Team', width)}   P   W   D   L  GF  GA  GD Pts`);
+    rows.forEach(r => {
+      const through = r.position <= config.qualifyPerGroup;
+      const mark = league && through && r.position > config.leagueDirect ? 'p'
+        : through ? 'Q' : (bestTeams.includes(r.team) ? 'q' : ' ');
+      const numbers = [r.played, r.w, r.d, r.l, r.gf, r.ga, r.gd, r.pts].map(n => padLeft(n, 3)).join(' ');
+      const note = r.tiebreak ? `  (${r.tiebreak})` : '';
+      console.log(`${mark} ${r.position}  ${pad(nameOf(state, r.team), width)} ${numbers}${note}`);
+    });
+    console.log('');
+  });
+  if (config.bestThirds > 0) {
+    console.log(`Best ${EfEngine.ordinal(config.qualifyPerGroup + 1)}-placed: ${best.all.map(t => `${nameOf(state, t.team)} (${t.group})`).join(', ') || '-'}`);
+    console.log(`Q = qualified, q = through as one of the best ${config.bestThirds}`);
+  }
+  if (EfEngine.leagueByes(config)) console.log('Q = straight into the knockout, p = into the play-offs');
+}
+
+function printBracket(state) {
+  const bracket = state.knockout;
+  if (!EfEngine.hasKnockout(bracket)) {
+    const played = state.matches.filter(m => m.status === 'played').length;
+    console.log(`Knockout stage not generated yet (${played}/${EfEngine.totalGroupMatches(state.config)} group matches played).`);
+    return;
+  }
+  EfEngine.KO_ROUNDS.forEach(key => {
+    const ties = bracket[key] || [];
+    if (!ties.length) return;
+    console.log(EfEngine.knockoutRoundLabel(state.config, key));
+    ties.forEach(t => {
+      if (t.bye) {
+        console.log(`  ${pad(t.id, 6)} ${pad(nameOf(state, t.home), 18)} bye`);
+        return;
+      }
+      console.log(`  ${pad(t.id, 6)} ${pad(nameOf(state, t.home), 18)} ${pad(EfEngine.formatKnockoutScore(t), 28)} ${nameOf(state, t.away)}`);
+    });
+    console.log('');
+  });
+  if (bracket.champion) console.log(`Champion: ${nameOf(state, bracket.champion)}`);
+}
+
+function printFixtures(state, round) {
+  const matches = state.matches.filter(m => round == null || m.round === round);
+  if (!matches.length) {
+    console.log('No matches scheduled.');
+    return;
+  }
+  matches.forEach(m => {
+    const score = m.status === 'played' ? `${m.homeGoals} - ${m.awayGoals}` : 'vs';
+    console.log(`R${m.round} ${m.groupName}  ${pad(nameOf(state, m.home), 18)} ${pad(score, 7)} ${nameOf(state, m.away)}`);
+  });
+}
+
+function printOdds(state, options) {
+  const runs = parseCount(options, 'runs', EfEngine.SIMULATION_RUNS);
+  if (runs < 1) throw new Error('--runs must be at least 1.');
+  const seed = EfEngine.normalizeSeed(options.seed || EfEngine.newSeed());
+  const odds = EfEngine.simulateTournament(state, { runs, seed });
+  const percent = (p) => padLeft(p ? `${(p * 100).toFixed(1)}%` : '-', 7);
+  const width = Math.max(4, ...Object.keys(odds.teams).map(t => nameOf(state, t).length));
+  const later = odds.rounds.slice(1);
+  const labels = ['Group', 'Qualify', ...later.map(key => EfEngine.KO_PREFIX[key]), 'Cup'];
+  console.log(`${runs} runs, seed ${seed}`);
+  console.log(`${pad('Team', width)}  G ${labels.map(l => padLeft(l, 7)).join(' ')}`);
+  Object.entries(odds.teams)
+    .sort((a, b) => b[1].champion - a[1].champion || b[1].qualify - a[1].qualify)
+    .forEach(([team, t]) => {
+      const numbers = [t.groupWin, t.qualify, ...later.map(key => t.reach[key]), t.champion].map(percent).join(' ');
+      console.log(`${pad(nameOf(state, team), width)}  ${t.group} ${numbers}`);
+    });
+}
+
+/* ------------------------
+   Commands
+   ------------------------ */
+function create(file, options) {
+  if (!file) throw new Error('Name the file to create.');
+  if (fs.existsSync(file) && !options.force) throw new Error(`${file} already exists; pass --force to replace it.`);
+  const defaults = loadDefaultTeams();
+  const list = options.teams ? options.teams.split(',').map(t => t.trim().toUpperCase()).filter(Boolean) : defaults.teams;
+  const config = {
+    ...EfEngine.defaultConfig(list, defaults.teamInfo),
+    groupCount: parseCount(options, 'groups', 6),
+    teamsPerGroup: parseCount(options, 'per-group', 4),
+    qualifyPerGroup: parseCount(options, 'qualify', 2),
+    bestThirds: parseCount(options, 'best-thirds', 4),
+    doubleRoundRobin: !!options.double,
+    tiebreakPreset: options.tiebreak || 'uefa',
+    knockoutLegs: {},
+    awayGoals: !!options['away-goals']
+  };
+  if (options.league) {
+    Object.assign(config, {
+      format: 'league',
+      leagueMatches: parseCount(options, 'matches', 8),
+      leaguePots: parseCount(options, 'pots', 4),
+      leagueDirect: parseCount(options, 'direct', 8),
+      leaguePlayoff: parseCount(options, 'playoff', 16)
+    });
+  }
+  (options.legs ? options.legs.split(',') : []).map(key => key.trim().toLowerCase()).filter(Boolean)
+    .forEach(key => { config.knockoutLegs[key] = 2; });
+  const problems = EfEngine.validateConfig(config);
+  if (problems.length) throw new Error(`Tournament setup is incomplete:\n- ${problems.join('\n- ')}`);
+
+  const state = EfEngine.createState(config, options.name || 'EFOOTBALL CUP');
+  const seed = EfEngine.normalizeSeed(options.seed || EfEngine.newSeed());
+  if (!EfEngine.drawTournament(state, seed)) {
+    throw new Error('No valid draw exists with these teams and separation rules.');
+  }
+  // the terminal has no "Generate Next Round" button, so every matchday is scheduled up front;
+  // a league only has its first one, the others are paired as results come in
+  const scheduled = EfEngine.isLeague(config) ? 1 : EfEngine.roundsPerGroup(config);
+  for (let round = 1; round <= scheduled; round++) EfEngine.scheduleRound(state, round);
+  writeStore(file, state);
+  console.log(`Created "${state.name}" in ${file} (draw seed ${seed}).`);
+  if (EfEngine.isLeague(config)) {
+    EfEngine.getPots(state.config).forEach((pot, i) => console.log(`  Pot ${i + 1}: ${pot.map(t => nameOf(state, t)).join(', ')}`));
+    return;
+  }
+  state.groups.forEach((group, gi) => console.log(`  Group ${EfEngine.groupLetter(gi)}: ${group.map(t => nameOf(state, t)).join(', ')}`));
+}
+
+// a league's next matchday, once the last one is finished; a failed pairing keeps the results
+function pairNextMatchday(state, file) {
+  try {
+    if (EfEngine.pairNextLeagueRound(state)) {
+      console.log(`Matchday ${state.generatedRounds} paired. Run "node cli.js fixtures ${file} --round ${state.generatedRounds}".`);
+    }
+  } catch (err) {
+    console.error(`Warning: ${err.message}`);
+  }
+}
+
+// "Group stage complete, Round of 16 drawn."
+function knockoutDrawnMessage(state, bracket, file) {
+  const first = EfEngine.KO_ROUNDS.find(key => bracket[key].length);
+  const stage = EfEngine.isLeague(state.config) ? 'League phase' : 'Group stage';
+  return `${stage} complete, ${EfEngine.knockoutRoundLabel(state.config, first)} drawn. Run "node cli.js bracket ${file}".`;
+}
+
+// the match or tie the result is meant for: unplayed first, else the latest meeting;
+// the first leg of a two-legged tie is hosted by its away side, so it meets reversed.
+// Teams can be typed by id, current name or short code.
+function findFixture(state, homeText, awayText) {
+  const teams = state.groups.flat();
+  const home = EfEngine.findTeamId(state.config, teams, homeText) || homeText;
+  const away = EfEngine.findTeamId(state.config, teams, awayText) || awayText;
+  const same = (a, b) => String(a || '').toUpperCase() === String(b || '').toUpperCase();
+  const meets = (m) => same(m.home, home) && same(m.away, away);
+  const groupMatches = state.matches.filter(meets);
+  const allTies = state.knockout ? EfEngine.KO_ROUNDS.flatMap(key => state.knockout[key] || []) : [];
+  const ties = allTies.filter(meets);
+  const firstLegs = allTies.filter(t => EfEngine.isTwoLegged(t) && same(t.home, away) && same(t.away, home));
+  const open = groupMatches.find(m => m.status !== 'played');
+  if (open) return { match: open };
+  const openFirstLeg = firstLegs.find(t => !t.firstLeg);
+  if (openFirstLeg) return { tie: openFirstLeg, leg: 1 };
+  const openTie = ties.find(t => t.status !== 'played');
+  if (openTie) return { tie: openTie };
+  if (ties.length) return { tie: ties[ties.length - 1] };
+  if (firstLegs.length) return { tie: firstLegs[firstLegs.length - 1], leg: 1 };
+  if (groupMatches.length) return { match: groupMatches[groupMatches.length - 1] };
+  return null;
+}
+
+function result(file, [home, scoreText, away], options) {
+  if (!home || !scoreText || !away) throw new Error('Usage: node cli.js result <file> <home> <score> <away>');
+  const state = readStore(file);
+  const [homeGoals, awayGoals] = parseScore(scoreText);
+  const found = findFixture(state, home, away);
+  if (!found) throw new Error(`${home} and ${away} have no match with ${home} at home.`);
+
+  if (found.tie) {
+    const tie = found.tie;
+    let score;
+    if (found.leg === 1) {
+      // typed from the hosts' side; a second leg already in is kept as it is
+      score = { firstLeg: { homeGoals: awayGoals, awayGoals: homeGoals }, homeGoals: null, awayGoals: null };
+      if (tie.status === 'played') {
+        ['homeGoals', 'awayGoals', 'etHomeGoals', 'etAwayGoals', 'penHome', 'penAway'].forEach(key => { score[key] = tie[key] || 0; });
+      }
+    } else {
+      const [etHomeGoals, etAwayGoals] = options.et ? parseScore(options.et, 'extra time score') : [0, 0];
+      const [penHome, penAway] = options.pens ? parseScore(options.pens, 'penalty score') : [0, 0];
+      score = { homeGoals, awayGoals, etHomeGoals, etAwayGoals, penHome, penAway };
+    }
+    EfEngine.setKnockoutResult(state.knockout, tie.id, score);
+    writeStore(file, state);
+    console.log(`${tie.id}: ${nameOf(state, tie.home)} ${EfEngine.formatKnockoutScore(tie)} ${nameOf(state, tie.away)}`);
+    if (state.knockout.champion) console.log(`Champion: ${nameOf(state, state.knockout.champion)}`);
+    return;
+  }
+
+  const m = found.match;
+  const step = EfEngine.changeResult(state, m.id, { homeGoals, awayGoals, events: [], status: 'played' });
+  if (!step) {
+    console.log('Nothing changed.');
+    return;
+  }
+  console.log(`${m.groupName} R${m.round}: ${nameOf(state, m.home)} ${homeGoals} - ${awayGoals} ${nameOf(state, m.away)}`);
+  if (EfEngine.isLeague(state.config)) pairNextMatchday(state, file);
+  const drawn = EfEngine.ensureKnockout(state);
+  if (drawn) {
+    console.log(knockoutDrawnMessage(state, drawn, file));
+  } else if (EfEngine.hasKnockout(state.knockout)) {
+    const pool = EfEngine.knockoutQualifiers(state);
+    const first = EfEngine.KO_ROUNDS.find(key => state.knockout[key].length);
+    const lineUp = state.knockout[first].flatMap(t => [t.home, t.away]).join('|');
+    if (!pool || EfEngine.knockoutPairs(pool, EfEngine.knockoutFormat(state.config)).flat().join('|') !== lineUp) {
+      console.error('Warning: the knockout was drawn from the earlier group results and no longer matches them.');
+    }
+  }
+  writeStore(file, state);
+}
+
+function results(file, [textFile]) {
+  if (!textFile) throw new Error('Usage: node cli.js results <file> <text-file>');
+  const state = readStore(file);
+  let text;
+  try {
+    text = fs.readFileSync(textFile, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read ${textFile}.`);
+  }
+  const entries = EfEngine.matchPastedResults(state, text);
+  entries.forEach(e => {
+    const what = e.matchId ? `${nameOf(state, e.home)} ${e.homeGoals} - ${e.awayGoals} ${nameOf(state, e.away)}` : e.text;
+    const note = e.message ? ` (${e.message})` : '';
+    console.log(`${padLeft(e.line, 4)}  ${pad(EfEngine.PASTE_STATUS[e.status], 16)} ${what}${note}`);
+  });
+  const step = EfEngine.applyPastedResults(state, entries);
+  if (!step) {
+    console.log('Nothing changed.');
+    return;
+  }
+  console.log(`${step.steps.length} result${step.steps.length === 1 ? '' : 's'} saved.`);
+  if (EfEngine.isLeague(state.config)) pairNextMatchday(state, file);
+  const drawn = EfEngine.ensureKnockout(state);
+  if (drawn) console.log(knockoutDrawnMessage(state, drawn, file));
+  writeStore(file, state);
+}
+
+// lists the integrity issues; exits with 1 while any are left
+function check(file, options) {
+  // only migrated: validation would refuse exactly the files this is for
+  const state = EfEngine.migrateState(readJsonFile(file));
+  const print = (issues) => issues.forEach(issue => {
+    const fix = issue.repair ? EfEngine.INTEGRITY_REPAIRS[issue.repair].label : 'no automatic repair';
+    console.log(`- ${issue.message} [${fix}]`);
+  });
+  let issues = EfEngine.diagnoseState(state);
+  if (!issues.length) {
+    console.log('No problems found.');
+    return;
+  }
+  print(issues);
+  if (options.repair) {
+    const applied = EfEngine.repairAll(state);
+    if (applied.length) writeStore(file, state);
+    console.log(`${applied.length} repair${applied.length === 1 ? '' : 's'} applied.`);
+    issues = EfEngine.diagnoseState(state);
+    if (issues.length) {
+      console.log('Still wrong:');
+      print(issues);
+    }
+  }
+  if (issues.length) process.exitCode = 1;
+}
+
+// the same link as the Share button: #snapshot= 'z' + base64url of the deflated JSON
+function share(file, options) {
+  const state = readStore(file);
+  const page = options.page || 'groups.html';
+  if (!['groups.html', 'knockout.html'].includes(page)) throw new Error('--page must be groups.html or knockout.html.');
+  const data = EfEngine.snapshotOf(state, state.name);
+  const packed = zlib.deflateRawSync(Buffer.from(JSON.stringify(data))).toString('base64url');
+  const base = options.base ? options.base.replace(/\/?$/, '/') : '';
+  console.log(`${base}${page}#snapshot=z${packed}`);
+}
+
+function main(argv) {
+  const { args, options } = parseArgs(argv);
+  const [command, file, ...rest] = args;
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  switch (command) {
+    case 'create':
+      return create(file, options);
+    case 'fixtures':
+      return printFixtures(readStore(file), options.round ? parseCount(options, 'round') : null);
+    case 'result':
+      return result(file, rest, options);
+    case 'results':
+      return results(file, rest);
+    case 'standings': {
+      const state = readStore(file);
+      const lots = Object.keys(state.lots || {}).length;
+      printStandings(state);
+      // a lot drawn to split a tie has to stay the same next time
+      if (Object.keys(state.lots).length !== lots) writeStore(file, state);
+      return;
+    }
+    case 'bracket':
+      return printBracket(readStore(file));
+    case 'odds':
+      return printOdds(readStore(file), options);
+    case 'check':
+      return check(file, options);
+    case 'share':
+      return share(file, options);
+    default:
+      console.log(USAGE);
+      if (command && command !== 'help') process.exitCode = 1;
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exitCode = 1;
+}
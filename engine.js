@@ -0,0 +1,2728 @@
+/* engine.js - tournament logic without a browser
+   Everything here works on a plain tournament state, the same shape as an export file:
+   { schemaVersion, name, config, groups, matches, generatedRounds, knockout, lots, history, draws }
+   - seeded randomness, config checks, pot draw, round-robin schedule
+   - standings with tiebreaker presets, best thirds, match events & suspensions
+   - knockout bracket builder, results & progression
+   - team ratings and a Monte Carlo simulation of the fixtures left to play
+   - qualification scenarios for the group matches left to play
+   - fixture calendar (kickoff slots per venue with rest times) and iCalendar export
+   - result changes with undo / redo history, schema migrations & validation
+   Functions that take a state change it in place. Nothing here reads the DOM or
+   localStorage: script.js maps the state onto storage, cli.js onto a JSON file.
+   Loaded as a classic script it defines window.EfEngine; in Node it is a CommonJS module.
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.EfEngine = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  'use strict';
+
+  /* ------------------------
+     Seeded randomness
+     a seed string is hashed (FNV-1a) into the state of a mulberry32 generator,
+     so the same seed and the same inputs always give the same draw
+     ------------------------ */
+  const normalizeSeed = (seed) => String(seed).trim().toUpperCase();
+  const newSeed = () => Math.random().toString(36).slice(2, 10).toUpperCase();
+
+  function createRng(seed) {
+    const str = normalizeSeed(seed);
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 16777619);
+    }
+    let a = h >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  const shuffle = (arr, rng = Math.random) => {
+    const a = arr.slice();
+    for (let i = a.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [a[i], a[j]] = [a[j], a[i]];
+    }
+    return a;
+  };
+
+  const ordinal = (n) => {
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+  };
+
+  const groupLetter = (groupIndex) => String.fromCharCode(65 + groupIndex);
+
+  /* ------------------------
+     Tournament config
+     { teams, groupCount, teamsPerGroup, qualifyPerGroup, bestThirds, doubleRoundRobin, tiebreakPreset,
+       pots, teamMeta, drawConstraints, ratings, calendar, knockoutLegs, awayGoals,
+       format, leagueMatches, leaguePots, leagueDirect, leaguePlayoff }
+     a league (format 'league') is stored as one group holding every team, see "League phase"
+     ------------------------ */
+  const KNOCKOUT_SIZES = [2, 4, 8, 16, 32];
+
+  function defaultConfig(teams = [], teamMeta = {}) {
+    return {
+      teams: teams.slice(),
+      groupCount: 6,
+      teamsPerGroup: 4,
+      qualifyPerGroup: 2,
+      bestThirds: 4,
+      doubleRoundRobin: false,
+      tiebreakPreset: 'uefa',
+      pots: null, // [[team, ...], ...] one list per pot; null = teams in list order
+      teamMeta: { ...teamMeta }, // team id -> profile, see "Team profiles"
+      drawConstraints: { country: true, confederation: false },
+      ratings: {}, // team -> strength entered by hand, 1 = average; see "Simulation"
+      calendar: defaultCalendarSettings(), // see "Fixture calendar"
+      knockoutLegs: {}, // round key -> 1 or 2, a round left out is a one-off; see "Knockout results"
+      awayGoals: false, // two-legged ties level on aggregate go to the side with more away goals
+      format: 'groups', // 'groups' | 'league'
+      leagueMatches: 8, // matches per team in a league
+      leaguePots: 4, // seeding pots a league team meets an even share of
+      leagueDirect: 8, // top of the table straight into the knockout
+      leaguePlayoff: 16 // the next places meet in a knockout play-off; 0 = none
+    };
+  }
+
+  const isLeague = (config) => !!config && config.format === 'league';
+
+  // a league with a play-off round gives the top places a bye through it
+  const leagueByes = (config) => isLeague(config) && config.leaguePlayoff > 0;
+
+  function knockoutSize(config) {
+    if (isLeague(config)) return leagueByes(config) ? config.leagueDirect * 4 : config.leagueDirect;
+    return config.groupCount * config.qualifyPerGroup + config.bestThirds;
+  }
+
+  // an odd group gets a bye seat, so it needs as many matchdays as it has teams
+  function roundsPerGroup(config) {
+    if (isLeague(config)) return config.leagueMatches;
+    const n = config.teamsPerGroup;
+    const single = n % 2 === 0 ? n - 1 : n;
+    return config.doubleRoundRobin ? single * 2 : single;
+  }
+
+  function totalGroupMatches(config) {
+    if (isLeague(config)) return config.teams.length * config.leagueMatches / 2;
+    const perLeg = config.groupCount * config.teamsPerGroup * (config.teamsPerGroup - 1) / 2;
+    return config.doubleRoundRobin ? perLeg * 2 : perLeg;
+  }
+
+  // "Group C", or the league's one table
+  const groupTitle = (config, groupIndex) => (isLeague(config) ? 'League Phase' : `Group ${groupLetter(groupIndex)}`);
+
+  // returns a list of problems, empty when the config can be played
+  function validateConfig(config) {
+    if (isLeague(config)) return validateLeagueConfig(config);
+    const problems = [];
+    const { teams: list, groupCount, teamsPerGroup, qualifyPerGroup, bestThirds } = config;
+    const ints = { groupCount, teamsPerGroup, qualifyPerGroup, bestThirds };
+    Object.keys(ints).forEach(k => {
+      if (!Number.isInteger(ints[k]) || ints[k] < 0) problems.push(`${k} must be a whole number.`);
+    });
+    if (problems.length) return problems;
+
+    const seen = new Set();
+    list.forEach(t => {
+      const key = t.trim().toUpperCase();
+      if (seen.has(key)) problems.push(`Duplicate team: ${t}`);
+      seen.add(key);
+    });
+    if (groupCount < 1) problems.push('At least one group is needed.');
+    if (teamsPerGroup < 2) problems.push('Groups need at least 2 teams.');
+    if (list.length !== groupCount * teamsPerGroup) {
+      problems.push(`${groupCount} groups of ${teamsPerGroup} need ${groupCount * teamsPerGroup} teams, got ${list.length}.`);
+    }
+    if (qualifyPerGroup < 1 || qualifyPerGroup >= teamsPerGroup) {
+      problems.push(`Qualifiers per group must be between 1 and ${teamsPerGroup - 1}.`);
+    }
+    if (bestThirds >= groupCount && bestThirds > 0) {
+      problems.push(`Best ${ordinal(qualifyPerGroup + 1)}-placed qualifiers must be fewer than the number of groups.`);
+    }
+    problems.push(...commonConfigProblems(config));
+    return problems;
+  }
+
+  // the checks groups and leagues share
+  function commonConfigProblems(config) {
+    const problems = [];
+    if (!TIEBREAK_PRESETS[config.tiebreakPreset]) {
+      problems.push(`Unknown tiebreaker preset: ${config.tiebreakPreset}`);
+    }
+    if (!KNOCKOUT_SIZES.includes(knockoutSize(config))) {
+      problems.push(`The knockout needs ${KNOCKOUT_SIZES.join(', ')} qualifiers, got ${knockoutSize(config)}.`);
+    }
+    problems.push(...validateTeamProfiles(config));
+    Object.keys(config.knockoutLegs || {}).forEach(key => {
+      if (!KO_LABELS[key]) problems.push(`Unknown knockout round: ${key}`);
+      else if (![1, 2].includes(config.knockoutLegs[key])) problems.push(`The ${KO_LABELS[key]} must be played over 1 or 2 legs.`);
+    });
+    return problems;
+  }
+
+  function validateLeagueConfig(config) {
+    const problems = [];
+    const { teams: list, leagueMatches, leaguePots, leagueDirect, leaguePlayoff } = config;
+    const ints = { leagueMatches, leaguePots, leagueDirect, leaguePlayoff };
+    Object.keys(ints).forEach(k => {
+      if (!Number.isInteger(ints[k]) || ints[k] < 0) problems.push(`${k} must be a whole number.`);
+    });
+    if (problems.length) return problems;
+
+    const seen = new Set();
+    list.forEach(t => {
+      const key = t.trim().toUpperCase();
+      if (seen.has(key)) problems.push(`Duplicate team: ${t}`);
+      seen.add(key);
+    });
+    // every team plays on every matchday
+    if (list.length < 4 || list.length % 2) problems.push(`A league needs an even number of teams, at least 4, got ${list.length}.`);
+    // past half the league a Swiss pairing can run out of teams not met yet;
+    // everyone against everyone is one group
+    if (leagueMatches < 1 || leagueMatches > list.length / 2) {
+      problems.push(`Matches per team must be between 1 and ${Math.max(1, Math.floor(list.length / 2))}.`);
+    }
+    if (leaguePots < 1 || list.length % leaguePots) problems.push(`${list.length} teams cannot be split into ${leaguePots} equal pots.`);
+    if (leaguePlayoff && leaguePlayoff !== leagueDirect * 2) {
+      problems.push(`The play-off needs twice as many teams as go straight through (${leagueDirect * 2}), or none.`);
+    }
+    if (leagueDirect + leaguePlayoff > list.length) {
+      problems.push(`${leagueDirect + leaguePlayoff} teams go through, but the league only has ${list.length}.`);
+    }
+    problems.push(...commonConfigProblems(config));
+    return problems;
+  }
+
+  // a league fills in the group fields as one group of everyone, top leagueDirect + leaguePlayoff
+  // through, so code written for groups reads its table without asking which format it is
+  function fitLeagueShape(config) {
+    if (!isLeague(config)) return config;
+    return Object.assign(config, {
+      groupCount: 1,
+      teamsPerGroup: config.teams.length,
+      qualifyPerGroup: config.leagueDirect + config.leaguePlayoff,
+      bestThirds: 0,
+      doubleRoundRobin: false
+    });
+  }
+
+  // a state with a config but no groups yet
+  function createState(config, name = 'EFOOTBALL CUP') {
+    fitLeagueShape(config);
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      name,
+      config,
+      groups: [],
+      matches: [],
+      generatedRounds: 0,
+      knockout: null,
+      lots: {},
+      history: null,
+      draws: [],
+      calendar: {}
+    };
+  }
+
+  /* ------------------------
+     Team profiles
+     a team's id is the name it was entered with. Groups, matches (and their ids),
+     the knockout, ratings and lots all refer to it, so it never changes; renaming
+     a team only changes what is shown. config.teamMeta[id] holds the profile:
+     { name, short, crest, primary, secondary, country, confederation, owner },
+     every field optional. crest is a data: URL or an image file next to the pages.
+     ------------------------ */
+  function teamMetaOf(config, team) {
+    return { ...((config.teamMeta || {})[team] || {}) };
+  }
+
+  const TEAM_COLOURS = ['#ff2b91', '#2b9bff', '#ffb02b', '#2bd9a0', '#a36bff', '#ff5d5d', '#e0e0e0', '#6bd13b'];
+  const COLOUR_PATTERN = /^#[0-9a-f]{6}$/i;
+  const CREST_PATTERN = /^(data:image\/[a-z0-9.+-]+;base64,[a-z0-9+/=]+|[\w\-./ ]+\.(png|jpe?g|gif|svg|webp))$/i;
+
+  // "REAL MADRID" -> "RMA", "BAYERN MUNCHEN" -> "BMU", "PSG" -> "PSG"
+  function shortCode(name) {
+    const words = String(name).toUpperCase().split(/[^A-Z0-9]+/).filter(Boolean);
+    if (!words.length) return '';
+    if (words.length === 1) return words[0].slice(0, 3);
+    if (words.length === 2) return words[0][0] + words[1].slice(0, 2);
+    return words.slice(0, 3).map(w => w[0]).join('');
+  }
+
+  // the same team always gets the same fallback colours
+  function defaultColours(id) {
+    let hash = 0;
+    for (const char of String(id)) hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+    const primary = TEAM_COLOURS[hash % TEAM_COLOURS.length];
+    return { primary, secondary: primary === '#e0e0e0' ? '#2a2a30' : '#ffffff' };
+  }
+
+  // the full profile with every gap filled: { id, name, short, crest, primary, secondary, country, confederation, owner }
+  function teamProfile(config, id) {
+    const meta = teamMetaOf(config, id);
+    const name = String(meta.name || '').trim() || id;
+    const colours = defaultColours(id);
+    return {
+      id,
+      name,
+      short: String(meta.short || '').trim().toUpperCase() || shortCode(name),
+      crest: meta.crest || '',
+      primary: COLOUR_PATTERN.test(meta.primary || '') ? meta.primary : colours.primary,
+      secondary: COLOUR_PATTERN.test(meta.secondary || '') ? meta.secondary : colours.secondary,
+      country: meta.country || '',
+      confederation: meta.confederation || '',
+      owner: String(meta.owner || '').trim()
+    };
+  }
+
+  const teamName = (config, id) => (id == null ? id : teamProfile(config, id).name);
+
+  // the id behind a typed id, display name or short code (any case), or null
+  function findTeamId(config, teams, text) {
+    const typed = String(text || '').trim().toUpperCase();
+    if (!typed) return null;
+    const profiles = teams.map(id => teamProfile(config, id));
+    const hit = profiles.find(p => p.id.toUpperCase() === typed) ||
+      profiles.find(p => p.name.toUpperCase() === typed) ||
+      profiles.find(p => p.short === typed);
+    return hit ? hit.id : null;
+  }
+
+  // problems with the profiles of config.teams: names and typed short codes must tell the teams apart
+  function validateTeamProfiles(config) {
+    const problems = [];
+    const names = new Map();
+    const shorts = new Map();
+    (config.teams || []).forEach(id => {
+      const meta = teamMetaOf(config, id);
+      const p = teamProfile(config, id);
+      const name = p.name.toUpperCase();
+      if (names.has(name)) problems.push(`${names.get(name)} and ${id} are both called ${p.name}.`);
+      names.set(name, id);
+      // a derived code may repeat; one typed in has to be unique
+      if (meta.short) {
+        if (!/^[A-Z0-9]{2,4}$/.test(p.short)) problems.push(`${p.name}: the short code must be 2 to 4 letters or digits.`);
+        else if (shorts.has(p.short)) problems.push(`${shorts.get(p.short)} and ${p.name} share the short code ${p.short}.`);
+        shorts.set(p.short, p.name);
+      }
+      ['primary', 'secondary'].forEach(key => {
+        if (meta[key] && !COLOUR_PATTERN.test(meta[key])) problems.push(`${p.name}: ${key} colour must look like #ff2b91.`);
+      });
+      if (meta.crest && !CREST_PATTERN.test(meta.crest)) problems.push(`${p.name}: the crest must be an image file or a data: URL.`);
+    });
+    return problems;
+  }
+
+  /* ------------------------
+     Pot draw
+     pot p fills slot p of every group. Teams are drawn at random inside a pot
+     and go to the first group (A, B, ...) that has no clash and still lets
+     every team left in the pots find a place - checked by backtracking, so
+     the draw can never get stuck halfway.
+     ------------------------ */
+  // the configured pots when they still match the team list, else the list in order
+  function getPots(config) {
+    const league = isLeague(config);
+    const count = league ? config.leaguePots : config.teamsPerGroup;
+    const size = league ? config.teams.length / count : config.groupCount;
+    const pots = config.pots;
+    const flat = pots ? pots.flat() : [];
+    const valid = pots && pots.length === count &&
+      pots.every(p => p.length === size) &&
+      flat.length === config.teams.length && config.teams.every(t => flat.includes(t));
+    if (valid) return pots.map(p => p.slice());
+    const chunks = [];
+    for (let i = 0; i < count; i++) {
+      chunks.push(config.teams.slice(i * size, i * size + size));
+    }
+    return chunks;
+  }
+
+  function clashes(config, team, group) {
+    const rules = config.drawConstraints || {};
+    const meta = teamMetaOf(config, team);
+    return group.some(other => {
+      const o = teamMetaOf(config, other);
+      if (rules.country && meta.country && meta.country === o.country) return true;
+      if (rules.confederation && meta.confederation && meta.confederation === o.confederation) return true;
+      return false;
+    });
+  }
+
+  // can `queue` (teams in pot order, with their pot index) still be placed?
+  function drawCanComplete(config, groups, queue, from = 0) {
+    if (from >= queue.length) return true;
+    const { team, pot } = queue[from];
+    for (const group of groups) {
+      if (group.length !== pot || clashes(config, team, group)) continue;
+      group.push(team);
+      const ok = drawCanComplete(config, groups, queue, from + 1);
+      group.pop();
+      if (ok) return true;
+    }
+    return false;
+  }
+
+  // returns { groups, steps: [{ team, pot, group }] } or null when no valid draw exists
+  function drawGroups(config, seed) {
+    const rng = createRng(seed);
+    const pots = getPots(config).map(p => shuffle(p, rng));
+    // a league has one table: the draw only orders each pot, which seeds the first matchday
+    if (isLeague(config)) {
+      const steps = pots.flatMap((p, pot) => p.map(team => ({ team, pot: pot + 1, group: 0 })));
+      return { groups: [steps.map(step => step.team)], steps };
+    }
+    const queue = [];
+    pots.forEach((p, pot) => p.forEach(team => queue.push({ team, pot })));
+    const groups = Array.from({ length: config.groupCount }, () => []);
+    if (!drawCanComplete(config, groups, queue)) return null;
+    const steps = [];
+    for (let i = 0; i < queue.length; i++) {
+      const { team, pot } = queue[i];
+      const target = groups.findIndex(group => {
+        if (group.length !== pot || clashes(config, team, group)) return false;
+        group.push(team);
+        const ok = drawCanComplete(config, groups, queue, i + 1);
+        group.pop();
+        return ok;
+      });
+      // cannot happen once the initial check passed, kept as a guard
+      if (target === -1) return null;
+      groups[target].push(team);
+      steps.push({ team, pot: pot + 1, group: target });
+    }
+    return { groups, steps };
+  }
+
+  // new groups wipe everything played so far
+  function startGroupStage(state, groups) {
+    state.groups = groups;
+    state.matches = [];
+    state.generatedRounds = 0;
+    state.knockout = null;
+    state.lots = {};
+    state.history = null;
+    // the plan was made for the old pairings
+    state.calendar = {};
+    return state;
+  }
+
+  // draws the groups from a seed and records it in state.draws: [{ kind: 'group', seed, at }]
+  function drawTournament(state, seed = newSeed()) {
+    const draw = drawGroups(state.config, seed);
+    if (!draw) return null;
+    startGroupStage(state, draw.groups);
+    state.draws = state.draws || [];
+    state.draws.push({ kind: 'group', seed: normalizeSeed(seed), at: new Date().toISOString() });
+    return draw;
+  }
+
+  // the seed of the latest draw of a kind, oldest records come first
+  function currentDrawSeed(state, kind) {
+    const last = (state.draws || []).filter(d => d.kind === kind).pop();
+    return last ? last.seed : null;
+  }
+
+  /* ------------------------
+     Match generation (round-robin, circle method)
+     the first seat stays put while the others rotate one seat per round;
+     odd groups get an empty seat and whoever faces it rests that matchday.
+     home side: of two group positions a < b, a hosts when a + b is odd,
+     which spreads home games evenly. The return legs mirror the first ones.
+     for 4 teams: R1 T1-T2 T3-T4 · R2 T3-T1 T4-T2 · R3 T1-T4 T2-T3
+     ------------------------ */
+  // built from team ids, which a rename leaves alone (see "Team profiles")
+  function mkMatchId(groupIndex, round, home, away) {
+    return `G${groupIndex}_R${round}_${home.replace(/\s+/g, '_')}__VS__${away.replace(/\s+/g, '_')}`;
+  }
+
+  function buildGroupSchedule(group, doubleRoundRobin = false) {
+    const seatsIn = group.length % 2 === 0 ? group.slice() : [...group, null];
+    const n = seatsIn.length;
+    const rest = seatsIn.slice(1);
+    const days = [];
+    for (let r = 1; r <= n - 1; r++) {
+      const shift = r % (n - 1);
+      const seats = [seatsIn[0], ...rest.slice(shift), ...rest.slice(0, shift)];
+      const pairs = [];
+      for (let i = 0; i < n / 2; i++) {
+        const x = seats[i], y = seats[n - 1 - i];
+        if (x === null || y === null) continue;
+        const [a, b] = group.indexOf(x) < group.indexOf(y) ? [x, y] : [y, x];
+        pairs.push((group.indexOf(a) + group.indexOf(b)) % 2 === 1 ? [a, b] : [b, a]);
+      }
+      days.push(pairs);
+    }
+    if (!doubleRoundRobin) return days;
+    return [...days, ...days.map(pairs => pairs.map(([home, away]) => [away, home]))];
+  }
+
+  // teams of a group without a match on the given matchday
+  function restingTeams(group, pairs) {
+    const playing = new Set(pairs.flat());
+    return group.filter(t => !playing.has(t));
+  }
+
+  function makeMatchObj(groupIndex, round, home, away) {
+    return {
+      id: mkMatchId(groupIndex, round, home, away),
+      groupIndex,
+      groupName: groupLetter(groupIndex),
+      round,
+      home,
+      away,
+      homeGoals: null,
+      awayGoals: null,
+      events: [], // see "Match events"
+      status: 'scheduled' // 'scheduled' | 'played'
+    };
+  }
+
+  // adds the matches of one matchday; generating a round twice changes nothing
+  function scheduleRound(state, roundNumber) {
+    const config = state.config;
+    if (!Number.isInteger(roundNumber) || roundNumber < 1 || roundNumber > roundsPerGroup(config)) {
+      throw new Error(`Round must be between 1 and ${roundsPerGroup(config)}.`);
+    }
+    if (!state.groups || !state.groups.length) throw new Error('Create groups first.');
+    if (isLeague(config)) return scheduleLeagueRound(state, roundNumber);
+    const matches = state.matches || [];
+    state.groups.forEach((group, gi) => {
+      if (!group || group.length < 2) return;
+      const pairs = buildGroupSchedule(group, config.doubleRoundRobin)[roundNumber - 1] || [];
+      pairs.map(([home, away]) => makeMatchObj(gi, roundNumber, home, away)).forEach(c => {
+        if (!matches.find(m => m.id === c.id)) matches.push(c);
+      });
+    });
+    state.matches = matches;
+    state.generatedRounds = roundNumber;
+    return matches;
+  }
+
+  /* ------------------------
+     League phase (Swiss system)
+     state.groups holds the one league table in draw order, pot 1 first. A matchday
+     is only paired once the one before it is complete, from the table (the draw
+     order for the first one). The rules, strongest first:
+     1. no rematches
+     2. home and away stay level: two teams with a home game too many never meet,
+        the one with fewer home games hosts, the higher placed one when level
+     3. nobody meets more than its share of a pot (leagueMatches / leaguePots, rounded up)
+     4. teams close in the table meet
+     A backtracking search pairs the teams with the fewest options first. A pot share
+     gives way when the matchday cannot be made whole otherwise, the home and away
+     balance only when nothing else is left. The hosts of the second to last matchday
+     are picked so the last one can still give every team the pot it needs.
+     ------------------------ */
+  // gives up on a set of rules after this many placements, so a large league cannot hang
+  const LEAGUE_SEARCH_LIMIT = 2000;
+  // the same for each look at the last matchday (see scheduleLeagueRound)
+  const LEAGUE_LOOKAHEAD_LIMIT = 200;
+
+  // a league match says "League" where a group match names its group
+  const leagueMatchObj = (round, home, away) => ({ ...makeMatchObj(0, round, home, away), groupName: 'League' });
+
+  // [[a, b], ...] covering every team in `order`, or null; a comes before b in `order`.
+  // allowed(a, b) must hold for every pair; cheaper pairs (cost(a, b), lowest first) and
+  // then the nearest team in the table are tried first. The team with the fewest cheap
+  // opponents left goes first, so the pairs that are hard to make are made early
+  function pairLeagueRound(order, allowed, cost, limit = LEAGUE_SEARCH_LIMIT) {
+    const rank = new Map(order.map((team, i) => [team, i]));
+    const distance = (a, b) => Math.abs(rank.get(a) - rank.get(b));
+    const options = new Map(order.map(team => [team, order.filter(other => other !== team && allowed(team, other))
+      .map(other => ({ other, cost: cost(team, other) }))
+      .sort((x, y) => x.cost - y.cost || distance(team, x.other) - distance(team, y.other) || rank.get(x.other) - rank.get(y.other))]));
+    const used = new Set();
+    const pairs = [];
+    let steps = 0;
+    const place = (left) => {
+      if (!left) return true;
+      if (++steps > limit) return false;
+      let best = null;
+      for (const team of order) {
+        if (used.has(team)) continue;
+        const open = options.get(team).filter(o => !used.has(o.other));
+        if (!open.length) return false;
+        const cheap = open.filter(o => o.cost === open[0].cost).length;
+        if (!best || open[0].cost > best.open[0].cost || (open[0].cost === best.open[0].cost && cheap < best.cheap)) {
+          best = { team, open, cheap };
+        }
+      }
+      const { team } = best;
+      used.add(team);
+      for (const { other } of best.open) {
+        used.add(other);
+        pairs.push(rank.get(team) < rank.get(other) ? [team, other] : [other, team]);
+        if (place(left - 2)) return true;
+        used.delete(other);
+        pairs.pop();
+      }
+      used.delete(team);
+      return false;
+    };
+    return place(order.length) ? pairs : null;
+  }
+
+  // { met: team -> Set of opponents, balance: team -> home minus away games, faced: team -> games per pot }
+  // from `matches`, added to `base` when given; `pairs` are counted as [home, away] matches
+  function leagueTally(league, matches, pots, potCount, base = null, pairs = []) {
+    const tally = { met: {}, balance: {}, faced: {} };
+    league.forEach(team => {
+      tally.met[team] = new Set(base ? base.met[team] : []);
+      tally.balance[team] = base ? base.balance[team] : 0;
+      tally.faced[team] = base ? base.faced[team].slice() : new Array(potCount).fill(0);
+    });
+    matches.map(m => [m.home, m.away]).concat(pairs).forEach(([home, away]) => {
+      tally.met[home].add(away);
+      tally.met[away].add(home);
+      tally.balance[home] += 1;
+      tally.balance[away] -= 1;
+      tally.faced[home][pots.get(away)] += 1;
+      tally.faced[away][pots.get(home)] += 1;
+    });
+    return tally;
+  }
+
+  // hosts for `pairs` that leave every pair of `plan` (the matchday after) with one team that
+  // played at home and one that played away. The two matchdays together split into cycles
+  // of even length, so going round a cycle and alternating always works out
+  function hostsForPlan(pairs, plan) {
+    const opponents = (list) => new Map(list.flatMap(([a, b]) => [[a, b], [b, a]]));
+    const now = opponents(pairs);
+    const then = opponents(plan);
+    const hosts = new Map();
+    now.forEach((_, start) => {
+      let team = start;
+      while (!hosts.has(team)) {
+        hosts.set(team, true);
+        hosts.set(now.get(team), false);
+        team = then.get(now.get(team));
+      }
+    });
+    return ([a, b]) => (hosts.get(a) ? [a, b] : [b, a]);
+  }
+
+  function scheduleLeagueRound(state, roundNumber) {
+    const config = state.config;
+    const league = state.groups[0];
+    const matches = state.matches || [];
+    state.matches = matches;
+    if (matches.some(m => m.round === roundNumber)) return matches;
+    const previous = matches.filter(m => m.round === roundNumber - 1);
+    if (roundNumber > 1 && !previous.length) throw new Error(`Generate matchday ${roundNumber - 1} first.`);
+    if (previous.some(m => m.status !== 'played')) {
+      throw new Error(`Finish matchday ${roundNumber - 1} first: the next one is paired from the table.`);
+    }
+
+    const potSize = league.length / config.leaguePots;
+    const pots = new Map(league.map((team, i) => [team, Math.floor(i / potSize)]));
+    const share = Math.ceil(config.leagueMatches / config.leaguePots);
+    const tally = leagueTally(league, matches, pots, config.leaguePots);
+    const rules = (t) => ({
+      fresh: (a, b) => !t.met[a].has(b),
+      level: (a, b) => !(t.balance[a] > 0 && t.balance[b] > 0) && !(t.balance[a] < 0 && t.balance[b] < 0),
+      // a team over its share of a pot costs one
+      overShare: (a, b) => (t.faced[a][pots.get(b)] >= share ? 1 : 0) + (t.faced[b][pots.get(a)] >= share ? 1 : 0)
+    });
+    const { fresh, level, overShare } = rules(tally);
+    // of two teams with as many home games, the one higher in the table hosts
+    const hosting = ([a, b]) => (tally.balance[b] < tally.balance[a] ? [b, a] : [a, b]);
+
+    // the draw order seeds the first matchday, the table every later one
+    const order = roundNumber === 1 ? league.slice() : computeStandings(state)[0].map(row => row.team);
+    const even = (a, b) => fresh(a, b) && level(a, b);
+    // home and away kept level unless that leaves no pairing at all
+    const pairs = pairLeagueRound(order, even, overShare) || pairLeagueRound(order, fresh, overShare);
+    if (!pairs) throw new Error(`No pairing without a rematch is left for matchday ${roundNumber}.`);
+
+    // with every team level, the hosts are free to pick: they are picked so that a next
+    // matchday where every team meets a pot it still needs can keep home and away level
+    let planned = null;
+    if (roundNumber === config.leagueMatches - 1 && league.every(team => tally.balance[team] === 0)) {
+      const next = rules(leagueTally(league, [], pots, config.leaguePots, tally, pairs));
+      const plan = pairLeagueRound(league, (a, b) => next.fresh(a, b) && !next.overShare(a, b), () => 0, LEAGUE_LOOKAHEAD_LIMIT);
+      if (plan) planned = hostsForPlan(pairs, plan);
+    }
+    pairs.map(planned || hosting).forEach(([home, away]) => matches.push(leagueMatchObj(roundNumber, home, away)));
+    state.generatedRounds = roundNumber;
+    return matches;
+  }
+
+  // pairs the next league matchday once the last one is complete; true when it did
+  function pairNextLeagueRound(state) {
+    const config = state.config;
+    const next = (state.generatedRounds || 0) + 1;
+    if (!isLeague(config) || !state.groups.length || next > roundsPerGroup(config)) return false;
+    if ((state.matches || []).some(m => m.round === next - 1 && m.status !== 'played')) return false;
+    scheduleRound(state, next);
+    return true;
+  }
+
+  /* ------------------------
+     Tiebreakers
+     a preset is an ordered list of rules; each rule scores the tied rows
+     (higher is better). Head-to-head rules only count the matches between
+     the teams still level. When a head-to-head rule splits a tie, the whole
+     list restarts on each smaller group of level teams (UEFA art. 18).
+     ------------------------ */
+  const TIEBREAK_RULES = {
+    points: { label: 'Points', value: (row) => row.pts },
+    h2hPoints: { label: 'Head-to-head points', h2h: true, value: (row, ctx) => ctx.h2h[row.team].pts },
+    h2hGoalDiff: { label: 'Head-to-head goal difference', h2h: true, value: (row, ctx) => ctx.h2h[row.team].gd },
+    h2hGoals: { label: 'Head-to-head goals scored', h2h: true, value: (row, ctx) => ctx.h2h[row.team].gf },
+    goalDiff: { label: 'Goal difference', value: (row) => row.gd },
+    goals: { label: 'Goals scored', value: (row) => row.gf },
+    // disciplinary points, fewer is better
+    fairPlay: { label: 'Fair play', value: (row) => -(row.fairPlay || 0) },
+    lots: { label: 'Drawing of lots', value: (row, ctx) => ctx.lot(row.team) },
+    name: { label: 'Alphabetical order', value: (row, ctx) => -ctx.names.indexOf(row.team) }
+  };
+
+  const TIEBREAK_PRESETS = {
+    uefa: { label: 'UEFA (head-to-head first)', rules: ['points', 'h2hPoints', 'h2hGoalDiff', 'h2hGoals', 'goalDiff', 'goals', 'fairPlay', 'lots'] },
+    fifa: { label: 'FIFA (overall goal difference first)', rules: ['points', 'goalDiff', 'goals', 'h2hPoints', 'h2hGoalDiff', 'h2hGoals', 'fairPlay', 'lots'] },
+    simple: { label: 'Simple (points, GD, goals, name)', rules: ['points', 'goalDiff', 'goals', 'name'] }
+  };
+
+  // a lot is drawn once per team and kept in `lots`, so a table does not reshuffle on every call;
+  // it comes from the group draw seed, so replaying a draw settles its ties the same way
+  const seededLot = (seed, team) => createRng(`${normalizeSeed(seed)}/${team}`)();
+
+  function drawLot(lots, team, seed) {
+    if (lots[team] == null) lots[team] = seed == null ? Math.random() : seededLot(seed, team);
+    return lots[team];
+  }
+
+  // points / goal difference / goals among the given teams only
+  function headToHeadTable(teamNames, matches) {
+    const table = {};
+    teamNames.forEach(t => { table[t] = { pts: 0, gd: 0, gf: 0 }; });
+    matches.forEach(m => {
+      if (m.status !== 'played' || !table[m.home] || !table[m.away]) return;
+      const hg = Number(m.homeGoals || 0);
+      const ag = Number(m.awayGoals || 0);
+      table[m.home].gf += hg; table[m.home].gd += hg - ag;
+      table[m.away].gf += ag; table[m.away].gd += ag - hg;
+      if (hg > ag) table[m.home].pts += 3;
+      else if (hg < ag) table[m.away].pts += 3;
+      else { table[m.home].pts += 1; table[m.away].pts += 1; }
+    });
+    return table;
+  }
+
+  // returns the rows in final order; every row a tiebreaker separated from
+  // the teams it was level with gets `tiebreak` set to that rule's label.
+  // Lots only settle a tie that is still there after a match: before a ball is
+  // kicked every team is level and the draw order stands
+  function rankRows(rows, matches, ruleKeys, lots = {}, seed = null) {
+    const resolve = (tied, keys) => {
+      if (tied.length < 2) return tied;
+      const teamNames = tied.map(r => r.team);
+      // built on first use: most ties are settled before any rule needs them
+      let h2h = null;
+      let names = null;
+      const ctx = {
+        get h2h() { return h2h || (h2h = headToHeadTable(teamNames, matches)); },
+        get names() { return names || (names = teamNames.slice().sort((a, b) => a.localeCompare(b))); },
+        lot: (team) => drawLot(lots, team, seed)
+      };
+      for (let k = 0; k < keys.length; k++) {
+        if (keys[k] === 'lots' && !tied.some(row => row.played)) continue;
+        const rule = TIEBREAK_RULES[keys[k]];
+        const scored = tied.map(row => ({ row, value: rule.value(row, ctx) }));
+        const values = [...new Set(scored.map(x => x.value))].sort((a, b) => b - a);
+        if (values.length < 2) continue;
+        return values.flatMap(v => {
+          const bucket = scored.filter(x => x.value === v).map(x => x.row);
+          if (keys[k] !== 'points') bucket.forEach(row => { row.tiebreak = rule.label; });
+          return resolve(bucket, rule.h2h ? ruleKeys : keys.slice(k + 1));
+        });
+      }
+      return tied;
+    };
+    return resolve(rows.map(r => ({ ...r, tiebreak: null })), ruleKeys);
+  }
+
+  function tiebreakRules(config) {
+    return (TIEBREAK_PRESETS[config.tiebreakPreset] || TIEBREAK_PRESETS.uefa).rules;
+  }
+
+  /* ------------------------
+     Match events
+     { type: 'goal', side, player, assist, minute, ownGoal, penalty }
+     { type: 'yellow' | 'red', side, player, minute }
+     side = the player's team ('home' | 'away'); an own goal counts for the other side.
+     When goal events are entered they must add up to the scoreline.
+     ------------------------ */
+  const FAIR_PLAY_POINTS = { yellow: 1, red: 3 };
+  // a red card bans for the next match, every second yellow card as well
+  const SUSPENSION_RULES = { redCardBan: 1, yellowCardLimit: 2, yellowCardBan: 1 };
+
+  function goalsFromEvents(events) {
+    const goals = { home: 0, away: 0 };
+    events.filter(e => e.type === 'goal').forEach(e => {
+      const credited = e.ownGoal ? (e.side === 'home' ? 'away' : 'home') : e.side;
+      goals[credited] += 1;
+    });
+    return goals;
+  }
+
+  // returns a list of problems, empty when the events fit the score
+  function validateEvents(events, homeGoals, awayGoals) {
+    const problems = [];
+    events.forEach((e, i) => {
+      if (!e.player) problems.push(`Event ${i + 1} needs a player.`);
+      if (e.minute != null && (!Number.isInteger(e.minute) || e.minute < 1 || e.minute > 130)) {
+        problems.push(`Event ${i + 1} has an invalid minute.`);
+      }
+      if (e.type === 'goal' && e.assist && e.assist === e.player) problems.push(`Event ${i + 1}: a player cannot assist their own goal.`);
+    });
+    if (events.some(e => e.type === 'goal')) {
+      const goals = goalsFromEvents(events);
+      if (goals.home !== homeGoals || goals.away !== awayGoals) {
+        problems.push(`Goal events add up to ${goals.home}-${goals.away}, but the score is ${homeGoals}-${awayGoals}.`);
+      }
+    }
+    return problems;
+  }
+
+  function teamOfSide(m, side) {
+    return side === 'home' ? m.home : m.away;
+  }
+
+  // known players per team
+  function playersByTeam(matches) {
+    const byTeam = {};
+    matches.forEach(m => (m.events || []).forEach(e => {
+      const team = teamOfSide(m, e.side);
+      byTeam[team] = byTeam[team] || new Set();
+      byTeam[team].add(e.player);
+      if (e.assist) byTeam[team].add(e.assist);
+    }));
+    return byTeam;
+  }
+
+  function computePlayerStats(matches) {
+    const stats = {};
+    const entry = (team, player) => {
+      const key = `${team}|${player}`;
+      if (!stats[key]) stats[key] = { team, player, goals: 0, penalties: 0, assists: 0, yellow: 0, red: 0 };
+      return stats[key];
+    };
+    matches.filter(m => m.status === 'played').forEach(m => (m.events || []).forEach(e => {
+      const team = teamOfSide(m, e.side);
+      if (e.type === 'goal') {
+        if (!e.ownGoal) {
+          entry(team, e.player).goals += 1;
+          if (e.penalty) entry(team, e.player).penalties += 1;
+        }
+        if (e.assist && !e.ownGoal) entry(team, e.assist).assists += 1;
+      } else if (e.type === 'yellow' || e.type === 'red') {
+        entry(team, e.player)[e.type] += 1;
+      }
+    }));
+    return Object.values(stats);
+  }
+
+  // walks each team's matches in round order; a ban is served in the team's
+  // next match(es). Returns matchId -> [{ team, player, reason }]
+  function computeSuspensions(matches) {
+    const byMatch = {};
+    const teamMatches = {};
+    matches.forEach(m => {
+      [m.home, m.away].forEach(t => { (teamMatches[t] = teamMatches[t] || []).push(m); });
+    });
+    Object.keys(teamMatches).forEach(team => {
+      const list = teamMatches[team].slice().sort((a, b) => a.round - b.round);
+      const yellows = {};
+      const pending = {}; // player -> { matches, reason }
+      list.forEach(m => {
+        Object.keys(pending).forEach(player => {
+          (byMatch[m.id] = byMatch[m.id] || []).push({ team, player, reason: pending[player].reason });
+          pending[player].matches -= 1;
+          if (pending[player].matches <= 0) delete pending[player];
+        });
+        if (m.status !== 'played') return;
+        const side = m.home === team ? 'home' : 'away';
+        const cards = (m.events || []).filter(e => e.side === side && (e.type === 'yellow' || e.type === 'red'));
+        const perPlayer = {};
+        cards.forEach(e => { (perPlayer[e.player] = perPlayer[e.player] || []).push(e.type); });
+        Object.keys(perPlayer).forEach(player => {
+          const types = perPlayer[player];
+          // two yellows in one match is a sending off, not accumulation
+          if (types.includes('red') || types.filter(t => t === 'yellow').length >= 2) {
+            pending[player] = { matches: SUSPENSION_RULES.redCardBan, reason: 'red card' };
+            return;
+          }
+          yellows[player] = (yellows[player] || 0) + types.length;
+          if (yellows[player] >= SUSPENSION_RULES.yellowCardLimit) {
+            yellows[player] -= SUSPENSION_RULES.yellowCardLimit;
+            pending[player] = { matches: SUSPENSION_RULES.yellowCardBan, reason: `${SUSPENSION_RULES.yellowCardLimit} yellow cards` };
+          }
+        });
+      });
+    });
+    return byMatch;
+  }
+
+  /* ------------------------
+     Standings
+     returns one array per group, sorted:
+     each entry: {team, played, w,d,l,gf,ga,gd,pts,fairPlay,position,tiebreak}
+     tie-breakers applied: config.tiebreakPreset (see TIEBREAK_PRESETS);
+     lots drawn on the way (from the group draw seed) are kept in state.lots
+     ------------------------ */
+  function computeStandings(state) {
+    const rules = tiebreakRules(state.config);
+    const matches = state.matches || [];
+    const seed = currentDrawSeed(state, 'group');
+    state.lots = state.lots || {};
+    return (state.groups || []).map((group, gi) => {
+      const groupMatches = matches.filter(m => m && m.groupIndex === gi);
+      return rankGroup(group, groupMatches, rules, state.lots, seed);
+    });
+  }
+
+  // one group's sorted rows from its own matches (played only)
+  function rankGroup(group, matches, rules, lots, seed) {
+    const rows = group.map(team => ({
+      team, played: 0, w: 0, d: 0, l: 0, gf: 0, ga: 0, gd: 0, pts: 0, fairPlay: 0
+    }));
+    matches.forEach(m => {
+      if (m.status !== 'played') return;
+      const homeObj = rows.find(x => x.team === m.home);
+      const awayObj = rows.find(x => x.team === m.away);
+      if (!homeObj || !awayObj) return;
+      homeObj.played += 1;
+      awayObj.played += 1;
+      homeObj.gf += Number(m.homeGoals || 0);
+      homeObj.ga += Number(m.awayGoals || 0);
+      awayObj.gf += Number(m.awayGoals || 0);
+      awayObj.ga += Number(m.homeGoals || 0);
+      if (m.homeGoals > m.awayGoals) {
+        homeObj.w += 1; homeObj.pts += 3;
+        awayObj.l += 1;
+      } else if (m.homeGoals < m.awayGoals) {
+        awayObj.w += 1; awayObj.pts += 3;
+        homeObj.l += 1;
+      } else {
+        homeObj.d += 1; awayObj.d += 1;
+        homeObj.pts += 1; awayObj.pts += 1;
+      }
+      // disciplinary points for the fair play tiebreaker
+      (m.events || []).forEach(e => {
+        const points = FAIR_PLAY_POINTS[e.type];
+        if (points) (e.side === 'home' ? homeObj : awayObj).fairPlay += points;
+      });
+    });
+    rows.forEach(o => { o.gd = o.gf - o.ga; });
+    return rankRows(rows, matches, rules, lots, seed).map((r, idx) => ({ ...r, position: idx + 1 }));
+  }
+
+  /* ------------------------
+     Best thirds selection
+     "third" = first non-qualifying place (3rd in the default top-2 format);
+     how many go through comes from config.bestThirds. Thirds never met,
+     so the preset is applied without its head-to-head rules.
+     ------------------------ */
+  function getBestFourThirds(state, sortedStandings = computeStandings(state)) {
+    const config = state.config;
+    const thirds = [];
+    sortedStandings.forEach((arr, gi) => {
+      const third = arr.find(el => el.position === config.qualifyPerGroup + 1);
+      if (third) thirds.push({ ...third, group: groupLetter(gi) });
+    });
+    const rules = tiebreakRules(config).filter(key => !TIEBREAK_RULES[key].h2h);
+    state.lots = state.lots || {};
+    const ranked = rankRows(thirds, [], rules, state.lots, currentDrawSeed(state, 'group'));
+    return { all: ranked, qualified: ranked.slice(0, config.bestThirds) };
+  }
+
+  function groupStageComplete(state) {
+    const config = state.config;
+    if ((state.generatedRounds || 0) < roundsPerGroup(config)) return false;
+    const played = (state.matches || []).filter(m => m.status === 'played').length;
+    return played >= totalGroupMatches(config);
+  }
+
+  // [{ team, group, pos, seed }], null until every group match is played
+  // `sorted` may be passed in when the standings were just computed
+  function knockoutQualifiers(state, sorted) {
+    if (!groupStageComplete(state)) return null;
+    const config = state.config;
+    sorted = sorted || computeStandings(state);
+    if (isLeague(config)) {
+      return sorted[0].slice(0, config.leagueDirect + config.leaguePlayoff)
+        .map(row => ({ team: row.team, group: groupLetter(0), pos: row.position, seed: ordinal(row.position) }));
+    }
+    const bestThirds = getBestFourThirds(state, sorted).qualified.map(t => ({ team: t.team, group: t.group }));
+
+    // assemble pool: top N of every group plus the best thirds
+    const pool = [];
+    sorted.forEach((arr, gi) => {
+      arr.slice(0, config.qualifyPerGroup).forEach((row, pos) => {
+        pool.push({ team: row.team, group: groupLetter(gi), pos: pos + 1, seed: ordinal(pos + 1) });
+      });
+    });
+    bestThirds.forEach(b => pool.push({ ...b, pos: config.qualifyPerGroup + 1, seed: ordinal(config.qualifyPerGroup + 1) }));
+    return pool;
+  }
+
+  /* ------------------------
+     Knockout bracket builder
+     1. qualifiers are ranked by tier (winners, runners-up, thirds) and paired strongest
+        against weakest: winners meet the best thirds first, then runners-up, and
+        whatever is left plays within its tier
+     2. those ties are laid out in standard seeding order so strong ties are spread over the bracket
+     3. a backtracking solver assigns teams to slots: no tie between teams of the same group,
+        and teams of one group spread as evenly as possible over halves, quarters, ...
+     there is no randomness: the same standings always give the same bracket, so the
+     opponent of each third only depends on which groups the thirds came from
+     ------------------------ */
+
+  // 1-based seed lines in standard bracket order, e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+  function seedingOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+      const n = order.length * 2 + 1;
+      order = order.flatMap(s => [s, n - s]);
+    }
+    return order;
+  }
+
+  // tier of every bracket slot: slots 2i / 2i + 1 are home / away of tie i
+  function bracketTiers(pool) {
+    const tiers = pool.map(p => p.pos).sort((a, b) => a - b);
+    const ties = tiers.length / 2;
+    return seedingOrder(ties).flatMap(line => [tiers[line - 1], tiers[tiers.length - line]]);
+  }
+
+  // gives up on a set of rules after this many placements, so odd formats cannot hang
+  const BRACKET_SEARCH_LIMIT = 5000;
+
+  // levels are block sizes: 2 = the tie itself, 4 = a quarter of a 16-team bracket, ...
+  // in every block a group may hold at most its share, rounded up, of its qualified teams
+  function solveBracket(pool, tiers, levels) {
+    const perGroup = {};
+    pool.forEach(p => { perGroup[p.group] = (perGroup[p.group] || 0) + 1; });
+    const limit = (group, size) => Math.ceil(perGroup[group] / (pool.length / size));
+    const counts = levels.map(() => ({}));
+    const countKey = (slot, size, group) => `${Math.floor(slot / size)}|${group}`;
+    const slots = new Array(tiers.length).fill(null);
+    const fits = (team, slot) => tiers[slot] === team.pos && !slots[slot] &&
+      levels.every((size, l) => (counts[l][countKey(slot, size, team.group)] || 0) < limit(team.group, size));
+    const mark = (team, slot, delta) => {
+      slots[slot] = delta > 0 ? team : null;
+      levels.forEach((size, l) => {
+        const key = countKey(slot, size, team.group);
+        counts[l][key] = (counts[l][key] || 0) + delta;
+      });
+    };
+    const order = pool.slice().sort((a, b) => a.pos - b.pos || a.group.localeCompare(b.group));
+    let steps = 0;
+    // most constrained team first; a team with no legal slot left ends the branch
+    const place = (unplaced) => {
+      if (!unplaced.length) return true;
+      if (++steps > BRACKET_SEARCH_LIMIT) return false;
+      let best = null;
+      for (const team of unplaced) {
+        const options = tiers.map((t, slot) => slot).filter(slot => fits(team, slot));
+        if (!options.length) return false;
+        if (!best || options.length < best.options.length) best = { team, options };
+      }
+      const rest = unplaced.filter(t => t !== best.team);
+      for (const slot of best.options) {
+        mark(best.team, slot, 1);
+        if (place(rest)) return true;
+        mark(best.team, slot, -1);
+      }
+      return false;
+    };
+    return place(order) ? slots : null;
+  }
+
+  // the solver only looks at positions and groups, so its answer is kept per combination;
+  // a simulation asks for the same few brackets thousands of times
+  const bracketCache = new Map();
+
+  // returns [[home, away], ...] for the first knockout round, the higher-ranked team at home
+  function buildKnockoutBracket(pool) {
+    const slotKey = (p) => `${p.pos}|${p.group}`;
+    const cacheKey = pool.map(slotKey).sort().join(',');
+    if (!bracketCache.has(cacheKey)) {
+      const tiers = bracketTiers(pool);
+      const levels = [];
+      for (let size = 2; size <= pool.length / 2; size *= 2) levels.push(size);
+      // every level first; if the format makes that impossible, give up the middle levels,
+      // then the halves, and keep same-group ties out for as long as possible
+      const attempts = [levels, [2, pool.length / 2], [2], []];
+      let slots = null;
+      for (const attempt of attempts) {
+        slots = solveBracket(pool, tiers, attempt.filter((v, i, a) => a.indexOf(v) === i));
+        if (slots) break;
+      }
+      if (bracketCache.size > 500) bracketCache.clear();
+      bracketCache.set(cacheKey, slots.map(slotKey));
+    }
+    const teamAt = {};
+    pool.forEach(p => { teamAt[slotKey(p)] = p.team; });
+    const slots = bracketCache.get(cacheKey).map(key => teamAt[key]);
+    const pairs = [];
+    for (let i = 0; i < slots.length; i += 2) pairs.push([slots[i], slots[i + 1]]);
+    return pairs;
+  }
+
+  /* ------------------------
+     Knockout results & progression
+     winners of R16-1 / R16-2 meet in QF-1, R16-3 / R16-4 in QF-2, ...
+     score = 90 minutes, et* = goals scored during extra time, pen* = shoot-out
+     the bracket starts at whichever round fits the number of qualifiers
+     a two-legged tie (legs: 2) keeps its first leg in firstLeg, hosted by the
+     away side; the score fields above then describe the second leg, hosted by
+     the home side, and extra time and penalties follow it when the aggregate
+     (and, with awayGoals, the away goals) is level. Every score is kept from
+     the tie's home / away point of view, whoever hosts the leg.
+     a league's play-off round also holds byes ({ bye: true }, away null) for the
+     teams that went straight through, see leagueKnockoutPairs.
+     ------------------------ */
+  const KO_ROUNDS = ['r32', 'r16', 'qf', 'sf', 'final'];
+  const KO_LABELS = { r32: 'Round of 32', r16: 'Round of 16', qf: 'Quarterfinal', sf: 'Semifinal', final: 'Final' };
+  const KO_PREFIX = { r32: 'R32', r16: 'R16', qf: 'QF', sf: 'SF', final: 'F' };
+
+  function firstKnockoutRound(size) {
+    return KO_ROUNDS[KO_ROUNDS.length - Math.log2(size)];
+  }
+
+  const knockoutTieId = (roundKey, idx) => `${KO_PREFIX[roundKey]}-${idx + 1}`;
+
+  // { legs: round key -> 1 | 2, awayGoals, league: { direct, playoff } | null } as a bracket stores it
+  function knockoutFormat(config = {}) {
+    const legs = {};
+    KO_ROUNDS.forEach(key => { legs[key] = (config.knockoutLegs || {})[key] === 2 ? 2 : 1; });
+    const league = isLeague(config) ? { direct: config.leagueDirect, playoff: config.leaguePlayoff } : null;
+    return { legs, awayGoals: !!config.awayGoals, league };
+  }
+
+  // "Round of 16", or "Knockout Play-offs" for a league's first round with byes in it
+  function knockoutRoundLabel(config, key) {
+    return leagueByes(config) && key === firstKnockoutRound(knockoutSize(config)) ? 'Knockout Play-offs' : KO_LABELS[key];
+  }
+
+  // a league seeds its bracket by table position: seed s (1..direct) meets the winner of
+  // the play-off between direct + 1 + (direct - s) and direct + playoff - (direct - s),
+  // so 8th waits for 9th v 24th and 1st for 16th v 17th. The seed takes a bye through
+  // the play-off round: [seed, null] sits right before the play-off tie it waits for.
+  // Without a play-off the seeds meet in standard seeding order, 1st v 8th, 4th v 5th, ...
+  function leagueKnockoutPairs(pool, { direct, playoff }) {
+    const teamAt = (pos) => pool.find(p => p.pos === pos).team;
+    const seeds = seedingOrder(direct);
+    if (!playoff) {
+      const pairs = [];
+      for (let i = 0; i < seeds.length; i += 2) pairs.push([teamAt(seeds[i]), teamAt(seeds[i + 1])]);
+      return pairs;
+    }
+    return seeds.flatMap(seed => {
+      const k = direct - seed;
+      return [[teamAt(seed), null], [teamAt(direct + 1 + k), teamAt(direct + playoff - k)]];
+    });
+  }
+
+  // the first knockout round's [[home, away], ...] for either format; away is null for a bye
+  function knockoutPairs(pool, format = knockoutFormat()) {
+    return format.league ? leagueKnockoutPairs(pool, format.league) : buildKnockoutBracket(pool);
+  }
+
+  function makeKnockoutTie(roundKey, idx, home, away, format = null) {
+    const tie = {
+      id: knockoutTieId(roundKey, idx),
+      home,
+      away,
+      homeGoals: null,
+      awayGoals: null,
+      etHomeGoals: null,
+      etAwayGoals: null,
+      penHome: null,
+      penAway: null,
+      status: 'scheduled' // 'scheduled' | 'played'
+    };
+    if (format && format.legs[roundKey] === 2) {
+      Object.assign(tie, { legs: 2, firstLeg: null, awayGoalsRule: format.awayGoals });
+    }
+    return tie;
+  }
+
+  const isTwoLegged = (tie) => !!tie && tie.legs === 2;
+
+  // goals over the whole tie, extra time included: { home, away }
+  function tieAggregate(tie) {
+    const first = isTwoLegged(tie) && tie.firstLeg ? tie.firstLeg : { homeGoals: 0, awayGoals: 0 };
+    return {
+      home: first.homeGoals + Number(tie.homeGoals || 0) + Number(tie.etHomeGoals || 0),
+      away: first.awayGoals + Number(tie.awayGoals || 0) + Number(tie.etAwayGoals || 0)
+    };
+  }
+
+  // the side ahead before any shoot-out: 'home', 'away' or null when level
+  function tieLeader(tie) {
+    const total = tieAggregate(tie);
+    if (total.home !== total.away) return total.home > total.away ? 'home' : 'away';
+    if (!isTwoLegged(tie) || !tie.awayGoalsRule || !tie.firstLeg) return null;
+    // away goals: home side's in the first leg, away side's in the second, extra time included
+    const home = tie.firstLeg.homeGoals;
+    const away = Number(tie.awayGoals || 0) + Number(tie.etAwayGoals || 0);
+    if (home === away) return null;
+    return home > away ? 'home' : 'away';
+  }
+
+  function knockoutWinner(tie) {
+    if (tie && tie.bye) return tie.home;
+    if (!tie || tie.status !== 'played') return null;
+    const leader = tieLeader(tie);
+    if (leader) return tie[leader];
+    if (tie.penHome == null || tie.penAway == null || tie.penHome === tie.penAway) return null;
+    return tie.penHome > tie.penAway ? tie.home : tie.away;
+  }
+
+  // rebuilds every round after the first one from the winners of the previous one;
+  // a tie keeps its result only while both of its participants stay the same
+  function advanceKnockout(bracket) {
+    const start = Math.max(0, KO_ROUNDS.findIndex(key => bracket[key] && bracket[key].length));
+    for (let r = start + 1; r < KO_ROUNDS.length; r++) {
+      const prevTies = bracket[KO_ROUNDS[r - 1]] || [];
+      const key = KO_ROUNDS[r];
+      const current = bracket[key] || [];
+      const next = [];
+      for (let i = 0; i < Math.floor(prevTies.length / 2); i++) {
+        const home = knockoutWinner(prevTies[i * 2]);
+        const away = knockoutWinner(prevTies[i * 2 + 1]);
+        const existing = current[i];
+        if (existing && existing.home === home && existing.away === away) {
+          next.push(existing);
+        } else {
+          next.push(makeKnockoutTie(key, i, home, away, bracket.format));
+        }
+      }
+      bracket[key] = next;
+    }
+    bracket.champion = knockoutWinner((bracket.final || [])[0]);
+    return bracket;
+  }
+
+  // a fresh bracket from the qualifiers, first round filled, later rounds waiting;
+  // format comes from knockoutFormat and is kept for the rounds still to be drawn
+  function createKnockout(pool, format = knockoutFormat()) {
+    const pairs = knockoutPairs(pool, format);
+    const firstRound = firstKnockoutRound(pairs.length * 2);
+    const bracket = { champion: null, format };
+    KO_ROUNDS.forEach(key => { bracket[key] = []; });
+    // a bye (no away side) is never played, its home side goes straight through
+    bracket[firstRound] = pairs.map(([home, away], idx) => (away === null
+      ? { ...makeKnockoutTie(firstRound, idx, home, null), bye: true }
+      : makeKnockoutTie(firstRound, idx, home, away, format)));
+    return advanceKnockout(bracket);
+  }
+
+  const hasKnockout = (bracket) => !!bracket && KO_ROUNDS.some(key => bracket[key] && bracket[key].length);
+
+  // builds the knockout once the group stage is over; returns the new bracket or null
+  function ensureKnockout(state) {
+    if (hasKnockout(state.knockout)) return null;
+    const pool = knockoutQualifiers(state);
+    if (!pool) return null;
+    state.knockout = createKnockout(pool, knockoutFormat(state.config));
+    return state.knockout;
+  }
+
+  function findKnockoutTie(bracket, tieId) {
+    for (const key of KO_ROUNDS) {
+      const tie = (bracket[key] || []).find(t => t.id === tieId);
+      if (tie) return { key, tie };
+    }
+    return null;
+  }
+
+  function formatKnockoutScore(tie) {
+    if (isTwoLegged(tie)) return formatTwoLeggedScore(tie);
+    if (tie.status !== 'played') return 'vs';
+    let score = `${tie.homeGoals} - ${tie.awayGoals}`;
+    if (tie.etHomeGoals != null && tie.etAwayGoals != null) {
+      score += ` (${tie.homeGoals + tie.etHomeGoals} - ${tie.awayGoals + tie.etAwayGoals} aet)`;
+    }
+    if (tie.penHome != null && tie.penAway != null) {
+      score += ` · ${tie.penHome} - ${tie.penAway} pens`;
+    }
+    return score;
+  }
+
+  // "1 - 2, 2 - 0 · agg 3 - 2"; only the first leg until the second is played
+  function formatTwoLeggedScore(tie) {
+    if (!tie.firstLeg) return 'vs';
+    const first = `${tie.firstLeg.homeGoals} - ${tie.firstLeg.awayGoals}`;
+    if (tie.status !== 'played') return `1st leg ${first}`;
+    const et = tie.etHomeGoals != null && tie.etAwayGoals != null;
+    const second = et
+      ? `${tie.homeGoals + tie.etHomeGoals} - ${tie.awayGoals + tie.etAwayGoals} aet`
+      : `${tie.homeGoals} - ${tie.awayGoals}`;
+    const total = tieAggregate(tie);
+    let score = `${first}, ${second} · agg ${total.home} - ${total.away}`;
+    if (total.home === total.away && tieLeader(tie)) score += ' (away goals)';
+    if (tie.penHome != null && tie.penAway != null) {
+      score += ` · ${tie.penHome} - ${tie.penAway} pens`;
+    }
+    return score;
+  }
+
+  // score = { homeGoals, awayGoals, etHomeGoals, etAwayGoals, penHome, penAway }; extra time only
+  // counts once the 90 minutes end level, penalties once extra time does. Throws on a bad score.
+  // A two-legged tie also takes firstLeg: { homeGoals, awayGoals }; leaving out the second
+  // leg's homeGoals and awayGoals records the first leg alone. Level then means level on
+  // aggregate, away goals included when the tie uses them.
+  function setKnockoutResult(bracket, tieId, score) {
+    const found = bracket && findKnockoutTie(bracket, tieId);
+    if (!found || !found.tie.home || !found.tie.away) throw new Error(`Knockout tie ${tieId} is not ready to be played.`);
+    const tie = found.tie;
+    const { homeGoals: hg, awayGoals: ag, etHomeGoals: etH = 0, etAwayGoals: etA = 0, penHome: penH = 0, penAway: penA = 0 } = score;
+    let firstLeg = null;
+    if (isTwoLegged(tie)) {
+      firstLeg = score.firstLeg || tie.firstLeg;
+      if (!firstLeg || ![firstLeg.homeGoals, firstLeg.awayGoals].every(isGoalCount)) {
+        throw new Error('Enter the first leg score.');
+      }
+      firstLeg = { homeGoals: firstLeg.homeGoals, awayGoals: firstLeg.awayGoals };
+      if (hg == null && ag == null) {
+        Object.assign(tie, {
+          firstLeg,
+          homeGoals: null,
+          awayGoals: null,
+          etHomeGoals: null,
+          etAwayGoals: null,
+          penHome: null,
+          penAway: null,
+          status: 'scheduled'
+        });
+        return advanceKnockout(bracket);
+      }
+    }
+    if (![hg, ag, etH, etA, penH, penA].every(isGoalCount)) {
+      throw new Error('Invalid goals input');
+    }
+    const result = { ...tie, firstLeg, homeGoals: hg, awayGoals: ag, etHomeGoals: null, etAwayGoals: null };
+    const needEt = !tieLeader(result);
+    if (needEt) Object.assign(result, { etHomeGoals: etH, etAwayGoals: etA });
+    const needPens = needEt && !tieLeader(result);
+    if (needPens && penH === penA) {
+      throw new Error('A drawn tie needs a penalty shoot-out winner.');
+    }
+    Object.assign(tie, {
+      homeGoals: hg,
+      awayGoals: ag,
+      etHomeGoals: needEt ? etH : null,
+      etAwayGoals: needEt ? etA : null,
+      penHome: needPens ? penH : null,
+      penAway: needPens ? penA : null,
+      status: 'played'
+    });
+    if (firstLeg) tie.firstLeg = firstLeg;
+    return advanceKnockout(bracket);
+  }
+
+  /* ------------------------
+     Simulation
+     goals follow a Poisson model: a team expects AVERAGE_GOALS x its attack x the
+     opponent's defence. A strength entered by hand (1 = average, 1.5 = clearly
+     stronger) gives attack = s and defence = 1 / s; without one both come from the
+     goals scored and conceded so far, shrunk towards average by RATING_PRIOR games.
+     Every run fills the remaining fixtures and then uses the real standings,
+     best thirds, bracket builder and knockout progression.
+     ------------------------ */
+  const AVERAGE_GOALS = 1.35;
+  const RATING_PRIOR = 3;
+  const SIMULATION_RUNS = 2000;
+
+  // team -> { attack, defence, manual }
+  function teamRatings(state) {
+    const manual = (state.config && state.config.ratings) || {};
+    const totals = {};
+    (state.groups || []).flat().forEach(t => { totals[t] = { gf: 0, ga: 0, played: 0 }; });
+    (state.matches || []).filter(m => m.status === 'played').forEach(m => {
+      if (!totals[m.home] || !totals[m.away]) return;
+      totals[m.home].gf += m.homeGoals; totals[m.home].ga += m.awayGoals; totals[m.home].played += 1;
+      totals[m.away].gf += m.awayGoals; totals[m.away].ga += m.homeGoals; totals[m.away].played += 1;
+    });
+    const ratings = {};
+    Object.keys(totals).forEach(team => {
+      const strength = Number(manual[team]);
+      if (strength > 0) {
+        ratings[team] = { attack: strength, defence: 1 / strength, manual: true };
+        return;
+      }
+      const t = totals[team];
+      const games = (t.played + RATING_PRIOR) * AVERAGE_GOALS;
+      ratings[team] = {
+        attack: (t.gf + RATING_PRIOR * AVERAGE_GOALS) / games,
+        defence: (t.ga + RATING_PRIOR * AVERAGE_GOALS) / games,
+        manual: false
+      };
+    });
+    return ratings;
+  }
+
+  // Knuth's method, fine for football-sized means
+  function poisson(mean, rng) {
+    const limit = Math.exp(-mean);
+    let k = 0;
+    let p = rng();
+    while (p > limit) {
+      k += 1;
+      p *= rng();
+    }
+    return k;
+  }
+
+  // scale shortens the match: 1 = 90 minutes, 1 / 3 = extra time
+  function simulateScore(ratings, home, away, rng, scale = 1) {
+    const average = { attack: 1, defence: 1 };
+    const h = ratings[home] || average;
+    const a = ratings[away] || average;
+    return {
+      homeGoals: poisson(AVERAGE_GOALS * h.attack * a.defence * scale, rng),
+      awayGoals: poisson(AVERAGE_GOALS * a.attack * h.defence * scale, rng)
+    };
+  }
+
+  // a complete knockout result: 90 minutes (both legs of a two-legged tie, the first one
+  // played at the away side's ground), extra time when level, then a shoot-out
+  function simulateKnockoutScore(ratings, tie, rng) {
+    const { home, away } = tie;
+    const score = simulateScore(ratings, home, away, rng);
+    const played = { ...tie, ...score, etHomeGoals: null, etAwayGoals: null };
+    if (isTwoLegged(tie)) {
+      if (!tie.firstLeg) {
+        const first = simulateScore(ratings, away, home, rng);
+        score.firstLeg = { homeGoals: first.awayGoals, awayGoals: first.homeGoals };
+      }
+      played.firstLeg = score.firstLeg || tie.firstLeg;
+    }
+    if (tieLeader(played)) return score;
+    const et = simulateScore(ratings, home, away, rng, 1 / 3);
+    score.etHomeGoals = et.homeGoals;
+    score.etAwayGoals = et.awayGoals;
+    Object.assign(played, score);
+    if (!tieLeader(played)) {
+      const homeWins = rng() < 0.5;
+      score.penHome = homeWins ? 5 : 4;
+      score.penAway = homeWins ? 4 : 5;
+    }
+    return score;
+  }
+
+  // options: { runs, seed }. Returns { runs, rounds, teams: team -> odds }, every odd a
+  // share of runs: groupWin, bestThird, qualify, reach: { r16: ..., qf: ... }, champion
+  function simulateTournament(state, options = {}) {
+    if (!state.groups || !state.groups.length) throw new Error('Draw the groups first.');
+    const runs = options.runs || SIMULATION_RUNS;
+    const rng = createRng(options.seed || newSeed());
+    const ratings = teamRatings(state);
+    const teams = {};
+    state.groups.forEach((group, gi) => group.forEach(team => {
+      teams[team] = { group: groupLetter(gi), groupWin: 0, bestThird: 0, qualify: 0, reach: {}, champion: 0 };
+    }));
+    const rounds = KO_ROUNDS.slice(KO_ROUNDS.indexOf(firstKnockoutRound(knockoutSize(state.config))));
+    rounds.forEach(key => Object.values(teams).forEach(t => { t.reach[key] = 0; }));
+    const base = JSON.stringify({
+      config: state.config,
+      groups: state.groups,
+      matches: state.matches || [],
+      generatedRounds: state.generatedRounds || 0,
+      knockout: hasKnockout(state.knockout) ? state.knockout : null,
+      lots: state.lots || {},
+      draws: state.draws || []
+    });
+    const seed = currentDrawSeed(state, 'group');
+
+    for (let run = 0; run < runs; run++) {
+      const sim = JSON.parse(base);
+      const playOpen = () => sim.matches.filter(m => m.status !== 'played').forEach(m => {
+        Object.assign(m, simulateScore(ratings, m.home, m.away, rng), { status: 'played' });
+      });
+      // lots still to draw are the ones the draw seed gives, else from the seeded generator, so a seed repeats exactly
+      const drawLots = () => Object.keys(teams).forEach(team => {
+        if (sim.lots[team] == null) sim.lots[team] = seed == null ? rng() : seededLot(seed, team);
+      });
+      if (isLeague(sim.config)) {
+        // every matchday is paired from the table the one before it left, lots included
+        drawLots();
+        playOpen();
+        for (let round = sim.generatedRounds + 1; round <= roundsPerGroup(sim.config); round++) {
+          scheduleRound(sim, round);
+          playOpen();
+        }
+      } else {
+        for (let round = sim.generatedRounds + 1; round <= roundsPerGroup(sim.config); round++) scheduleRound(sim, round);
+        playOpen();
+        drawLots();
+      }
+      const sorted = computeStandings(sim);
+      sorted.forEach(rows => { if (rows[0]) teams[rows[0].team].groupWin += 1; });
+      getBestFourThirds(sim, sorted).qualified.forEach(t => { teams[t.team].bestThird += 1; });
+      if (!sim.knockout) sim.knockout = createKnockout(knockoutQualifiers(sim, sorted), knockoutFormat(sim.config));
+      rounds.forEach(key => {
+        sim.knockout[key].forEach(tie => {
+          if (tie.status !== 'played' && !tie.bye) setKnockoutResult(sim.knockout, tie.id, simulateKnockoutScore(ratings, tie, rng));
+          [tie.home, tie.away].forEach(team => { if (teams[team]) teams[team].reach[key] += 1; });
+        });
+      });
+      if (teams[sim.knockout.champion]) teams[sim.knockout.champion].champion += 1;
+    }
+
+    Object.values(teams).forEach(t => {
+      t.qualify = t.reach[rounds[0]] / runs;
+      t.groupWin /= runs;
+      t.bestThird /= runs;
+      t.champion /= runs;
+      rounds.forEach(key => { t.reach[key] /= runs; });
+    });
+    return { runs, rounds, teams };
+  }
+
+  /* ------------------------
+     Qualification scenarios
+     the group matches still to play are enumerated as home win / draw / away win.
+     Every result is tried with a narrow and a wide score, so a place that hangs on
+     goal difference or goals scored comes out as "depends on goals", not as a guess.
+     Groups never affect each other's table, so for the best-thirds race it is enough
+     to know the strongest and the weakest third each other group can still produce.
+     ------------------------ */
+  const SCENARIO_SCORES = {
+    home: [[1, 0], [4, 0]],
+    draw: [[0, 0], [3, 3]],
+    away: [[0, 1], [0, 4]]
+  };
+  const SCENARIO_RESULTS = Object.keys(SCENARIO_SCORES);
+  // a group with more open matches than this (6^n tables) is left for later
+  const SCENARIO_MATCH_LIMIT = 4;
+  const SCENARIO_STATUS = {
+    qualified: 'Qualified',
+    draw: 'Through with a draw',
+    win: 'Through with a win',
+    depends: 'Needs other results',
+    eliminated: 'Eliminated',
+    open: 'Too early to tell'
+  };
+
+  // every way to fill n slots from `choices`
+  function combinations(choices, n) {
+    let list = [[]];
+    for (let i = 0; i < n; i++) list = list.flatMap(prefix => choices.map(c => [...prefix, c]));
+    return list;
+  }
+
+  // which side of the qualification lines a place is on
+  // (a league's qualifyPerGroup covers the play-off places too, see fitLeagueShape)
+  function placeZone(position, config) {
+    if (position <= config.qualifyPerGroup) return 'top';
+    return position === config.qualifyPerGroup + 1 && config.bestThirds > 0 ? 'third' : 'out';
+  }
+
+  // every outcome of one group: { results, tables: [{ rows, unsure }] }, one table per score pick;
+  // `unsure` lists teams that a lot not drawn yet could move across a line
+  function groupOutcomes(state, gi, rules) {
+    const config = state.config;
+    const matches = state.matches.filter(m => m.groupIndex === gi);
+    const played = matches.filter(m => m.status === 'played');
+    const open = matches.filter(m => m.status !== 'played');
+    // so is a league with matchdays still to pair
+    const unpaired = isLeague(config) && (state.generatedRounds || 0) < roundsPerGroup(config);
+    const group = { letter: groupLetter(gi), open, tooMany: unpaired || open.length > SCENARIO_MATCH_LIMIT, outcomes: [] };
+    if (group.tooMany) return group;
+    const lots = { ...state.lots };
+    const picks = combinations([0, 1], open.length);
+    group.outcomes = combinations(SCENARIO_RESULTS, open.length).map(results => ({
+      results,
+      tables: picks.map(pick => {
+        const filled = open.map((m, i) => {
+          const [homeGoals, awayGoals] = SCENARIO_SCORES[results[i]][pick[i]];
+          return { ...m, homeGoals, awayGoals, status: 'played' };
+        });
+        const rows = rankGroup(state.groups[gi], played.concat(filled), rules, lots, currentDrawSeed(state, 'group'));
+        const byLot = rows.filter(r => r.tiebreak === TIEBREAK_RULES.lots.label && state.lots[r.team] == null);
+        const zones = new Set(byLot.map(r => placeZone(r.position, config)));
+        return { rows, unsure: zones.size > 1 ? byLot.map(r => r.team) : [] };
+      })
+    }));
+    return group;
+  }
+
+  // options: none. Returns { groups: [{ letter, matches, tooMany }], teams: team -> { group, status, scenarios } };
+  // status is a SCENARIO_STATUS key, scenarios one per outcome of the team's group:
+  // { results: ['home' | 'draw' | 'away', ...] in `matches` order, outcome: 'yes' | 'maybe' | 'no', reason }
+  // where reason is null, 'goals', 'others' (the other groups' thirds) or 'lots'
+  function qualificationScenarios(state) {
+    if (!state.groups || !state.groups.length) throw new Error('Draw the groups first.');
+    const sim = JSON.parse(JSON.stringify({
+      config: state.config,
+      groups: state.groups,
+      matches: state.matches || [],
+      generatedRounds: state.generatedRounds || 0,
+      lots: state.lots || {},
+      draws: state.draws || []
+    }));
+    // a league matchday not paired yet has no fixtures to go through
+    if (!isLeague(sim.config)) {
+      for (let round = sim.generatedRounds + 1; round <= roundsPerGroup(sim.config); round++) scheduleRound(sim, round);
+    }
+    const config = sim.config;
+    const rules = tiebreakRules(config);
+    const thirdRules = rules.filter(key => !TIEBREAK_RULES[key].h2h);
+    const lots = { ...sim.lots };
+    const seed = currentDrawSeed(sim, 'group');
+    const beats = (a, b) => rankRows([{ ...a, side: 0 }, { ...b, side: 1 }], [], thirdRules, lots, seed)[0].side === 0;
+    const groups = sim.groups.map((_, gi) => groupOutcomes(sim, gi, rules));
+    const thirdKey = (r) => [r.team, r.pts, r.gd, r.gf, r.fairPlay].join('|');
+
+    // the range of thirds every group can still produce
+    groups.forEach(group => {
+      const thirds = group.outcomes.flatMap(o => o.tables.map(t => t.rows.find(r => r.position === config.qualifyPerGroup + 1)))
+        .filter(Boolean);
+      const seen = new Set();
+      const distinct = thirds.filter(r => !seen.has(thirdKey(r)) && seen.add(thirdKey(r)));
+      const ranked = rankRows(distinct, [], thirdRules, lots, seed);
+      group.strongest = ranked[0];
+      group.weakest = ranked[ranked.length - 1];
+    });
+    const chances = new Map();
+    const thirdChance = (row, own) => {
+      if (!chances.has(thirdKey(row))) chances.set(thirdKey(row), compareThird(row, own));
+      return chances.get(thirdKey(row));
+    };
+    const compareThird = (row, own) => {
+      let can = 0;
+      let must = 0;
+      groups.forEach(group => {
+        if (group === own) return;
+        if (group.tooMany) { can += 1; return; }
+        if (!group.strongest) return;
+        if (beats(group.strongest, row)) can += 1;
+        if (beats(group.weakest, row)) must += 1;
+      });
+      if (can < config.bestThirds) return 'yes';
+      return must >= config.bestThirds ? 'no' : 'maybe';
+    };
+    const verdict = (table, team, group) => {
+      if (table.unsure.includes(team)) return { outcome: 'maybe', reason: 'lots' };
+      const row = table.rows.find(r => r.team === team);
+      const zone = placeZone(row.position, config);
+      if (zone !== 'third') return { outcome: zone === 'top' ? 'yes' : 'no', reason: null };
+      const chance = thirdChance(row, group);
+      return { outcome: chance, reason: chance === 'maybe' ? 'others' : null };
+    };
+
+    const teams = {};
+    groups.forEach((group, gi) => sim.groups[gi].forEach(team => {
+      if (group.tooMany) {
+        teams[team] = { group: group.letter, status: 'open', scenarios: [] };
+        return;
+      }
+      const scenarios = group.outcomes.map(o => {
+        const verdicts = o.tables.map(t => verdict(t, team, group));
+        const outcomes = new Set(verdicts.map(v => v.outcome));
+        if (outcomes.size > 1) return { results: o.results, outcome: 'maybe', reason: 'goals' };
+        return { results: o.results, ...verdicts[0] };
+      });
+      // the team's own result in every open match it plays: 'win' | 'draw' | 'loss'
+      const own = group.open.map(m => (m.home === team ? 'home' : m.away === team ? 'away' : null));
+      const ownResults = (results) => own.map((side, i) => {
+        if (!side) return null;
+        if (results[i] === 'draw') return 'draw';
+        return results[i] === side ? 'win' : 'loss';
+      }).filter(Boolean);
+      const allYes = (list) => list.length > 0 && list.every(sc => sc.outcome === 'yes');
+      const playsAgain = own.some(Boolean);
+      let status = 'depends';
+      if (allYes(scenarios)) status = 'qualified';
+      else if (scenarios.every(sc => sc.outcome === 'no')) status = 'eliminated';
+      else if (playsAgain && allYes(scenarios.filter(sc => !ownResults(sc.results).includes('loss')))) status = 'draw';
+      else if (playsAgain && allYes(scenarios.filter(sc => ownResults(sc.results).every(r => r === 'win')))) status = 'win';
+      teams[team] = { group: group.letter, status, scenarios };
+    }));
+
+    return {
+      groups: groups.map(group => ({
+        letter: group.letter,
+        matches: group.open.map(m => ({ id: m.id, home: m.home, away: m.away, round: m.round })),
+        tooMany: group.tooMany
+      })),
+      teams
+    };
+  }
+
+  /* ------------------------
+     Fixture calendar
+     state.calendar = { matchId | tieId -> { kickoff: 'YYYY-MM-DDTHH:MM', venue } }
+     config.calendar = { start: 'YYYY-MM-DD', days: [0..6, 0 = Sunday], times: ['HH:MM', ...],
+                         venues: [console / stream name, ...], matchMinutes, restMinutes }
+     times are the organiser's wall-clock times ("floating" in iCalendar terms).
+     planCalendar walks every fixture in playing order, rounds not generated yet
+     included, and gives it the first kickoff where a venue is free and both teams
+     have rested since their last match. A knockout round waits for the round before
+     it, where its teams come from. Played fixtures keep the slot they had.
+     ------------------------ */
+  const CALENDAR_DAY_LIMIT = 366;
+
+  function defaultCalendarSettings() {
+    return {
+      start: null,
+      days: [0, 1, 2, 3, 4, 5, 6],
+      times: ['18:00', '19:00', '20:00', '21:00'],
+      venues: ['Console 1'],
+      matchMinutes: 45,
+      restMinutes: 30
+    };
+  }
+
+  const calendarSettings = (config) => ({ ...defaultCalendarSettings(), ...((config && config.calendar) || {}) });
+
+  const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+  const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+  const KICKOFF_PATTERN = /^\d{4}-\d{2}-\d{2}T([01]\d|2[0-3]):[0-5]\d$/;
+
+  // minutes since 1970-01-01 00:00, counted without time zones
+  function calendarMinutes(date, time = '00:00') {
+    const [, y, mo, d] = DATE_PATTERN.exec(date).map(Number);
+    const [, h, mi] = TIME_PATTERN.exec(time).map(Number);
+    return Date.UTC(y, mo - 1, d) / 60000 + h * 60 + mi;
+  }
+
+  const formatKickoff = (minutes) => new Date(minutes * 60000).toISOString().slice(0, 16);
+  const kickoffMinutes = (kickoff) => calendarMinutes(kickoff.slice(0, 10), kickoff.slice(11, 16));
+
+  // returns a list of problems, empty when a calendar can be planned
+  function validateCalendarSettings(settings) {
+    const problems = [];
+    if (!settings.start || !DATE_PATTERN.test(settings.start) || Number.isNaN(Date.parse(settings.start))) {
+      problems.push('Pick the date of the first matchday.');
+    }
+    if (!Array.isArray(settings.days) || !settings.days.length) problems.push('Allow at least one day of the week.');
+    if (!Array.isArray(settings.times) || !settings.times.length) problems.push('Add at least one kickoff time.');
+    else settings.times.filter(t => !TIME_PATTERN.test(t)).forEach(t => problems.push(`Kickoff time "${t}" must look like 18:30.`));
+    if (!Array.isArray(settings.venues) || !settings.venues.length) problems.push('Add at least one console or stream.');
+    if (!(Number.isInteger(settings.matchMinutes) && settings.matchMinutes > 0)) problems.push('Match length must be a positive number of minutes.');
+    if (!(Number.isInteger(settings.restMinutes) && settings.restMinutes >= 0)) problems.push('Rest time must be zero or more minutes.');
+    return problems;
+  }
+
+  // every fixture in playing order, known or not: { id, stage: 'group' | knockout round, label, home, away, match }
+  // knockout teams are null until drawn; `match` is the stored match or tie when there is one.
+  // A two-legged round gives two fixtures per tie, ids ending -L1 / -L2 and stage '<round>-L1' / -L2, plus leg
+  function tournamentFixtures(state) {
+    const config = state.config;
+    const fixtures = [];
+    const stored = {};
+    (state.matches || []).forEach(m => { stored[m.id] = m; });
+    if (isLeague(config)) {
+      // league matchdays are only known once paired
+      (state.matches || []).slice().sort((a, b) => a.round - b.round).forEach(m => {
+        fixtures.push({ id: m.id, stage: 'group', label: `League · Matchday ${m.round}`, home: m.home, away: m.away, match: m });
+      });
+    } else {
+      for (let round = 1; round <= roundsPerGroup(config); round++) {
+        (state.groups || []).forEach((group, gi) => {
+          (buildGroupSchedule(group, config.doubleRoundRobin)[round - 1] || []).forEach(([home, away]) => {
+            const id = mkMatchId(gi, round, home, away);
+            fixtures.push({ id, stage: 'group', label: `Group ${groupLetter(gi)} · Matchday ${round}`, home, away, match: stored[id] || null });
+          });
+        });
+      }
+    }
+    if (!state.groups || !state.groups.length) return fixtures;
+    const size = knockoutSize(config);
+    const format = (state.knockout && state.knockout.format) || knockoutFormat(config);
+    KO_ROUNDS.slice(KO_ROUNDS.indexOf(firstKnockoutRound(size))).forEach((key, r) => {
+      const ties = size / 2 ** (r + 1);
+      const tieAt = (idx) => (state.knockout && state.knockout[key] && state.knockout[key][idx]) || null;
+      const label = knockoutRoundLabel(config, key);
+      // byes fill the even places of a league's play-off round and are never played
+      const bye = (idx) => r === 0 && leagueByes(config) && idx % 2 === 0;
+      if (format.legs[key] !== 2) {
+        for (let idx = 0; idx < ties; idx++) {
+          if (bye(idx)) continue;
+          const tie = tieAt(idx);
+          fixtures.push({ id: knockoutTieId(key, idx), stage: key, label, home: tie ? tie.home : null, away: tie ? tie.away : null, match: tie });
+        }
+        return;
+      }
+      // every first leg before any second leg; the away side of the tie hosts the first
+      [1, 2].forEach(leg => {
+        for (let idx = 0; idx < ties; idx++) {
+          if (bye(idx)) continue;
+          const tie = tieAt(idx);
+          const home = tie ? (leg === 1 ? tie.away : tie.home) : null;
+          const away = tie ? (leg === 1 ? tie.home : tie.away) : null;
+          fixtures.push({
+            id: `${knockoutTieId(key, idx)}-L${leg}`,
+            stage: `${key}-L${leg}`,
+            label: `${label} · ${ordinal(leg)} leg`,
+            home,
+            away,
+            match: tie,
+            leg
+          });
+        }
+      });
+    });
+    return fixtures;
+  }
+
+  // a first leg counts as played as soon as its score is in
+  const fixturePlayed = (f) => !!f.match && (f.leg === 1 ? !!f.match.firstLeg : f.match.status === 'played');
+
+  // plans every fixture into state.calendar and returns it; throws when the settings are unusable
+  function planCalendar(state) {
+    const settings = calendarSettings(state.config);
+    const problems = validateCalendarSettings(settings);
+    if (problems.length) throw new Error(problems.join('\n- '));
+    const firstDay = calendarMinutes(settings.start);
+    const times = settings.times.map(t => calendarMinutes('1970-01-01', t)).sort((a, b) => a - b);
+    const rest = settings.restMinutes;
+    const previous = state.calendar || {};
+    const calendar = {};
+    const venueBusy = {}; // venue -> [[from, to]]
+    const teamBusy = {}; // team -> [[from, to]], rest included
+    const teamFree = {}; // team -> earliest kickoff after its previous fixture
+    const overlaps = (list, from, to) => (list || []).some(([a, b]) => from < b && to > a);
+    const occupy = (fixture, venue, start) => {
+      const end = start + settings.matchMinutes;
+      (venueBusy[venue] = venueBusy[venue] || []).push([start, end]);
+      [fixture.home, fixture.away].filter(Boolean).forEach(team => {
+        (teamBusy[team] = teamBusy[team] || []).push([start - rest, end + rest]);
+      });
+      calendar[fixture.id] = { kickoff: formatKickoff(start), venue };
+      return end;
+    };
+    const fixtures = tournamentFixtures(state);
+    const kept = fixtures.filter(f => fixturePlayed(f) && previous[f.id]);
+    kept.forEach(f => occupy(f, previous[f.id].venue, kickoffMinutes(previous[f.id].kickoff)));
+
+    let stage = null;
+    let stageStart = 0;
+    let latestEnd = 0;
+    fixtures.forEach(f => {
+      if (f.stage !== stage) {
+        stage = f.stage;
+        stageStart = stage === 'group' ? 0 : latestEnd + rest;
+      }
+      const teams = [f.home, f.away].filter(Boolean);
+      let end;
+      if (kept.includes(f)) {
+        end = kickoffMinutes(calendar[f.id].kickoff) + settings.matchMinutes;
+      } else {
+        const earliest = Math.max(stageStart, ...teams.map(t => teamFree[t] || 0));
+        end = null;
+        for (let day = 0; day < CALENDAR_DAY_LIMIT && end === null; day++) {
+          const date = firstDay + day * 1440;
+          if (!settings.days.includes(new Date(date * 60000).getUTCDay())) continue;
+          for (const time of times) {
+            const start = date + time;
+            const finish = start + settings.matchMinutes;
+            if (start < earliest || teams.some(t => overlaps(teamBusy[t], start, finish))) continue;
+            const venue = settings.venues.find(v => !overlaps(venueBusy[v], start, finish));
+            if (venue) {
+              end = occupy(f, venue, start);
+              break;
+            }
+          }
+        }
+        if (end === null) throw new Error(`${f.label} does not fit within a year; add kickoff times, days or consoles.`);
+      }
+      teams.forEach(t => { teamFree[t] = Math.max(teamFree[t] || 0, end + rest); });
+      latestEnd = Math.max(latestEnd, end);
+    });
+    state.calendar = calendar;
+    return calendar;
+  }
+
+  // planned fixtures sorted by kickoff, optionally only one team's:
+  // { id, label, home, away, kickoff, venue, score } (score null until played)
+  function fixtureCalendar(state, team = null) {
+    const calendar = state.calendar || {};
+    return tournamentFixtures(state)
+      .filter(f => calendar[f.id] && (!team || f.home === team || f.away === team))
+      .map(f => {
+        let score = null;
+        if (f.leg === 1 && fixturePlayed(f)) {
+          score = `${f.match.firstLeg.awayGoals} - ${f.match.firstLeg.homeGoals}`;
+        } else if (fixturePlayed(f)) {
+          score = f.stage === 'group' ? `${f.match.homeGoals} - ${f.match.awayGoals}` : formatKnockoutScore(f.match);
+        }
+        return { id: f.id, label: f.label, home: f.home, away: f.away, ...calendar[f.id], score };
+      })
+      .sort((a, b) => a.kickoff.localeCompare(b.kickoff) || a.venue.localeCompare(b.venue));
+  }
+
+  // text values: backslash, semicolon, comma and newline are escaped; lines fold at 75 octets
+  const icsText = (value) => String(value).replace(/[\\;,]/g, c => `\\${c}`).replace(/\n/g, '\\n');
+
+  function foldIcsLine(line) {
+    const parts = [];
+    let part = '';
+    let octets = 0;
+    for (const char of line) {
+      const size = char.codePointAt(0) < 0x80 ? 1 : char.codePointAt(0) < 0x800 ? 2 : char.codePointAt(0) < 0x10000 ? 3 : 4;
+      // continuation lines start with a space, which counts too
+      if (octets + size > (parts.length ? 74 : 75)) {
+        parts.push(part);
+        part = '';
+        octets = 0;
+      }
+      part += char;
+      octets += size;
+    }
+    parts.push(part);
+    return parts.join('\r\n ');
+  }
+
+  const icsTime = (minutes) => formatKickoff(minutes).replace(/[-:]/g, '') + '00';
+
+  // an .ics file of the planned fixtures, the whole tournament or one team's
+  function calendarToIcs(state, team = null) {
+    const settings = calendarSettings(state.config);
+    const name = state.name || 'EFOOTBALL CUP';
+    const uidBase = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'cup';
+    const stamp = `${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//EFOOTBALL CUP//Fixture calendar//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${icsText(team ? `${name} · ${teamName(state.config, team)}` : name)}`
+    ];
+    fixtureCalendar(state, team).forEach(f => {
+      const start = kickoffMinutes(f.kickoff);
+      const teams = [f.home, f.away].map(t => (t ? teamName(state.config, t) : 'TBD')).join(' vs ');
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${f.id.replace(/[^A-Za-z0-9_-]/g, '_')}@${uidBase}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${icsTime(start)}`,
+        `DTEND:${icsTime(start + settings.matchMinutes)}`,
+        `SUMMARY:${icsText(`${f.label}: ${teams}${f.score ? ` (${f.score})` : ''}`)}`,
+        `LOCATION:${icsText(f.venue)}`,
+        `DESCRIPTION:${icsText(`${name} · ${f.label}`)}`,
+        'END:VEVENT'
+      );
+    });
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+  }
+
+  /* ------------------------
+     Result changes, undo / redo & history
+     state.history = { log, undo, redo }
+     log: every change, newest last: { at, action, matchId, label, before, after }
+     undo / redo: stacks of { matchId, before, after } (a new change clears redo),
+     or { steps: [...] } for several results changed at once
+     before / after = { homeGoals, awayGoals, events, status }
+     ------------------------ */
+  const resultOf = (m) => ({ homeGoals: m.homeGoals, awayGoals: m.awayGoals, events: m.events || [], status: m.status });
+  const sameResult = (a, b) => JSON.stringify(resultOf(a)) === JSON.stringify(resultOf(b));
+
+  function historyOf(state) {
+    state.history = { log: [], undo: [], redo: [], ...(state.history || {}) };
+    return state.history;
+  }
+
+  // writes a result onto a match and logs it; returns false when nothing changed
+  function applyResult(state, matchId, result, action) {
+    const m = (state.matches || []).find(x => x.id === matchId);
+    if (!m) return false;
+    // whole goals up to 99, as an import accepts them
+    if (result.status === 'played' && ![result.homeGoals, result.awayGoals].every(isGoalCount)) {
+      throw new Error('Invalid goals input');
+    }
+    const before = resultOf(m);
+    if (sameResult(before, result)) return false;
+    Object.assign(m, result);
+    historyOf(state).log.push({
+      at: new Date().toISOString(),
+      action,
+      matchId,
+      label: `${m.groupName} R${m.round} ${teamName(state.config || {}, m.home)} vs ${teamName(state.config || {}, m.away)}`,
+      before,
+      after: resultOf(m)
+    });
+    return { matchId, before, after: resultOf(m) };
+  }
+
+  // enter, edit or void a group result; returns the undo step, or null when nothing changed
+  function changeResult(state, matchId, result) {
+    const m = (state.matches || []).find(x => x.id === matchId);
+    if (!m) return null;
+    let action = 'enter';
+    if (result.status !== 'played') action = 'void';
+    else if (m.status === 'played') action = 'edit';
+    const step = applyResult(state, matchId, result, action);
+    if (!step) return null;
+    const history = historyOf(state);
+    history.undo.push(step);
+    history.redo = [];
+    return step;
+  }
+
+  // several results as one undo step; changes = [{ matchId, result }]. Returns the step or null
+  function changeResults(state, changes) {
+    const steps = [];
+    changes.forEach(({ matchId, result }) => {
+      const m = (state.matches || []).find(x => x.id === matchId);
+      if (!m) return;
+      const action = result.status !== 'played' ? 'void' : (m.status === 'played' ? 'edit' : 'enter');
+      const step = applyResult(state, matchId, result, action);
+      if (step) steps.push(step);
+    });
+    if (!steps.length) return null;
+    const history = historyOf(state);
+    history.undo.push({ steps });
+    history.redo = [];
+    return { steps };
+  }
+
+  function undoResult(state) {
+    const history = historyOf(state);
+    const step = history.undo.pop();
+    if (!step) return null;
+    (step.steps || [step]).slice().reverse().forEach(s => applyResult(state, s.matchId, s.before, 'undo'));
+    history.redo.push(step);
+    return step;
+  }
+
+  function redoResult(state) {
+    const history = historyOf(state);
+    const step = history.redo.pop();
+    if (!step) return null;
+    (step.steps || [step]).forEach(s => applyResult(state, s.matchId, s.after, 'redo'));
+    history.undo.push(step);
+    return step;
+  }
+
+  /* ------------------------
+     Pasted results
+     one result per line, as a chat message or a spreadsheet export:
+       REAL MADRID 2-1 BARCA          REAL MADRID vs BARCA 2:1
+       REAL MADRID,2,1,BARCA          REAL MADRID;BARCA;2;1       REAL MADRID<tab>2-1<tab>BARCA
+     team names match loosely (case, accents, punctuation, a start like "BARCA" for
+     "BARCELONA", a typo or two) and only scheduled fixtures count. A name that fits
+     several teams is settled by the fixtures when only one pairing exists.
+     ------------------------ */
+  const PASTE_STATUS = {
+    new: 'New result',
+    edit: 'Changes a result',
+    unchanged: 'No change',
+    duplicate: 'Duplicate',
+    ambiguous: 'Ambiguous',
+    unmatched: 'Unmatched',
+    invalid: 'Not understood'
+  };
+
+  const normalizeName = (name) => String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+
+  function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  // the teams a typed name could mean, best fits only (several = ambiguous, none = unknown);
+  // aliases: team -> other names it answers to
+  function matchTeamName(name, teams, aliases = {}) {
+    const typed = normalizeName(name);
+    if (!typed) return [];
+    const compact = typed.replace(/ /g, '');
+    const fitName = (candidate) => {
+      const known = normalizeName(candidate);
+      if (known === typed || known.replace(/ /g, '') === compact) return 0;
+      if (known.startsWith(typed) || known.split(' ').includes(typed)) return 1;
+      const distance = editDistance(compact, known.replace(/ /g, ''));
+      return distance <= Math.max(1, Math.floor(known.length / 4)) ? 1 + distance : null;
+    };
+    const fit = (team) => {
+      const fits = [team, ...(aliases[team] || [])].map(fitName).filter(f => f !== null);
+      return fits.length ? Math.min(...fits) : null;
+    };
+    const scored = teams.map(team => ({ team, fit: fit(team) })).filter(x => x.fit !== null);
+    const best = Math.min(...scored.map(x => x.fit));
+    return scored.filter(x => x.fit === best).map(x => x.team);
+  }
+
+  // one line as { home, away, homeGoals, awayGoals }, { error } or null for blank lines and headers
+  function parseResultLine(line) {
+    const text = line.trim();
+    if (!text || text.startsWith('#')) return null;
+    const goals = (a, b) => {
+      const [homeGoals, awayGoals] = [Number(a), Number(b)];
+      return isGoalCount(homeGoals) && isGoalCount(awayGoals) ? { homeGoals, awayGoals } : null;
+    };
+    const number = /^\d+$/;
+    const score = /^(\d+)\s*[-:–]\s*(\d+)$/;
+    if (/[,;\t]/.test(text)) {
+      const fields = text.split(/[,;\t]/).map(f => f.trim()).filter(Boolean);
+      if (!/\d/.test(text)) return null; // a header row
+      let parsed = null;
+      if (fields.length === 3 && score.test(fields[1])) {
+        const [, a, b] = score.exec(fields[1]);
+        parsed = { home: fields[0], away: fields[2], ...goals(a, b) };
+      } else if (fields.length === 4 && number.test(fields[1]) && number.test(fields[2])) {
+        parsed = { home: fields[0], away: fields[3], ...goals(fields[1], fields[2]) };
+      } else if (fields.length === 4 && number.test(fields[2]) && number.test(fields[3])) {
+        parsed = { home: fields[0], away: fields[1], ...goals(fields[2], fields[3]) };
+      }
+      if (parsed && parsed.homeGoals !== undefined) return parsed;
+      return { error: 'Expected home, score, away or home, home goals, away goals, away.' };
+    }
+    let match = /^(.+?)\s+(\d+)\s*[-:–]\s*(\d+)\s+(.+)$/.exec(text);
+    if (match) {
+      const result = goals(match[2], match[3]);
+      return result ? { home: match[1], away: match[4], ...result } : { error: 'Scores go up to 99.' };
+    }
+    match = /^(.+?)\s+(?:vs?\.?|-)\s+(.+?)\s+(\d+)\s*[-:–]\s*(\d+)$/i.exec(text);
+    if (match) {
+      const result = goals(match[3], match[4]);
+      return result ? { home: match[1], away: match[2], ...result } : { error: 'Scores go up to 99.' };
+    }
+    return { error: 'Expected a line like "REAL MADRID 2-1 BARCA".' };
+  }
+
+  // every non-blank line checked against the scheduled group matches:
+  // { line, text, status (a PASTE_STATUS key), message, matchId, home, away, homeGoals, awayGoals, before }
+  function matchPastedResults(state, text) {
+    const teams = (state.groups || []).flat();
+    // a renamed team answers to its new name and its short code as well
+    const aliases = {};
+    teams.forEach(team => {
+      const p = teamProfile(state.config || {}, team);
+      aliases[team] = [p.name, p.short];
+    });
+    const matches = state.matches || [];
+    const seen = new Set();
+    const entries = [];
+    String(text).split(/\r?\n/).forEach((raw, i) => {
+      const parsed = parseResultLine(raw);
+      if (!parsed) return;
+      const entry = { line: i + 1, text: raw.trim(), status: 'invalid', message: '', matchId: null };
+      entries.push(entry);
+      if (parsed.error) {
+        entry.message = parsed.error;
+        return;
+      }
+      const homes = matchTeamName(parsed.home, teams, aliases);
+      const aways = matchTeamName(parsed.away, teams, aliases);
+      const unknown = [[parsed.home, homes], [parsed.away, aways]].filter(([, found]) => !found.length).map(([name]) => name);
+      if (unknown.length) {
+        entry.status = 'unmatched';
+        entry.message = `No team like ${unknown.join(' or ')}.`;
+        return;
+      }
+      const between = (m, a, b) => a.includes(m.home) && b.includes(m.away);
+      const straight = matches.filter(m => between(m, homes, aways));
+      let pool = straight.length ? straight : matches.filter(m => between(m, aways, homes));
+      if (!pool.length) {
+        entry.status = 'unmatched';
+        entry.message = `No scheduled match between ${parsed.home} and ${parsed.away}; is its round generated?`;
+        return;
+      }
+      if (pool.length > 1) {
+        const open = pool.filter(m => m.status !== 'played');
+        if (open.length) pool = open;
+      }
+      if (pool.length > 1) {
+        entry.status = 'ambiguous';
+        entry.message = `Could be ${pool.map(m => `${m.home} vs ${m.away} (${m.groupName} R${m.round})`).join(' or ')}.`;
+        return;
+      }
+      const m = pool[0];
+      const swapped = !straight.length;
+      Object.assign(entry, {
+        matchId: m.id,
+        home: m.home,
+        away: m.away,
+        homeGoals: swapped ? parsed.awayGoals : parsed.homeGoals,
+        awayGoals: swapped ? parsed.homeGoals : parsed.awayGoals,
+        before: resultOf(m)
+      });
+      if (swapped) entry.message = 'Home and away swapped to match the fixture.';
+      if (seen.has(m.id)) {
+        entry.status = 'duplicate';
+        entry.message = 'This match appears on an earlier line.';
+        return;
+      }
+      seen.add(m.id);
+      if (m.status !== 'played') entry.status = 'new';
+      else if (m.homeGoals === entry.homeGoals && m.awayGoals === entry.awayGoals) entry.status = 'unchanged';
+      else entry.status = 'edit';
+    });
+    return entries;
+  }
+
+  // the result a pasted entry writes; goal events no longer fitting the score are dropped, cards stay
+  function pastedResult(entry) {
+    const events = (entry.before.events || []).filter(e => e.type !== 'goal' ||
+      (entry.before.homeGoals === entry.homeGoals && entry.before.awayGoals === entry.awayGoals));
+    return { homeGoals: entry.homeGoals, awayGoals: entry.awayGoals, events, status: 'played' };
+  }
+
+  // applies every new or changed entry as one undo step; returns that step or null
+  function applyPastedResults(state, entries) {
+    const changes = entries
+      .filter(e => e.status === 'new' || e.status === 'edit')
+      .map(e => ({ matchId: e.matchId, result: pastedResult(e) }));
+    return changeResults(state, changes);
+  }
+
+  /* ------------------------
+     Schema versions
+     files without a version are the raw localStorage shape from before
+     ({ ef_groups, ef_matches, ... } or { groups, matches, ... }) and get migrated.
+     ------------------------ */
+  const SCHEMA_VERSION = 1;
+
+  const MIGRATIONS = {
+    // v0 -> v1: storage keys become fields, config is derived from the groups
+    0: (data) => {
+      const pick = (field, key) => (data[field] !== undefined ? data[field] : data[key]);
+      const groups = pick('groups', 'ef_groups') || [];
+      const knockout = pick('knockout', 'ef_knockout') || null;
+      const sizes = groups.map(g => g.length);
+      return {
+        schemaVersion: 1,
+        config: {
+          ...defaultConfig(),
+          teams: groups.flat(),
+          groupCount: groups.length,
+          teamsPerGroup: sizes.length ? Math.max(...sizes) : 0
+        },
+        groups,
+        matches: pick('matches', 'ef_matches') || [],
+        generatedRounds: pick('generatedRounds', 'ef_generatedRounds') || 0,
+        knockout: knockout ? advanceKnockout(knockout) : null,
+        lots: {},
+        history: null
+      };
+    }
+  };
+
+  function migrateState(data) {
+    let version = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`File uses schema version ${version}; this app reads up to ${SCHEMA_VERSION}. Update the app first.`);
+    }
+    let state = data;
+    while (version < SCHEMA_VERSION) {
+      state = MIGRATIONS[version](state);
+      version = state.schemaVersion;
+    }
+    return state;
+  }
+
+  const isGoalCount = (v) => Number.isInteger(v) && v >= 0 && v <= 99;
+
+  // what is wrong with a knockout tie's score, or null
+  function tieProblem(t) {
+    if (isTwoLegged(t) && t.firstLeg && ![t.firstLeg.homeGoals, t.firstLeg.awayGoals].every(isGoalCount)) {
+      return `Knockout tie ${t.id} has an impossible first leg score.`;
+    }
+    if (isTwoLegged(t) && t.status === 'played' && !t.firstLeg) {
+      return `Knockout tie ${t.id} has a second leg but no first leg.`;
+    }
+    if (t.status !== 'played') return null;
+    const goals = [t.homeGoals, t.awayGoals];
+    if (t.etHomeGoals != null || t.etAwayGoals != null) goals.push(t.etHomeGoals, t.etAwayGoals);
+    if (t.penHome != null || t.penAway != null) goals.push(t.penHome, t.penAway);
+    if (!goals.every(isGoalCount)) return `Knockout tie ${t.id} has an impossible score.`;
+    if (!knockoutWinner(t)) return `Knockout tie ${t.id} is played but has no winner.`;
+    return null;
+  }
+
+  // returns a list of problems, empty when the state is safe to load
+  function validateState(state) {
+    const problems = [];
+    const groups = state.groups;
+    if (!Array.isArray(groups) || groups.some(g => !Array.isArray(g))) {
+      return ['"groups" must be a list of team lists.'];
+    }
+    if (!Array.isArray(state.matches)) return ['"matches" must be a list.'];
+    if (state.draws !== undefined && !Array.isArray(state.draws)) return ['"draws" must be a list.'];
+    if (state.calendar != null && (typeof state.calendar !== 'object' || Array.isArray(state.calendar))) {
+      return ['"calendar" must map match ids to kickoffs.'];
+    }
+    if (!state.config || typeof state.config !== 'object' || !Array.isArray(state.config.teams)) {
+      return ['"config" must hold the team list and the format.'];
+    }
+
+    const known = new Set();
+    groups.flat().forEach(t => {
+      if (known.has(t)) problems.push(`Team ${t} is in more than one group.`);
+      known.add(t);
+    });
+
+    const ids = new Set();
+    state.matches.forEach((m, i) => {
+      const where = m && m.id ? `Match ${m.id}` : `Match #${i + 1}`;
+      if (!m || !m.id) { problems.push(`${where} has no id.`); return; }
+      if (ids.has(m.id)) problems.push(`Duplicate match id ${m.id}.`);
+      ids.add(m.id);
+      [m.home, m.away].forEach(t => {
+        if (!known.has(t)) problems.push(`${where} uses unknown team ${t}.`);
+      });
+      if (m.home === m.away) problems.push(`${where} has ${m.home} playing itself.`);
+      const group = groups[m.groupIndex];
+      if (!group) problems.push(`${where} points to a group that does not exist.`);
+      else if (!group.includes(m.home) || !group.includes(m.away)) problems.push(`${where} pairs teams from different groups.`);
+      if (m.status === 'played' && (!isGoalCount(m.homeGoals) || !isGoalCount(m.awayGoals))) {
+        problems.push(`${where} has an impossible score ${m.homeGoals}-${m.awayGoals}.`);
+      }
+      if (m.status !== 'played' && m.status !== 'scheduled') problems.push(`${where} has unknown status ${m.status}.`);
+      if (m.events !== undefined && !Array.isArray(m.events)) problems.push(`${where} has malformed events.`);
+      else if (m.status === 'played' && m.events) {
+        validateEvents(m.events, m.homeGoals, m.awayGoals).forEach(p => problems.push(`${where}: ${p}`));
+      }
+    });
+
+    const bracket = state.knockout;
+    if (bracket) {
+      KO_ROUNDS.forEach(key => {
+        (bracket[key] || []).forEach(t => {
+          [t.home, t.away].forEach(team => {
+            if (team != null && !known.has(team)) problems.push(`Knockout tie ${t.id} uses unknown team ${team}.`);
+          });
+          const problem = tieProblem(t);
+          if (problem) problems.push(problem);
+        });
+      });
+    }
+
+    // a shared link or a file carries its own calendar and profiles, both shown as they are
+    const slots = Object.entries(state.calendar || {});
+    const fixtureIds = new Set(slots.length ? tournamentFixtures(state).map(f => f.id) : []);
+    slots.forEach(([id, slot]) => {
+      if (!fixtureIds.has(id)) problems.push(`Calendar entry ${id} is not a fixture of the tournament.`);
+      else if (!slot || !KICKOFF_PATTERN.test(slot.kickoff) || typeof slot.venue !== 'string') {
+        problems.push(`Calendar entry ${id} needs a kickoff like 2025-06-14T18:30 and a venue name.`);
+      }
+    });
+    validateTeamProfiles(state.config).forEach(p => problems.push(p));
+    return problems;
+  }
+
+  // migrates and validates; throws with every problem found
+  function readState(data) {
+    const state = migrateState(data);
+    const problems = validateState(state);
+    if (problems.length) {
+      throw new Error(problems.join('\n- '));
+    }
+    return state;
+  }
+
+  /* ------------------------
+     Integrity check
+     stored state can be half-edited by hand or left stale by an older page
+     (groups redrawn but the round counter kept, a knockout drawn from standings
+     that later changed, ...). diagnoseState lists what disagrees as
+     [{ code, message, repair }]; repair names an entry of INTEGRITY_REPAIRS,
+     or is null when only a new draw can fix it. Repairs change as little as
+     they can: valid results are kept and only what contradicts the groups goes.
+     ------------------------ */
+  const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+  // every group match the current groups call for, id -> match; a league matchday
+  // comes from the table, so there any two league teams may meet on any matchday
+  function expectedFixtures(state) {
+    const fixtures = new Map();
+    if (isLeague(state.config)) {
+      const league = state.groups[0] || [];
+      for (let r = 1; r <= roundsPerGroup(state.config); r++) {
+        league.forEach(home => league.forEach(away => {
+          if (home === away) return;
+          const m = leagueMatchObj(r, home, away);
+          fixtures.set(m.id, m);
+        }));
+      }
+      return fixtures;
+    }
+    state.groups.forEach((group, gi) => {
+      buildGroupSchedule(group, state.config.doubleRoundRobin).forEach((pairs, r) => {
+        pairs.forEach(([home, away]) => {
+          const m = makeMatchObj(gi, r + 1, home, away);
+          fixtures.set(m.id, m);
+        });
+      });
+    });
+    return fixtures;
+  }
+
+  // what is wrong with a group match's score, or null
+  function matchScoreProblem(m) {
+    if (m.status !== 'played' && m.status !== 'scheduled') return `has unknown status ${m.status}`;
+    if (m.events != null && !Array.isArray(m.events)) return 'has malformed events';
+    if (m.status === 'played' && (!isGoalCount(m.homeGoals) || !isGoalCount(m.awayGoals))) {
+      return `has an impossible score ${m.homeGoals}-${m.awayGoals}`;
+    }
+    return null;
+  }
+
+  // the highest matchday with a generated match
+  const highestRound = (matches) => matches.reduce((max, m) => Math.max(max, m.round), 0);
+
+  // field -> test for a shape the app cannot read, with the empty value that replaces it
+  const MALFORMED = {
+    groups: { empty: () => [], test: (v) => !Array.isArray(v) || v.some(g => !Array.isArray(g)) },
+    matches: { empty: () => [], test: (v) => !Array.isArray(v) },
+    knockout: {
+      empty: () => null,
+      test: (v) => v != null && (!isPlainObject(v) || KO_ROUNDS.some(key => v[key] != null && !Array.isArray(v[key])))
+    },
+    lots: { empty: () => ({}), test: (v) => v != null && !isPlainObject(v) },
+    calendar: { empty: () => ({}), test: (v) => v != null && !isPlainObject(v) },
+    draws: { empty: () => [], test: (v) => v != null && !Array.isArray(v) }
+  };
+
+  // the fields that cannot be read at all; the other checks need them
+  function shapeIssues(state) {
+    return Object.keys(MALFORMED).filter(field => MALFORMED[field].test(state[field])).map(field => ({
+      code: 'malformed',
+      message: `The saved ${field} are not in a shape the app can read.`,
+      repair: 'resetMalformed'
+    }));
+  }
+
+  function diagnoseState(state) {
+    const shape = shapeIssues(state);
+    if (shape.length) return shape;
+    const issues = [];
+    const add = (code, message, repair) => issues.push({ code, message, repair });
+    const config = state.config;
+    const name = (team) => teamName(config, team);
+    const groups = state.groups;
+
+    // teams: each in exactly one group, and the groups are the tournament's teams
+    const seen = new Set();
+    groups.flat().forEach(t => {
+      if (seen.has(t)) add('teamTwice', `${name(t)} is in more than one group. Draw the groups again to fix it.`, null);
+      seen.add(t);
+    });
+    if (groups.length) {
+      const listed = new Set(config.teams || []);
+      const missing = [...listed].filter(t => !seen.has(t));
+      const extra = [...seen].filter(t => !listed.has(t));
+      if (missing.length) add('teamMissing', `${missing.map(name).join(', ')} ${missing.length === 1 ? 'is' : 'are'} in the tournament but in no group.`, 'syncTeams');
+      if (extra.length) add('teamUnlisted', `${extra.map(name).join(', ')} ${extra.length === 1 ? 'plays' : 'play'} in a group but ${extra.length === 1 ? 'is' : 'are'} not in the tournament.`, 'syncTeams');
+      if (groups.length !== config.groupCount || groups.some(g => g.length > config.teamsPerGroup)) {
+        add('groupShape', `The groups do not match the format (${config.groupCount} groups of ${config.teamsPerGroup}). Draw the groups again to fix it.`, null);
+      }
+    }
+
+    // group matches: one per id, each one a fixture of the current groups
+    const fixtures = expectedFixtures(state);
+    const ids = new Set();
+    const valid = [];
+    state.matches.forEach((m, i) => {
+      if (!isPlainObject(m) || !m.id) {
+        add('orphanMatch', `Match #${i + 1} has no id.`, 'dropOrphanMatches');
+        return;
+      }
+      if (ids.has(m.id)) {
+        add('duplicateMatch', `Match ${m.id} is stored more than once.`, 'dropDuplicateMatches');
+        return;
+      }
+      ids.add(m.id);
+      const fixture = fixtures.get(m.id);
+      if (!fixture) {
+        add('orphanMatch', `Match ${m.id} is not a fixture of the current groups${m.status === 'played' ? ' (its result would be lost)' : ''}.`, 'dropOrphanMatches');
+        return;
+      }
+      if (['groupIndex', 'round', 'home', 'away'].some(f => m[f] !== fixture[f])) {
+        add('fixtureFields', `Match ${m.id} lists different teams, group or matchday than its id.`, 'restoreFixtures');
+      }
+      const problem = matchScoreProblem(m);
+      if (problem) add('impossibleScore', `Match ${m.id} ${problem}.`, 'voidImpossibleScores');
+      else if (m.status === 'played' && m.events && validateEvents(m.events, m.homeGoals, m.awayGoals).length) {
+        add('badEvents', `The events of match ${m.id} do not fit its score.`, 'clearBadEvents');
+      }
+      valid.push(fixture);
+    });
+
+    // the round counter: the highest matchday generated, every matchday up to it complete
+    const highest = highestRound(valid);
+    if (state.generatedRounds !== highest) {
+      const found = highest ? `matches exist up to matchday ${highest}` : 'there are no matches';
+      add('roundCounter', `The round counter says ${state.generatedRounds} matchday(s) were generated, but ${found}.`, 'syncRounds');
+    }
+    // (a league matchday cannot be paired again after the fact, so it is not checked)
+    const missing = isLeague(config) ? [] : [...fixtures.values()].filter(f => f.round <= highest && !ids.has(f.id));
+    if (missing.length) {
+      add('missingMatches', `${missing.length} match(es) of matchdays 1-${highest} were never generated.`, 'syncRounds');
+    }
+
+    // the knockout: only after the group stage, drawn from the final standings
+    const bracket = state.knockout;
+    if (hasKnockout(bracket)) {
+      KO_ROUNDS.forEach(key => (bracket[key] || []).forEach(t => {
+        const problem = isPlainObject(t) ? tieProblem(t) : 'A knockout tie is unreadable.';
+        if (problem) add('impossibleTie', problem, 'voidImpossibleTies');
+      }));
+      if (!issues.length) issues.push(...knockoutIssues(state));
+    }
+    return issues;
+  }
+
+  // needs the group stage to be consistent, so only runs when nothing else is wrong
+  function knockoutIssues(state) {
+    const bracket = state.knockout;
+    if (!groupStageComplete(state)) {
+      return [{
+        code: 'earlyKnockout',
+        message: 'A knockout bracket exists although the group stage is not finished.',
+        repair: 'rebuildKnockout'
+      }];
+    }
+    // standings settled by lots that were never drawn cannot be compared
+    const probe = JSON.parse(JSON.stringify({ ...state, history: null }));
+    const pool = knockoutQualifiers(probe);
+    if (Object.keys(probe.lots).length > Object.keys(state.lots || {}).length) return [];
+    const firstRound = KO_ROUNDS.find(key => bracket[key] && bracket[key].length);
+    const drawn = bracket[firstRound].map(t => `${t.home}|${t.away}`).join(',');
+    const expected = knockoutPairs(pool, knockoutFormat(state.config)).map(([home, away]) => `${home}|${away}`).join(',');
+    if (drawn !== expected) {
+      return [{
+        code: 'staleKnockout',
+        message: `The knockout bracket does not follow the final group standings${KO_ROUNDS.some(key => (bracket[key] || []).some(t => t.status === 'played' || t.firstLeg)) ? ' (its results would be lost)' : ''}.`,
+        repair: 'rebuildKnockout'
+      }];
+    }
+    const advanced = advanceKnockout(JSON.parse(JSON.stringify(bracket)));
+    if (JSON.stringify(advanced) !== JSON.stringify(bracket)) {
+      return [{
+        code: 'knockoutProgress',
+        message: 'Later knockout rounds do not follow the winners of the earlier ones.',
+        repair: 'advanceKnockout'
+      }];
+    }
+    return [];
+  }
+
+  // repair key -> { label, destructive, run(state) }; destructive repairs drop results
+  const INTEGRITY_REPAIRS = {
+    resetMalformed: {
+      label: 'Clear the unreadable parts',
+      destructive: true,
+      run(state) {
+        // without groups nothing that refers to them can stay
+        if (MALFORMED.groups.test(state.groups)) startGroupStage(state, []);
+        Object.keys(MALFORMED).forEach(field => {
+          if (MALFORMED[field].test(state[field])) state[field] = MALFORMED[field].empty();
+        });
+      }
+    },
+    syncTeams: {
+      label: 'Use the teams in the groups',
+      run(state) {
+        state.config.teams = state.groups.flat();
+        // pots listed the old teams
+        state.config.pots = null;
+      }
+    },
+    dropOrphanMatches: {
+      label: 'Remove those matches',
+      destructive: true,
+      run(state) {
+        const fixtures = expectedFixtures(state);
+        state.matches = state.matches.filter(m => isPlainObject(m) && fixtures.has(m.id));
+      }
+    },
+    dropDuplicateMatches: {
+      label: 'Keep one copy',
+      run(state) {
+        // a played copy wins over a scheduled one, otherwise the first
+        const kept = new Map();
+        state.matches.forEach(m => {
+          if (!isPlainObject(m) || !m.id) return;
+          const prev = kept.get(m.id);
+          if (!prev || (prev.status !== 'played' && m.status === 'played')) kept.set(m.id, m);
+        });
+        state.matches = state.matches.filter(m => !isPlainObject(m) || !m.id || kept.get(m.id) === m);
+      }
+    },
+    restoreFixtures: {
+      label: 'Restore teams from the match id',
+      run(state) {
+        const fixtures = expectedFixtures(state);
+        state.matches.forEach(m => {
+          const fixture = isPlainObject(m) && fixtures.get(m.id);
+          if (!fixture) return;
+          ['groupIndex', 'groupName', 'round', 'home', 'away'].forEach(f => { m[f] = fixture[f]; });
+        });
+      }
+    },
+    voidImpossibleScores: {
+      label: 'Clear those results',
+      destructive: true,
+      run(state) {
+        state.matches.forEach(m => {
+          if (!isPlainObject(m) || !matchScoreProblem(m)) return;
+          Object.assign(m, { homeGoals: null, awayGoals: null, events: [], status: 'scheduled' });
+        });
+      }
+    },
+    clearBadEvents: {
+      label: 'Clear those events',
+      run(state) {
+        state.matches.forEach(m => {
+          if (isPlainObject(m) && m.status === 'played' && Array.isArray(m.events) &&
+              validateEvents(m.events, m.homeGoals, m.awayGoals).length) {
+            m.events = [];
+          }
+        });
+      }
+    },
+    syncRounds: {
+      label: 'Fix the round counter',
+      run(state) {
+        const fixtures = expectedFixtures(state);
+        const highest = highestRound(state.matches.filter(m => isPlainObject(m) && fixtures.has(m.id)).map(m => fixtures.get(m.id)));
+        for (let r = 1; r <= highest; r++) scheduleRound(state, r);
+        state.generatedRounds = highest;
+      }
+    },
+    voidImpossibleTies: {
+      label: 'Clear those ties',
+      destructive: true,
+      run(state) {
+        const bracket = state.knockout;
+        KO_ROUNDS.forEach(key => {
+          bracket[key] = (bracket[key] || []).map((t, i) => {
+            if (isPlainObject(t) && !tieProblem(t)) return t;
+            const tie = isPlainObject(t) ? t : {};
+            return makeKnockoutTie(key, i, tie.home || null, tie.away || null, bracket.format);
+          });
+        });
+        advanceKnockout(bracket);
+      }
+    },
+    rebuildKnockout: {
+      label: 'Draw the knockout again',
+      destructive: true,
+      run(state) {
+        state.knockout = null;
+        ensureKnockout(state);
+      }
+    },
+    advanceKnockout: {
+      label: 'Rebuild the later rounds',
+      run(state) {
+        advanceKnockout(state.knockout);
+      }
+    }
+  };
+
+  // applies one repair in place and returns the state
+  function repairState(state, repair) {
+    if (!INTEGRITY_REPAIRS[repair]) throw new Error(`Unknown repair ${repair}.`);
+    INTEGRITY_REPAIRS[repair].run(state);
+    return state;
+  }
+
+  // applies repairs until nothing repairable is left; a repair can reveal the next
+  // problem (dropping orphans changes the round counter), so this diagnoses again each time
+  function repairAll(state) {
+    const applied = [];
+    for (let pass = 0; pass < Object.keys(INTEGRITY_REPAIRS).length * 2; pass++) {
+      const next = diagnoseState(state).find(issue => issue.repair);
+      if (!next) break;
+      repairState(state, next.repair);
+      applied.push(next.repair);
+    }
+    return applied;
+  }
+
+  /* ------------------------
+     Snapshots
+     what a shared link carries: enough to show the tables and the bracket, read
+     back with readState like an import. The undo history and the draw log stay
+     home, and uploaded crests (data: URLs) are left out as they would not fit
+     in a URL; crest files next to the pages still show.
+     ------------------------ */
+  function snapshotOf(state, name = 'EFOOTBALL CUP') {
+    const teamMeta = {};
+    Object.entries(state.config.teamMeta || {}).forEach(([team, meta]) => {
+      teamMeta[team] = meta && String(meta.crest || '').startsWith('data:') ? { ...meta, crest: '' } : meta;
+    });
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      name,
+      takenAt: new Date().toISOString(),
+      config: { ...state.config, teamMeta },
+      groups: state.groups,
+      matches: state.matches,
+      generatedRounds: state.generatedRounds || 0,
+      knockout: state.knockout || null,
+      lots: state.lots || {},
+      history: null,
+      calendar: state.calendar || {}
+    };
+  }
+
+  return {
+    // randomness & helpers
+    normalizeSeed, newSeed, createRng, shuffle, ordinal, groupLetter,
+    // config
+    KNOCKOUT_SIZES, defaultConfig, isLeague, leagueByes, fitLeagueShape, knockoutSize, roundsPerGroup, totalGroupMatches,
+    groupTitle, validateConfig, createState,
+    // team profiles
+    teamMetaOf, shortCode, teamProfile, teamName, findTeamId, validateTeamProfiles,
+    // draw
+    getPots, clashes, drawGroups, startGroupStage, drawTournament, currentDrawSeed,
+    // schedule
+    buildGroupSchedule, restingTeams, makeMatchObj, scheduleRound, pairNextLeagueRound,
+    // standings
+    TIEBREAK_RULES, TIEBREAK_PRESETS, rankRows, tiebreakRules, computeStandings, rankGroup, getBestFourThirds,
+    // events
+    FAIR_PLAY_POINTS, SUSPENSION_RULES, goalsFromEvents, validateEvents, teamOfSide, playersByTeam,
+    computePlayerStats, computeSuspensions,
+    // knockout
+    KO_ROUNDS, KO_LABELS, KO_PREFIX, groupStageComplete, knockoutQualifiers, seedingOrder, buildKnockoutBracket,
+    firstKnockoutRound, makeKnockoutTie, knockoutWinner, advanceKnockout, createKnockout, hasKnockout, ensureKnockout,
+    findKnockoutTie, formatKnockoutScore, setKnockoutResult, knockoutFormat, isTwoLegged, tieAggregate, tieLeader,
+    knockoutRoundLabel, knockoutPairs,
+    // simulation
+    AVERAGE_GOALS, SIMULATION_RUNS, teamRatings, simulateScore, simulateKnockoutScore, simulateTournament,
+    // scenarios
+    SCENARIO_MATCH_LIMIT, SCENARIO_STATUS, qualificationScenarios,
+    // calendar
+    defaultCalendarSettings, calendarSettings, validateCalendarSettings, tournamentFixtures, fixturePlayed, planCalendar,
+    fixtureCalendar, calendarToIcs,
+    // results & history
+    resultOf, sameResult, historyOf, applyResult, changeResult, changeResults, undoResult, redoResult,
+    // pasted results
+    PASTE_STATUS, matchTeamName, parseResultLine, matchPastedResults, applyPastedResults,
+    // schema
+    SCHEMA_VERSION, migrateState, validateState, readState,
+    // integrity
+    INTEGRITY_REPAIRS, diagnoseState, repairState, repairAll,
+    // snapshots
+    snapshotOf
+  };
+});
@@ -0,0 +1,190 @@
+/* i18n.js - translations for the pages
+   English is written in the code and is the key of every string: tr('Create groups first.').
+   A language pack (lang/fr.js, lang/ar.js) maps those keys to its own text; a key it
+   lacks shows in English. {name} placeholders are filled from params, numbers in the
+   locale's own digits, and a pack value can be { zero, one, two, few, many, other },
+   chosen by Intl.PluralRules on params.count. A pack's ordinal ({ one: '{n}er', other: '{n}e' })
+   is chosen the same way by the ordinal rules.
+   engine.js and cli.js stay English. The sentences the engine puts together are matched
+   against the pack keys that hold placeholders (translateMessage): "Duplicate team: PSG"
+   finds "Duplicate team: {team}", and each filled-in part is translated in turn.
+   Loaded as a classic script it defines window.EfI18n; in Node it is a CommonJS module.
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.EfI18n = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  'use strict';
+
+  /* ------------------------
+     Language packs
+     { name, locale, dir: 'ltr' | 'rtl', ordinal, messages: { English key -> text } }
+     ------------------------ */
+  const packs = {};
+
+  function registerPack(code, pack) {
+    packs[code] = { ...pack, templates: null };
+  }
+
+  // English is the code itself; it only needs the forms a count changes
+  registerPack('en', {
+    name: 'English',
+    locale: 'en-GB',
+    dir: 'ltr',
+    ordinal: { one: '{n}st', two: '{n}nd', few: '{n}rd', other: '{n}th' },
+    messages: {
+      '{count} teams': { one: '{count} team', other: '{count} teams' },
+      '{count} matches': { one: '{count} match', other: '{count} matches' },
+      'Apply {count} results': { one: 'Apply {count} result', other: 'Apply {count} results' },
+      '{count} lines will be skipped. Apply the rest?': {
+        one: '{count} line will be skipped. Apply the rest?',
+        other: '{count} lines will be skipped. Apply the rest?'
+      },
+      '{count} results saved.': { one: '{count} result saved.', other: '{count} results saved.' },
+      '{count} goals': { one: '{count} goal', other: '{count} goals' }
+    }
+  });
+
+  let active = packs.en;
+
+  const languages = () => Object.keys(packs).map(code => ({ code, name: packs[code].name, dir: packs[code].dir }));
+  const language = () => Object.keys(packs).find(code => packs[code] === active);
+  const direction = () => active.dir;
+  const locale = () => active.locale;
+
+  function setLanguage(code) {
+    active = packs[code] || packs.en;
+    formatters.clear();
+    return language();
+  }
+
+  // the saved choice, else the first browser language with a pack, else English
+  function languageOf(saved, browserLanguages = []) {
+    if (packs[saved]) return saved;
+    const found = browserLanguages.map(l => String(l).toLowerCase().split('-')[0]).find(l => packs[l]);
+    return found || 'en';
+  }
+
+  /* ------------------------
+     Numbers & dates
+     ------------------------ */
+  const formatters = new Map();
+
+  function formatter(kind, options) {
+    const key = `${kind}${JSON.stringify(options)}`;
+    if (!formatters.has(key)) {
+      formatters.set(key, kind === 'number'
+        ? new Intl.NumberFormat(active.locale, options)
+        : new Intl.DateTimeFormat(active.locale, options));
+    }
+    return formatters.get(key);
+  }
+
+  const formatNumber = (value, options = {}) => formatter('number', options).format(value);
+  const formatDate = (date, options = {}) => formatter('date', options).format(date);
+
+  // every digit of a finished string ("2 - 1 (3 - 1 aet)") in the locale's digits
+  const localizeDigits = (text) => String(text).replace(/\d/g, d => formatNumber(Number(d)));
+
+  // 3 -> "3rd", "3e", "الـ٣"
+  function ordinal(n) {
+    const forms = active.ordinal || packs.en.ordinal;
+    const rule = new Intl.PluralRules(active.locale, { type: 'ordinal' }).select(n);
+    return (forms[rule] || forms.other).replace('{n}', formatNumber(n));
+  }
+
+  /* ------------------------
+     Messages
+     ------------------------ */
+  const lookup = (key) => (active.messages[key] !== undefined ? active.messages[key] : packs.en.messages[key]);
+
+  function pickPlural(value, count) {
+    if (typeof value === 'string') return value;
+    const rule = typeof count === 'number' ? new Intl.PluralRules(active.locale).select(count) : 'other';
+    return value[rule] || value.other;
+  }
+
+  const fill = (text, params) => text.replace(/\{(\w+)\}/g, (whole, name) => {
+    if (params[name] === undefined) return whole;
+    return typeof params[name] === 'number' ? formatNumber(params[name]) : String(params[name]);
+  });
+
+  function tr(key, params = {}) {
+    const value = lookup(key);
+    return fill(value === undefined ? key : pickPlural(value, params.count), params);
+  }
+
+  const escapeRegExp = (text) => text.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+
+  // the keys with placeholders as patterns, the most specific first
+  function templatesOf(pack) {
+    if (!pack.templates) {
+      pack.templates = Object.keys(pack.messages)
+        .filter(key => /\{\w+\}/.test(key))
+        .sort((a, b) => b.replace(/\{\w+\}/g, '').length - a.replace(/\{\w+\}/g, '').length)
+        .map(key => {
+          const names = [];
+          const source = escapeRegExp(key).replace(/\\?\{(\w+)\\?\}/g, (whole, name) => {
+            names.push(name);
+            return '(.+?)';
+          });
+          return { key, names, pattern: new RegExp(`^${source}$`) };
+        });
+    }
+    return pack.templates;
+  }
+
+  // a sentence the engine composed in English, in the active language where the pack knows it
+  function translateMessage(text) {
+    if (active === packs.en || text == null) return text;
+    if (active.messages[text] !== undefined) return tr(text);
+    for (const template of templatesOf(active)) {
+      const match = template.pattern.exec(text);
+      if (!match) continue;
+      const params = {};
+      template.names.forEach((name, i) => {
+        const part = match[i + 1];
+        const place = /^(\d+)(st|nd|rd|th)$/.exec(part);
+        if (/^\d+$/.test(part)) params[name] = Number(part);
+        else params[name] = place ? ordinal(Number(place[1])) : translateMessage(part);
+      });
+      return tr(template.key, params);
+    }
+    return text;
+  }
+
+  /* ------------------------
+     Static pages
+     the English text of the HTML is the key: text nodes and the placeholder,
+     title and aria-label attributes under root are swapped for the pack's text
+     ------------------------ */
+  const DOM_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+
+  function translateDom(root) {
+    if (active === packs.en) return;
+    const doc = root.ownerDocument || root;
+    const walker = doc.createTreeWalker(root, 4 /* NodeFilter.SHOW_TEXT */);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    nodes.forEach(node => {
+      const parent = node.parentNode;
+      if (!parent || parent.nodeName === 'SCRIPT' || parent.nodeName === 'STYLE') return;
+      const text = node.nodeValue.trim();
+      if (!text || lookup(text) === undefined) return;
+      node.nodeValue = node.nodeValue.replace(text, tr(text));
+    });
+    root.querySelectorAll(DOM_ATTRIBUTES.map(a => `[${a}]`).join(',')).forEach(el => {
+      DOM_ATTRIBUTES.forEach(a => {
+        const value = el.getAttribute(a);
+        if (value && lookup(value) !== undefined) el.setAttribute(a, tr(value));
+      });
+    });
+  }
+
+  return {
+    registerPack, languages, language, direction, locale, setLanguage, languageOf,
+    formatNumber, formatDate, localizeDigits, ordinal,
+    tr, translateMessage, translateDom
+  };
+});
@@ -0,0 +1,533 @@
+/* lang/ar.js - Arabic, right to left
+   Keys are the English text of the pages, script.js and engine.js; see i18n.js.
+   Team names, codes and seeds stay as they are typed.
+*/
+
+EfI18n.registerPack('ar', {
+  name: 'العربية',
+  locale: 'ar',
+  dir: 'rtl',
+  ordinal: { other: 'الـ{n}' },
+  messages: {
+    /* ---- Pages ---- */
+    'EFOOTBALL CUP - {page}': 'EFOOTBALL CUP - {page}',
+    '{page} - EFOOTBALL CUP': '{page} - EFOOTBALL CUP',
+    'Language': 'اللغة',
+    'Home': 'الرئيسية',
+    'Teams': 'الفرق',
+    'Draw': 'القرعة',
+    'Group Stage': 'دور المجموعات',
+    'Knockout Stage': 'الأدوار الإقصائية',
+    'Knockout': 'الأدوار الإقصائية',
+    'Calendar': 'الجدول الزمني',
+    'Odds': 'الاحتمالات',
+    'Big Screen': 'الشاشة الكبيرة',
+    'Create Tournament': 'إنشاء بطولة',
+    'Reset': 'إعادة ضبط',
+    'Exit': 'خروج',
+
+    // index.html
+    'Welcome to the EFOOTBALL CUP!': 'مرحبًا بك في EFOOTBALL CUP!',
+    'Manage your own football tournament — create teams, organize matches, and track results!':
+      'أدر بطولتك الخاصة لكرة القدم — أنشئ الفرق، ونظّم المباريات، وتابع النتائج!',
+    'Start Tournament': 'ابدأ البطولة',
+    'Tournaments': 'البطولات',
+    'New Tournament': 'بطولة جديدة',
+    'Backup': 'النسخ الاحتياطي',
+    'Save the open tournament to a JSON file, or load one exported on another machine as a new tournament.':
+      'احفظ البطولة المفتوحة في ملف JSON، أو حمّل ملفًا صُدّر على جهاز آخر كبطولة جديدة.',
+    'Export Tournament': 'تصدير البطولة',
+    'Import Tournament': 'استيراد بطولة',
+    '© 2025 EFOOTBALL CUP. All rights reserved.': '© 2025 EFOOTBALL CUP. جميع الحقوق محفوظة.',
+
+    // create.html
+    'Tournament name': 'اسم البطولة',
+    'Participants': 'المشاركون',
+    '(one per line or comma separated)': '(واحد في كل سطر أو مفصولة بفواصل)',
+    'Use default teams': 'استخدم الفرق الافتراضية',
+    'Format': 'النظام',
+    'Groups': 'مجموعات',
+    'League phase (Swiss system)': 'مرحلة الدوري (النظام السويسري)',
+    'Tiebreakers': 'كسر التعادل',
+    'Number of groups': 'عدد المجموعات',
+    'Teams per group': 'عدد الفرق في كل مجموعة',
+    'Qualifiers per group': 'المتأهلون من كل مجموعة',
+    'Best next-placed qualifiers': 'أفضل أصحاب المركز التالي المتأهلين',
+    'Home and away legs (double round-robin)': 'ذهاب وإياب (دوري من دورين)',
+    'Matches per team': 'عدد مباريات كل فريق',
+    'Seeding pots': 'مستويات التصنيف',
+    'Straight to the knockout': 'مباشرة إلى الأدوار الإقصائية',
+    'Into the play-offs': 'إلى الملحق',
+    'Two-legged knockout rounds': 'أدوار إقصائية من مباراتين',
+    'Away goals break a level aggregate': 'الأهداف خارج الأرض تكسر التعادل في مجموع المباراتين',
+    'Main Cup': 'الكأس الرئيسية',
+
+    // draw.html
+    'Group Draw': 'قرعة المجموعات',
+    'Start Draw': 'ابدأ القرعة',
+    'Skip Animation': 'تخطَّ العرض',
+    'Go to Group Stage': 'انتقل إلى دور المجموعات',
+    'Pots & separation': 'المستويات والفصل',
+    'Keep teams from the same country apart': 'افصل بين فرق البلد الواحد',
+    'Keep teams from the same confederation apart': 'افصل بين فرق الاتحاد القاري الواحد',
+    'Seed (blank for random)': 'البذرة (اتركها فارغة لقرعة عشوائية)',
+
+    // groups.html
+    'Generate Groups': 'كوّن المجموعات',
+    'Generate Next Round': 'أنشئ الجولة التالية',
+    'Undo': 'تراجع',
+    'Redo': 'إعادة',
+    'Paste Results': 'لصق النتائج',
+    'Simulate Rest of Round': 'حاكِ بقية الجولة',
+    'Share': 'مشاركة',
+    'What Does My Team Need?': 'ماذا يحتاج فريقي؟',
+    'Work out scenarios': 'احسب السيناريوهات',
+    'Played Matches': 'المباريات الملعوبة',
+    'Player Stats': 'إحصاءات اللاعبين',
+    'History': 'السجل',
+    'Go to Knockout Stage': 'انتقل إلى الأدوار الإقصائية',
+    'Result': 'النتيجة',
+    'Match events': 'أحداث المباراة',
+    '+ Goal': '+ هدف',
+    '+ Card': '+ بطاقة',
+    'Cancel': 'إلغاء',
+    'Save': 'حفظ',
+    'One result per line, e.g.': 'نتيجة واحدة في كل سطر، مثل',
+    'or CSV rows': 'أو أسطر CSV',
+    'Apply': 'تطبيق',
+    'Fills the open matches of the shown round with random results': 'يملأ المباريات المفتوحة في الجولة المعروضة بنتائج عشوائية',
+    'Copies a link that shows the tables and the bracket as they are now': 'ينسخ رابطًا يعرض الجداول والمخطط كما هي الآن',
+
+    // knockout.html
+    'Print': 'طباعة',
+    'Save as PNG': 'حفظ كصورة PNG',
+    'Round of 32': 'دور الـ32',
+    'Round of 16': 'دور الـ16',
+    'Quarterfinals': 'ربع النهائي',
+    'Semifinals': 'نصف النهائي',
+    'Final': 'النهائي',
+    '1st leg': 'الذهاب',
+    '2nd leg': 'الإياب',
+    '2nd leg played': 'لُعبت مباراة الإياب',
+    'Extra time goals': 'أهداف الوقت الإضافي',
+    'Penalties': 'ركلات الترجيح',
+
+    // calendar.html
+    'Slots': 'المواعيد',
+    'First matchday': 'الجولة الأولى',
+    'Kickoff times': 'مواعيد الانطلاق',
+    'Consoles / streams': 'أجهزة اللعب / البث',
+    'Console 1, Console 2': 'الجهاز 1، الجهاز 2',
+    'Match length (min)': 'مدة المباراة (دقيقة)',
+    'Rest between matches (min)': 'الراحة بين المباريات (دقيقة)',
+    'Plan Calendar': 'خطّط الجدول',
+    'Download .ics': 'تنزيل ملف .ics',
+    'Played matches keep their slot when the calendar is planned again. Import the .ics file into any calendar app.':
+      'تحتفظ المباريات الملعوبة بموعدها عند إعادة تخطيط الجدول. استورد ملف .ics في أي تطبيق تقويم.',
+
+    // odds.html
+    'Runs': 'عدد المحاكاة',
+    'Run Simulation': 'شغّل المحاكاة',
+    'Team ratings': 'تقييمات الفرق',
+    '1 is an average team, 1.5 clearly stronger, 0.7 clearly weaker. Leave a rating blank to derive it from the goals scored and conceded so far.':
+      '1 فريق متوسط، و1.5 أقوى بوضوح، و0.7 أضعف بوضوح. اترك التقييم فارغًا ليُحسب من الأهداف المسجلة والمستقبلة حتى الآن.',
+
+    // teams.html
+    'Names, short codes, crests and colours show up in the tables, match cards and bracket. Renaming a team keeps all of its results. A crest is an image file next to these pages (crests/rma.png) or an uploaded picture.':
+      'تظهر الأسماء والرموز المختصرة والشعارات والألوان في الجداول وبطاقات المباريات والمخطط. تغيير اسم الفريق يحتفظ بكل نتائجه. الشعار ملف صورة بجانب هذه الصفحات (crests/rma.png) أو صورة مرفوعة.',
+    'Save Teams': 'حفظ الفرق',
+
+    /* ---- script.js ---- */
+    '→': '←',
+    '{name} (copy)': '{name} (نسخة)',
+    'New Cup': 'كأس جديدة',
+    'Champion: {team}': 'البطل: {team}',
+    'CHAMPION': 'البطل',
+    'Not started': 'لم تبدأ',
+    'League phase {played}/{total}': 'مرحلة الدوري {played}/{total}',
+    'Group stage {played}/{total}': 'دور المجموعات {played}/{total}',
+    'TBD': 'لم يُحدد',
+    'created {date}': 'أُنشئت في {date}',
+    'Open': 'فتح',
+    'Rename': 'إعادة تسمية',
+    'Duplicate': 'تكرار',
+    'Archive': 'أرشفة',
+    'Unarchive': 'إلغاء الأرشفة',
+    'Delete': 'حذف',
+    'Archived': 'المؤرشفة',
+    'No active tournaments.': 'لا توجد بطولات نشطة.',
+    'Name of the new tournament': 'اسم البطولة الجديدة',
+    'Delete "{name}" and all of its results? This cannot be undone.': 'حذف «{name}» وكل نتائجها؟ لا يمكن التراجع عن ذلك.',
+    'Import failed: the file is not valid JSON.': 'فشل الاستيراد: الملف ليس JSON صالحًا.',
+    'Import failed:': 'فشل الاستيراد:',
+    'Tournament "{name}" imported.': 'تم استيراد البطولة «{name}».',
+    'Tournament "{name}" saved on this device.': 'تم حفظ البطولة «{name}» على هذا الجهاز.',
+    'Tournament setup is incomplete:': 'إعداد البطولة غير مكتمل:',
+    'This replaces the current tournament. Continue?': 'سيحل هذا محل البطولة الحالية. هل تريد المتابعة؟',
+    'Reset tournament and clear saved data?': 'إعادة ضبط البطولة ومسح البيانات المحفوظة؟',
+    'Tournament reset.': 'تمت إعادة ضبط البطولة.',
+    'A new version of the app is ready.': 'إصدار جديد من التطبيق جاهز.',
+    'Reload': 'إعادة التحميل',
+    'Later': 'لاحقًا',
+
+    // create page summary
+    '{count} teams': {
+      zero: 'لا فرق',
+      one: 'فريق واحد',
+      two: 'فريقان',
+      few: '{count} فرق',
+      many: '{count} فريقًا',
+      other: '{count} فريق'
+    },
+    '{groups} groups of {size} ({rounds} matchdays)': '{groups} مجموعات من {size} فرق ({rounds} جولات)',
+    '{groups} groups of {size} ({rounds} matchdays, home & away)': '{groups} مجموعات من {size} فرق ({rounds} جولات، ذهابًا وإيابًا)',
+    'League of {teams} ({matches} matches each, {pots} pots)': 'دوري من {teams} فريقًا ({matches} مباريات لكل فريق، {pots} مستويات)',
+    'top {count}': 'أول {count}',
+    '{count} best {place}': 'أفضل {count} من أصحاب المركز {place}',
+    'two legs: {rounds}': 'ذهاب وإياب: {rounds}',
+    'away goals': 'الأهداف خارج الأرض',
+
+    // groups page
+    'Team': 'الفريق',
+    'P': 'لعب',
+    'Pts': 'نقاط',
+    'W': 'ف',
+    'D': 'ت',
+    'L': 'خ',
+    'GF': 'له',
+    'GA': 'عليه',
+    'GD': 'الفارق',
+    'Matchday {round} of {total}': 'الجولة {round} من {total}',
+    'Round {round} of {total}': 'الجولة {round} من {total}',
+    'Not paired yet: a matchday is paired from the table once the one before it is finished.':
+      'لم تُحدد المواجهات بعد: تُحدد مواجهات الجولة من الترتيب بعد انتهاء الجولة السابقة.',
+    'No matches for this round. Click "Generate Next Round".': 'لا مباريات في هذه الجولة. اضغط «أنشئ الجولة التالية».',
+    'Played': 'لُعبت',
+    'Edit': 'تعديل',
+    'Void': 'إلغاء النتيجة',
+    'Suspended:': 'موقوفون:',
+    'Resting:': 'في راحة:',
+    'Create groups first.': 'كوّن المجموعات أولًا.',
+    'No valid draw exists with these pots and separation rules. Relax a rule or move teams between pots.':
+      'لا توجد قرعة صالحة بهذه المستويات وقواعد الفصل. خفّف قاعدة أو انقل فرقًا بين المستويات.',
+    'All {count} rounds already generated.': 'أُنشئت كل الجولات ({count}) بالفعل.',
+    'Matchdays paired: {done}/{total}': 'الجولات المحددة: {done}/{total}',
+    'Rounds generated: {done}/{total}': 'الجولات المُنشأة: {done}/{total}',
+    'Best {place} qualified: {teams}': 'أفضل أصحاب المركز {place} المتأهلون: {teams}',
+    'Group draw seed: {seed}': 'بذرة قرعة المجموعات: {seed}',
+    'No played matches yet.': 'لا مباريات ملعوبة بعد.',
+
+    // player stats & match events
+    'Top scorers': 'الهدافون',
+    'Assists': 'التمريرات الحاسمة',
+    'Discipline': 'الانضباط',
+    'Goals': 'الأهداف',
+    'Pens': 'ركلات جزاء',
+    'Player': 'اللاعب',
+    'Nothing recorded yet.': 'لم يُسجل شيء بعد.',
+    'Scorer': 'المسجل',
+    'Assist': 'الممرر',
+    'min': 'د',
+    'OG': 'عكسي',
+    'Pen': 'جزاء',
+    'Yellow': 'صفراء',
+    'Red': 'حمراء',
+    '{action}: {group} (R{round})': '{action}: {group} (ج{round})',
+    'Edit result': 'تعديل النتيجة',
+    'Invalid goals input': 'عدد الأهداف غير صالح',
+    'Check the match events:': 'راجع أحداث المباراة:',
+    'Void the result of {home} {score} {away}?': 'إلغاء نتيجة {home} {score} {away}؟',
+    'Every match of this round has a result already.': 'كل مباريات هذه الجولة لها نتيجة بالفعل.',
+    'Fill the {count} open matches of this round with simulated results?': {
+      one: 'ملء المباراة المفتوحة في هذه الجولة بنتيجة محاكاة؟',
+      two: 'ملء المباراتين المفتوحتين في هذه الجولة بنتائج محاكاة؟',
+      other: 'ملء المباريات المفتوحة ({count}) في هذه الجولة بنتائج محاكاة؟'
+    },
+
+    // pasted results
+    'Apply {count} results': {
+      one: 'تطبيق نتيجة واحدة',
+      two: 'تطبيق نتيجتين',
+      few: 'تطبيق {count} نتائج',
+      other: 'تطبيق {count} نتيجة'
+    },
+    'Line': 'السطر',
+    'Match': 'المباراة',
+    'Status': 'الحالة',
+    '{home} vs {away}': '{home} ضد {away}',
+    '{count} lines will be skipped. Apply the rest?': {
+      one: 'سيُتخطى سطر واحد. تطبيق الباقي؟',
+      two: 'سيُتخطى سطران. تطبيق الباقي؟',
+      few: 'ستُتخطى {count} أسطر. تطبيق الباقي؟',
+      other: 'سيُتخطى {count} سطرًا. تطبيق الباقي؟'
+    },
+
+    // history
+    'No changes recorded yet.': 'لم تُسجل تغييرات بعد.',
+    'not played': 'لم تُلعب',
+    'Entered': 'أُدخلت',
+    'Edited': 'عُدّلت',
+    'Voided': 'أُلغيت',
+    'Undid': 'تراجع عن',
+    'Redid': 'أعاد',
+
+    // knockout after a correction
+    'The knockout was drawn from complete group results, but a group match is now unplayed. Standings and bracket may disagree.':
+      'سُحبت قرعة الأدوار الإقصائية من نتائج مجموعات مكتملة، لكن مباراة في المجموعات لم تعد ملعوبة. قد لا يتفق الترتيب مع المخطط.',
+    'This correction changes who qualifies (out: {out}; in: {in}).': 'هذا التصحيح يغيّر المتأهلين (يخرج: {out}؛ يدخل: {in}).',
+    'This correction changes final group positions and so the bracket.': 'هذا التصحيح يغيّر الترتيب النهائي للمجموعات ومن ثم المخطط.',
+    'Redraw the knockout now? All knockout results will be lost.': 'إعادة قرعة الأدوار الإقصائية الآن؟ ستضيع كل نتائجها.',
+    '{round} draw generated. Open Knockout page to view bracket.': 'أُجريت قرعة {round}. افتح صفحة الأدوار الإقصائية لرؤية المخطط.',
+
+    // scenarios
+    '{home} draw with {away}': '{home} يتعادل مع {away}',
+    '{winner} beat {loser}': '{winner} يفوز على {loser}',
+    'through': 'يتأهل',
+    'depending on goals': 'حسب الأهداف',
+    'if the other groups\' thirds allow it': 'إن سمح أصحاب المركز الثالث في المجموعات الأخرى',
+    'if the drawing of lots goes their way': 'إن جاءت القرعة في صالحه',
+    'Pick a team to see the results that send them through.': 'اختر فريقًا لترى النتائج التي تؤهله.',
+    'Scenarios appear once at most {count} matches are left in {group}.': 'تظهر السيناريوهات حين يتبقى {count} مباريات على الأكثر في {group}.',
+    '{group} is complete.': 'انتهت {group}.',
+    'No combination of results sends them through.': 'لا توجد نتائج تؤهله.',
+
+    // knockout page
+    'Result: {round} ({tie})': 'النتيجة: {round} ({tie})',
+    '1st leg at {team}': 'الذهاب على أرض {team}',
+    'bye': 'إعفاء',
+    'through to the next round': 'متأهل إلى الدور التالي',
+    'Enter result': 'أدخل النتيجة',
+    'No matches': 'لا مباريات',
+    'Knockout stage not generated yet.': 'لم تُنشأ الأدوار الإقصائية بعد.',
+    'The bracket could not be turned into an image in this browser.': 'تعذر تحويل المخطط إلى صورة في هذا المتصفح.',
+    'vs': 'ضد',
+    'aet': 'بعد التمديد',
+    'pens': 'ترجيح',
+    'agg': 'المجموع',
+
+    // share & snapshots
+    'Draw the groups first.': 'أجرِ قرعة المجموعات أولًا.',
+    'Link copied. Whoever opens it sees the tables and the bracket as they are now.': 'نُسخ الرابط. من يفتحه يرى الجداول والمخطط كما هي الآن.',
+    'Copy this link:': 'انسخ هذا الرابط:',
+    'This shared link cannot be read:': 'تعذرت قراءة هذا الرابط المشترك:',
+    'Shared snapshot of {name}': 'لقطة مشتركة من {name}',
+    'taken {date}': 'التُقطت في {date}',
+    'read-only': 'للقراءة فقط',
+    'Keep a Local Copy': 'احتفظ بنسخة محلية',
+    'Leave': 'مغادرة',
+    'Unknown link format.': 'صيغة رابط غير معروفة.',
+    'This browser cannot unpack compressed links.': 'لا يستطيع هذا المتصفح فك الروابط المضغوطة.',
+    'The link is cut short or damaged.': 'الرابط مقطوع أو تالف.',
+
+    // diagnostics
+    'The saved tournament needs attention': 'البطولة المحفوظة تحتاج إلى انتباه',
+    'Tables and the bracket can be wrong until this is fixed. Repairs keep every result that still fits; the ones marked * drop results.':
+      'قد تكون الجداول والمخطط خاطئة حتى يُصلح هذا. تحتفظ الإصلاحات بكل نتيجة ما زالت مناسبة؛ والمعلّمة بـ * تحذف نتائج.',
+    'Repair All': 'أصلح الكل',
+    'Hide': 'إخفاء',
+    'Remove the value': 'احذف القيمة',
+    'This repair drops the results involved. Continue?': 'هذا الإصلاح يحذف النتائج المعنية. هل تريد المتابعة؟',
+    'The saved {field} are not valid JSON and are ignored.': 'البيانات المحفوظة ({field}) ليست JSON صالحًا وسيتم تجاهلها.',
+
+    // teams page
+    'Name': 'الاسم',
+    'Short code': 'الرمز المختصر',
+    'Colours': 'الألوان',
+    'Country': 'البلد',
+    'Who controls the club': 'من يتحكم في النادي',
+    'Crest': 'الشعار',
+    'Uploaded image': 'صورة مرفوعة',
+    'Remove crest': 'احذف الشعار',
+    'ID {team}': 'المعرّف {team}',
+    '{file} is too large for a crest ({size} KB at most).': '{file} كبير جدًا على أن يكون شعارًا ({size} كيلوبايت على الأكثر).',
+    'Teams not saved:': 'لم تُحفظ الفرق:',
+    'Teams saved.': 'حُفظت الفرق.',
+
+    // draw page
+    'Pot': 'المستوى',
+    'Pot {pot}': 'المستوى {pot}',
+    'Confederation': 'الاتحاد القاري',
+    'Pot {pot} has {count} teams, needs {size}.': 'في المستوى {pot} {count} فرق، والمطلوب {size}.',
+    'Draw complete! Seed: {seed}': 'اكتملت القرعة! البذرة: {seed}',
+    'Current groups were drawn with seed {seed}. Enter it again with the same pots to replay the draw.':
+      'سُحبت المجموعات الحالية بالبذرة {seed}. أدخلها مرة أخرى بالمستويات نفسها لإعادة القرعة.',
+    'The draw cannot start:': 'لا يمكن بدء القرعة:',
+    'A new draw replaces the current groups and deletes every result. Continue?': 'قرعة جديدة تحل محل المجموعات الحالية وتحذف كل النتائج. هل تريد المتابعة؟',
+
+    // calendar page
+    'All teams': 'كل الفرق',
+    'No calendar yet. Set the slots and click "Plan Calendar".': 'لا يوجد جدول بعد. حدد المواعيد واضغط «خطّط الجدول».',
+    'The calendar cannot be planned:': 'لا يمكن تخطيط الجدول:',
+    'Plan the calendar again? Matches not played yet may move.': 'إعادة تخطيط الجدول؟ قد تتغير مواعيد المباريات التي لم تُلعب بعد.',
+    'Plan the calendar first.': 'خطّط الجدول أولًا.',
+
+    // odds page
+    'Group': 'المجموعة',
+    'From results': 'من النتائج',
+    'Rating': 'التقييم',
+    'Top of table': 'صدارة الترتيب',
+    'Win group': 'صدارة المجموعة',
+    'Best 3rd': 'أفضل ثالث',
+    'Qualify': 'التأهل',
+    'Win cup': 'الفوز بالكأس',
+    'Runs must be between 1 and 20000.': 'يجب أن يكون عدد المحاكاة بين 1 و20000.',
+    'Simulating {count} tournaments…': 'جارٍ محاكاة {count} بطولة…',
+    '{count} runs, seed {seed}.': '{count} محاكاة، البذرة {seed}.',
+    '{count} league matches left to play.': 'تبقى {count} من مباريات الدوري.',
+    '{count} group matches left to play.': 'تبقى {count} من مباريات المجموعات.',
+
+    // big screen
+    'Waiting for the draw': 'في انتظار القرعة',
+    'The groups have not been drawn yet.': 'لم تُسحب قرعة المجموعات بعد.',
+    'Groups {first}-{last}': 'المجموعات {first}-{last}',
+    'Group Tables': 'جداول المجموعات',
+    'Today': 'اليوم',
+    'Next Up': 'التالي',
+
+    /* ---- engine.js: labels ---- */
+    'Group {letter}': 'المجموعة {letter}',
+    'League Phase': 'مرحلة الدوري',
+    'League': 'الدوري',
+    'Quarterfinal': 'ربع النهائي',
+    'Semifinal': 'نصف النهائي',
+    'Knockout Play-offs': 'الملحق الإقصائي',
+    'Group {letter} · Matchday {round}': 'المجموعة {letter} · الجولة {round}',
+    'League · Matchday {round}': 'الدوري · الجولة {round}',
+    '{round} · 1st leg': '{round} · الذهاب',
+    '{round} · 2nd leg': '{round} · الإياب',
+    '{group} R{round} {home} vs {away}': '{group} ج{round} {home} ضد {away}',
+    'red card': 'بطاقة حمراء',
+    '{count} yellow cards': '{count} بطاقات صفراء',
+
+    // tiebreakers
+    'Points': 'النقاط',
+    'Head-to-head points': 'نقاط المواجهات المباشرة',
+    'Head-to-head goal difference': 'فارق الأهداف في المواجهات المباشرة',
+    'Head-to-head goals scored': 'الأهداف المسجلة في المواجهات المباشرة',
+    'Goal difference': 'فارق الأهداف',
+    'Goals scored': 'الأهداف المسجلة',
+    'Fair play': 'اللعب النظيف',
+    'Drawing of lots': 'القرعة',
+    'Alphabetical order': 'الترتيب الأبجدي',
+    'UEFA (head-to-head first)': 'يويفا (المواجهات المباشرة أولًا)',
+    'FIFA (overall goal difference first)': 'فيفا (فارق الأهداف العام أولًا)',
+    'Simple (points, GD, goals, name)': 'بسيط (النقاط، الفارق، الأهداف، الاسم)',
+
+    // scenarios & pasted results
+    'Qualified': 'متأهل',
+    'Through with a draw': 'يتأهل بالتعادل',
+    'Through with a win': 'يتأهل بالفوز',
+    'Needs other results': 'يحتاج إلى نتائج أخرى',
+    'Eliminated': 'خرج',
+    'Too early to tell': 'من المبكر الحكم',
+    'New result': 'نتيجة جديدة',
+    'Changes a result': 'يغيّر نتيجة',
+    'No change': 'لا تغيير',
+    'Ambiguous': 'غامض',
+    'Unmatched': 'غير مطابق',
+    'Not understood': 'غير مفهوم',
+    'No team like {teams}.': 'لا يوجد فريق مثل {teams}.',
+    'No scheduled match between {home} and {away}; is its round generated?': 'لا توجد مباراة مجدولة بين {home} و{away}؛ هل أُنشئت جولتها؟',
+    'Could be {matches}.': 'قد تكون {matches}.',
+    'Home and away swapped to match the fixture.': 'بُدّل صاحب الأرض والضيف ليطابقا المباراة.',
+    'This match appears on an earlier line.': 'هذه المباراة واردة في سطر سابق.',
+    'Expected home, score, away or home, home goals, away goals, away.':
+      'المتوقع: صاحب الأرض، النتيجة، الضيف أو صاحب الأرض، أهدافه، أهداف الضيف، الضيف.',
+    'Scores go up to 99.': 'النتائج تصل إلى 99 على الأكثر.',
+    'Expected a line like "REAL MADRID 2-1 BARCA".': 'المتوقع سطر مثل «REAL MADRID 2-1 BARCA».',
+
+    /* ---- engine.js: problems ---- */
+    'Duplicate team: {team}': 'فريق مكرر: {team}',
+    '{field} must be a whole number.': 'يجب أن يكون {field} عددًا صحيحًا.',
+    'At least one group is needed.': 'يلزم وجود مجموعة واحدة على الأقل.',
+    'Groups need at least 2 teams.': 'تحتاج المجموعات إلى فريقين على الأقل.',
+    '{groups} groups of {size} need {needed} teams, got {count}.': '{groups} مجموعات من {size} فرق تحتاج إلى {needed} فريقًا، والموجود {count}.',
+    'Qualifiers per group must be between 1 and {max}.': 'يجب أن يكون عدد المتأهلين من كل مجموعة بين 1 و{max}.',
+    'Best {place}-placed qualifiers must be fewer than the number of groups.': 'يجب أن يكون أفضل أصحاب المركز {place} المتأهلون أقل من عدد المجموعات.',
+    'Unknown tiebreaker preset: {preset}': 'قاعدة كسر تعادل غير معروفة: {preset}',
+    'The knockout needs {sizes} qualifiers, got {count}.': 'تحتاج الأدوار الإقصائية إلى {sizes} متأهلًا، والموجود {count}.',
+    'The {round} must be played over 1 or 2 legs.': 'يجب أن يُلعب {round} من مباراة واحدة أو مباراتين.',
+    'A league needs an even number of teams, at least 4, got {count}.': 'يحتاج الدوري إلى عدد زوجي من الفرق، 4 على الأقل، والموجود {count}.',
+    'Matches per team must be between 1 and {max}.': 'يجب أن يكون عدد مباريات كل فريق بين 1 و{max}.',
+    '{count} teams cannot be split into {pots} equal pots.': 'لا يمكن تقسيم {count} فريقًا إلى {pots} مستويات متساوية.',
+    'The play-off needs twice as many teams as go straight through ({count}), or none.':
+      'يحتاج الملحق إلى ضعف عدد المتأهلين مباشرة ({count})، أو لا شيء.',
+    '{count} teams go through, but the league only has {total}.': 'يتأهل {count} فريقًا، لكن في الدوري {total} فقط.',
+    '{first} and {second} are both called {name}.': '{first} و{second} يحملان الاسم نفسه {name}.',
+    '{team}: the short code must be 2 to 4 letters or digits.': '{team}: يجب أن يتكون الرمز المختصر من 2 إلى 4 أحرف أو أرقام.',
+    '{first} and {second} share the short code {code}.': '{first} و{second} يشتركان في الرمز المختصر {code}.',
+    '{team}: the crest must be an image file or a data: URL.': '{team}: يجب أن يكون الشعار ملف صورة أو رابط data:.',
+    '{team}: primary colour must look like #ff2b91.': '{team}: يجب أن يكون اللون الأساسي على شكل #ff2b91.',
+    '{team}: secondary colour must look like #ff2b91.': '{team}: يجب أن يكون اللون الثانوي على شكل #ff2b91.',
+    '"config" must hold the team list and the format.': 'يجب أن يحتوي «config» على قائمة الفرق والنظام.',
+    'Calendar entry {id} is not a fixture of the tournament.': 'الموعد {id} ليس من مباريات البطولة.',
+    'Calendar entry {id} needs a kickoff like 2025-06-14T18:30 and a venue name.': 'الموعد {id} يحتاج إلى وقت انطلاق مثل 2025-06-14T18:30 واسم مكان.',
+    'Event {number} needs a player.': 'الحدث {number} يحتاج إلى لاعب.',
+    'Event {number} has an invalid minute.': 'دقيقة الحدث {number} غير صالحة.',
+    'Event {number}: a player cannot assist their own goal.': 'الحدث {number}: لا يمكن للاعب أن يمرر لهدفه.',
+    'Goal events add up to {events}, but the score is {score}.': 'مجموع أحداث الأهداف {events}، لكن النتيجة {score}.',
+    'Round must be between 1 and {max}.': 'يجب أن تكون الجولة بين 1 و{max}.',
+    'Generate matchday {round} first.': 'أنشئ الجولة {round} أولًا.',
+    'Finish matchday {round} first: the next one is paired from the table.': 'أكمل الجولة {round} أولًا: تُحدد مواجهات الجولة التالية من الترتيب.',
+    'No pairing without a rematch is left for matchday {round}.': 'لم تبقَ مواجهات دون تكرار للجولة {round}.',
+    'Knockout tie {tie} is not ready to be played.': 'المواجهة {tie} ليست جاهزة للعب.',
+    'Enter the first leg score.': 'أدخل نتيجة مباراة الذهاب.',
+    'A drawn tie needs a penalty shoot-out winner.': 'المواجهة المتعادلة تحتاج إلى فائز بركلات الترجيح.',
+    'Pick the date of the first matchday.': 'اختر تاريخ الجولة الأولى.',
+    'Allow at least one day of the week.': 'اسمح بيوم واحد من الأسبوع على الأقل.',
+    'Add at least one kickoff time.': 'أضف موعد انطلاق واحدًا على الأقل.',
+    'Kickoff time "{time}" must look like 18:30.': 'يجب أن يكون موعد الانطلاق «{time}» على شكل 18:30.',
+    'Add at least one console or stream.': 'أضف جهازًا أو بثًا واحدًا على الأقل.',
+    'Match length must be a positive number of minutes.': 'يجب أن تكون مدة المباراة عددًا موجبًا من الدقائق.',
+    'Rest time must be zero or more minutes.': 'يجب أن تكون مدة الراحة صفرًا أو أكثر من الدقائق.',
+    '{fixture} does not fit within a year; add kickoff times, days or consoles.':
+      '{fixture} لا تتسع لها سنة؛ أضف مواعيد انطلاق أو أيامًا أو أجهزة.',
+    'File uses schema version {version}; this app reads up to {supported}. Update the app first.':
+      'يستخدم الملف الإصدار {version} من المخطط؛ هذا التطبيق يقرأ حتى {supported}. حدّث التطبيق أولًا.',
+
+    /* ---- engine.js: integrity check ---- */
+    'The saved {field} are not in a shape the app can read.': 'البيانات المحفوظة ({field}) بشكل لا يستطيع التطبيق قراءته.',
+    '{team} is in more than one group. Draw the groups again to fix it.': '{team} في أكثر من مجموعة. أعد قرعة المجموعات لإصلاح ذلك.',
+    '{teams} is in the tournament but in no group.': '{teams} في البطولة لكن ليس في أي مجموعة.',
+    '{teams} are in the tournament but in no group.': '{teams} في البطولة لكن ليست في أي مجموعة.',
+    '{teams} plays in a group but is not in the tournament.': '{teams} يلعب في مجموعة لكنه ليس في البطولة.',
+    '{teams} play in a group but are not in the tournament.': '{teams} تلعب في مجموعة لكنها ليست في البطولة.',
+    'The groups do not match the format ({groups} groups of {size}). Draw the groups again to fix it.':
+      'المجموعات لا تطابق النظام ({groups} مجموعات من {size} فرق). أعد القرعة لإصلاح ذلك.',
+    'Match #{number} has no id.': 'المباراة رقم {number} بلا معرّف.',
+    'Match {match} is stored more than once.': 'المباراة {match} محفوظة أكثر من مرة.',
+    'Match {match} is not a fixture of the current groups.': 'المباراة {match} ليست من مباريات المجموعات الحالية.',
+    'Match {match} is not a fixture of the current groups (its result would be lost).':
+      'المباراة {match} ليست من مباريات المجموعات الحالية (ستضيع نتيجتها).',
+    'Match {match} lists different teams, group or matchday than its id.': 'المباراة {match} تذكر فرقًا أو مجموعة أو جولة غير التي في معرّفها.',
+    'Match {match} has an impossible score {score}.': 'للمباراة {match} نتيجة مستحيلة {score}.',
+    'Match {match} has unknown status {status}.': 'للمباراة {match} حالة غير معروفة {status}.',
+    'Match {match} has malformed events.': 'أحداث المباراة {match} تالفة.',
+    'The events of match {match} do not fit its score.': 'أحداث المباراة {match} لا تطابق نتيجتها.',
+    'The round counter says {count} matchday(s) were generated, but matches exist up to matchday {round}.':
+      'يقول عدّاد الجولات إن {count} جولة أُنشئت، لكن المباريات موجودة حتى الجولة {round}.',
+    'The round counter says {count} matchday(s) were generated, but there are no matches.':
+      'يقول عدّاد الجولات إن {count} جولة أُنشئت، لكن لا توجد مباريات.',
+    '{count} match(es) of matchdays 1-{round} were never generated.': 'لم تُنشأ {count} مباراة من الجولات 1-{round}.',
+    'Knockout tie {tie} has an impossible first leg score.': 'للمواجهة {tie} نتيجة ذهاب مستحيلة.',
+    'Knockout tie {tie} has a second leg but no first leg.': 'للمواجهة {tie} مباراة إياب دون مباراة ذهاب.',
+    'Knockout tie {tie} has an impossible score.': 'للمواجهة {tie} نتيجة مستحيلة.',
+    'Knockout tie {tie} is played but has no winner.': 'المواجهة {tie} لُعبت لكن بلا فائز.',
+    'A knockout bracket exists although the group stage is not finished.': 'يوجد مخطط إقصائي مع أن دور المجموعات لم ينتهِ.',
+    'The knockout bracket does not follow the final group standings.': 'المخطط الإقصائي لا يتبع الترتيب النهائي للمجموعات.',
+    'The knockout bracket does not follow the final group standings (its results would be lost).':
+      'المخطط الإقصائي لا يتبع الترتيب النهائي للمجموعات (ستضيع نتائجه).',
+    'Later knockout rounds do not follow the winners of the earlier ones.': 'الأدوار اللاحقة لا تتبع الفائزين في الأدوار السابقة.',
+    'Clear the unreadable parts': 'امسح الأجزاء غير المقروءة',
+    'Use the teams in the groups': 'استخدم الفرق الموجودة في المجموعات',
+    'Remove those matches': 'احذف هذه المباريات',
+    'Keep one copy': 'احتفظ بنسخة واحدة',
+    'Restore teams from the match id': 'استعد الفرق من معرّف المباراة',
+    'Clear those results': 'امسح هذه النتائج',
+    'Clear those events': 'امسح هذه الأحداث',
+    'Fix the round counter': 'أصلح عدّاد الجولات',
+    'Clear those ties': 'امسح هذه المواجهات',
+    'Draw the knockout again': 'أعد قرعة الأدوار الإقصائية',
+    'Rebuild the later rounds': 'أعد بناء الأدوار اللاحقة'
+  }
+});
@@ -0,0 +1,524 @@
+/* lang/fr.js - French
+   Keys are the English text of the pages, script.js and engine.js; see i18n.js.
+*/
+
+EfI18n.registerPack('fr', {
+  name: 'Français',
+  locale: 'fr',
+  dir: 'ltr',
+  ordinal: { one: '{n}er', other: '{n}e' },
+  messages: {
+    /* ---- Pages ---- */
+    'EFOOTBALL CUP - {page}': 'EFOOTBALL CUP - {page}',
+    '{page} - EFOOTBALL CUP': '{page} - EFOOTBALL CUP',
+    'Language': 'Langue',
+    'Home': 'Accueil',
+    'Teams': 'Équipes',
+    'Draw': 'Tirage',
+    'Group Stage': 'Phase de groupes',
+    'Knockout Stage': 'Phase à élimination directe',
+    'Knockout': 'Élimination directe',
+    'Calendar': 'Calendrier',
+    'Odds': 'Pronostics',
+    'Big Screen': 'Grand écran',
+    'Create Tournament': 'Créer un tournoi',
+    'Reset': 'Réinitialiser',
+    'Exit': 'Quitter',
+
+    // index.html
+    'Welcome to the EFOOTBALL CUP!': 'Bienvenue à l’EFOOTBALL CUP !',
+    'Manage your own football tournament — create teams, organize matches, and track results!':
+      'Gérez votre propre tournoi de football : créez les équipes, organisez les matchs et suivez les résultats !',
+    'Start Tournament': 'Commencer le tournoi',
+    'Tournaments': 'Tournois',
+    'New Tournament': 'Nouveau tournoi',
+    'Backup': 'Sauvegarde',
+    'Save the open tournament to a JSON file, or load one exported on another machine as a new tournament.':
+      'Enregistrez le tournoi ouvert dans un fichier JSON, ou chargez comme nouveau tournoi un fichier exporté sur une autre machine.',
+    'Export Tournament': 'Exporter le tournoi',
+    'Import Tournament': 'Importer un tournoi',
+    '© 2025 EFOOTBALL CUP. All rights reserved.': '© 2025 EFOOTBALL CUP. Tous droits réservés.',
+
+    // create.html
+    'Tournament name': 'Nom du tournoi',
+    'Participants': 'Participants',
+    '(one per line or comma separated)': '(un par ligne ou séparés par des virgules)',
+    'Use default teams': 'Équipes par défaut',
+    'Format': 'Format',
+    'Groups': 'Groupes',
+    'League phase (Swiss system)': 'Phase de ligue (système suisse)',
+    'Tiebreakers': 'Départage',
+    'Number of groups': 'Nombre de groupes',
+    'Teams per group': 'Équipes par groupe',
+    'Qualifiers per group': 'Qualifiés par groupe',
+    'Best next-placed qualifiers': 'Meilleurs suivants qualifiés',
+    'Home and away legs (double round-robin)': 'Matchs aller et retour (double tour)',
+    'Matches per team': 'Matchs par équipe',
+    'Seeding pots': 'Chapeaux',
+    'Straight to the knockout': 'Directement en phase finale',
+    'Into the play-offs': 'En barrages',
+    'Two-legged knockout rounds': 'Tours à élimination directe en aller-retour',
+    'Away goals break a level aggregate': 'Les buts à l’extérieur départagent une égalité au cumul',
+    'Main Cup': 'Coupe principale',
+
+    // draw.html
+    'Group Draw': 'Tirage des groupes',
+    'Start Draw': 'Lancer le tirage',
+    'Skip Animation': 'Passer l’animation',
+    'Go to Group Stage': 'Aller à la phase de groupes',
+    'Pots & separation': 'Chapeaux et séparation',
+    'Keep teams from the same country apart': 'Séparer les équipes d’un même pays',
+    'Keep teams from the same confederation apart': 'Séparer les équipes d’une même confédération',
+    'Seed (blank for random)': 'Graine (vide pour un tirage aléatoire)',
+
+    // groups.html
+    'Generate Groups': 'Générer les groupes',
+    'Generate Next Round': 'Générer la journée suivante',
+    'Undo': 'Annuler',
+    'Redo': 'Rétablir',
+    'Paste Results': 'Coller des résultats',
+    'Simulate Rest of Round': 'Simuler le reste de la journée',
+    'Share': 'Partager',
+    'What Does My Team Need?': 'De quoi mon équipe a-t-elle besoin ?',
+    'Work out scenarios': 'Calculer les scénarios',
+    'Played Matches': 'Matchs joués',
+    'Player Stats': 'Statistiques des joueurs',
+    'History': 'Historique',
+    'Go to Knockout Stage': 'Aller à la phase finale',
+    'Result': 'Résultat',
+    'Match events': 'Événements du match',
+    '+ Goal': '+ But',
+    '+ Card': '+ Carton',
+    'Cancel': 'Annuler',
+    'Save': 'Enregistrer',
+    'One result per line, e.g.': 'Un résultat par ligne, par ex.',
+    'or CSV rows': 'ou des lignes CSV',
+    'Apply': 'Appliquer',
+    'Fills the open matches of the shown round with random results': 'Remplit les matchs ouverts de la journée affichée avec des résultats aléatoires',
+    'Copies a link that shows the tables and the bracket as they are now': 'Copie un lien qui montre les classements et le tableau tels qu’ils sont maintenant',
+
+    // knockout.html
+    'Print': 'Imprimer',
+    'Save as PNG': 'Enregistrer en PNG',
+    'Round of 32': 'Seizièmes de finale',
+    'Round of 16': 'Huitièmes de finale',
+    'Quarterfinals': 'Quarts de finale',
+    'Semifinals': 'Demi-finales',
+    'Final': 'Finale',
+    '1st leg': 'Match aller',
+    '2nd leg': 'Match retour',
+    '2nd leg played': 'Match retour joué',
+    'Extra time goals': 'Buts en prolongation',
+    'Penalties': 'Tirs au but',
+
+    // calendar.html
+    'Slots': 'Créneaux',
+    'First matchday': 'Première journée',
+    'Kickoff times': 'Heures de coup d’envoi',
+    'Consoles / streams': 'Consoles / diffusions',
+    'Console 1, Console 2': 'Console 1, Console 2',
+    'Match length (min)': 'Durée d’un match (min)',
+    'Rest between matches (min)': 'Repos entre les matchs (min)',
+    'Plan Calendar': 'Planifier le calendrier',
+    'Download .ics': 'Télécharger le .ics',
+    'Played matches keep their slot when the calendar is planned again. Import the .ics file into any calendar app.':
+      'Les matchs joués gardent leur créneau quand le calendrier est replanifié. Importez le fichier .ics dans n’importe quelle application d’agenda.',
+
+    // odds.html
+    'Runs': 'Simulations',
+    'Run Simulation': 'Lancer la simulation',
+    'Team ratings': 'Notes des équipes',
+    '1 is an average team, 1.5 clearly stronger, 0.7 clearly weaker. Leave a rating blank to derive it from the goals scored and conceded so far.':
+      '1 correspond à une équipe moyenne, 1,5 à une équipe nettement plus forte, 0,7 nettement plus faible. Laissez une note vide pour la déduire des buts marqués et encaissés jusqu’ici.',
+
+    // teams.html
+    'Names, short codes, crests and colours show up in the tables, match cards and bracket. Renaming a team keeps all of its results. A crest is an image file next to these pages (crests/rma.png) or an uploaded picture.':
+      'Les noms, codes courts, écussons et couleurs apparaissent dans les classements, les fiches de match et le tableau. Renommer une équipe conserve tous ses résultats. Un écusson est un fichier image à côté de ces pages (crests/rma.png) ou une image envoyée.',
+    'Save Teams': 'Enregistrer les équipes',
+
+    /* ---- script.js ---- */
+    '→': '→',
+    '{name} (copy)': '{name} (copie)',
+    'New Cup': 'Nouvelle coupe',
+    'Champion: {team}': 'Champion : {team}',
+    'CHAMPION': 'CHAMPION',
+    'Not started': 'Pas commencé',
+    'League phase {played}/{total}': 'Phase de ligue {played}/{total}',
+    'Group stage {played}/{total}': 'Phase de groupes {played}/{total}',
+    'TBD': 'À déterminer',
+    'created {date}': 'créé le {date}',
+    'Open': 'Ouvrir',
+    'Rename': 'Renommer',
+    'Duplicate': 'Dupliquer',
+    'Archive': 'Archiver',
+    'Unarchive': 'Désarchiver',
+    'Delete': 'Supprimer',
+    'Archived': 'Archivés',
+    'No active tournaments.': 'Aucun tournoi actif.',
+    'Name of the new tournament': 'Nom du nouveau tournoi',
+    'Delete "{name}" and all of its results? This cannot be undone.': 'Supprimer « {name} » et tous ses résultats ? C’est irréversible.',
+    'Import failed: the file is not valid JSON.': 'Échec de l’import : le fichier n’est pas un JSON valide.',
+    'Import failed:': 'Échec de l’import :',
+    'Tournament "{name}" imported.': 'Tournoi « {name} » importé.',
+    'Tournament "{name}" saved on this device.': 'Tournoi « {name} » enregistré sur cet appareil.',
+    'Tournament setup is incomplete:': 'La configuration du tournoi est incomplète :',
+    'This replaces the current tournament. Continue?': 'Ceci remplace le tournoi actuel. Continuer ?',
+    'Reset tournament and clear saved data?': 'Réinitialiser le tournoi et effacer les données enregistrées ?',
+    'Tournament reset.': 'Tournoi réinitialisé.',
+    'A new version of the app is ready.': 'Une nouvelle version de l’application est prête.',
+    'Reload': 'Recharger',
+    'Later': 'Plus tard',
+
+    // create page summary
+    '{count} teams': { one: '{count} équipe', other: '{count} équipes' },
+    '{groups} groups of {size} ({rounds} matchdays)': '{groups} groupes de {size} ({rounds} journées)',
+    '{groups} groups of {size} ({rounds} matchdays, home & away)': '{groups} groupes de {size} ({rounds} journées, aller et retour)',
+    'League of {teams} ({matches} matches each, {pots} pots)': 'Ligue de {teams} ({matches} matchs chacun, {pots} chapeaux)',
+    'top {count}': 'les {count} premiers',
+    '{count} best {place}': '{count} meilleurs {place}',
+    'two legs: {rounds}': 'aller-retour : {rounds}',
+    'away goals': 'buts à l’extérieur',
+
+    // groups page
+    'Team': 'Équipe',
+    'P': 'J',
+    'Pts': 'Pts',
+    'W': 'G',
+    'D': 'N',
+    'L': 'P',
+    'GF': 'BP',
+    'GA': 'BC',
+    'GD': 'Diff',
+    'Matchday {round} of {total}': 'Journée {round} sur {total}',
+    'Round {round} of {total}': 'Journée {round} sur {total}',
+    'Not paired yet: a matchday is paired from the table once the one before it is finished.':
+      'Pas encore appariée : une journée est appariée d’après le classement une fois la précédente terminée.',
+    'No matches for this round. Click "Generate Next Round".': 'Aucun match pour cette journée. Cliquez sur « Générer la journée suivante ».',
+    'Played': 'Joué',
+    'Edit': 'Modifier',
+    'Void': 'Annuler le résultat',
+    'Suspended:': 'Suspendus :',
+    'Resting:': 'Au repos :',
+    'Create groups first.': 'Créez d’abord les groupes.',
+    'No valid draw exists with these pots and separation rules. Relax a rule or move teams between pots.':
+      'Aucun tirage valide n’existe avec ces chapeaux et ces règles de séparation. Assouplissez une règle ou déplacez des équipes entre les chapeaux.',
+    'All {count} rounds already generated.': 'Les {count} journées sont déjà générées.',
+    'Matchdays paired: {done}/{total}': 'Journées appariées : {done}/{total}',
+    'Rounds generated: {done}/{total}': 'Journées générées : {done}/{total}',
+    'Best {place} qualified: {teams}': 'Meilleurs {place} qualifiés : {teams}',
+    'Group draw seed: {seed}': 'Graine du tirage des groupes : {seed}',
+    'No played matches yet.': 'Aucun match joué pour l’instant.',
+
+    // player stats & match events
+    'Top scorers': 'Meilleurs buteurs',
+    'Assists': 'Passes décisives',
+    'Discipline': 'Discipline',
+    'Goals': 'Buts',
+    'Pens': 'Pén.',
+    'Player': 'Joueur',
+    'Nothing recorded yet.': 'Rien d’enregistré pour l’instant.',
+    'Scorer': 'Buteur',
+    'Assist': 'Passeur',
+    'min': 'min',
+    'OG': 'CSC',
+    'Pen': 'Pén.',
+    'Yellow': 'Jaune',
+    'Red': 'Rouge',
+    '{action}: {group} (R{round})': '{action} : {group} (J{round})',
+    'Edit result': 'Modifier le résultat',
+    'Invalid goals input': 'Nombre de buts invalide',
+    'Check the match events:': 'Vérifiez les événements du match :',
+    'Void the result of {home} {score} {away}?': 'Annuler le résultat {home} {score} {away} ?',
+    'Every match of this round has a result already.': 'Chaque match de cette journée a déjà un résultat.',
+    'Fill the {count} open matches of this round with simulated results?': {
+      one: 'Remplir le match ouvert de cette journée avec un résultat simulé ?',
+      other: 'Remplir les {count} matchs ouverts de cette journée avec des résultats simulés ?'
+    },
+
+    // pasted results
+    'Apply {count} results': { one: 'Appliquer {count} résultat', other: 'Appliquer {count} résultats' },
+    'Line': 'Ligne',
+    'Match': 'Match',
+    'Status': 'Statut',
+    '{home} vs {away}': '{home} contre {away}',
+    '{count} lines will be skipped. Apply the rest?': {
+      one: '{count} ligne sera ignorée. Appliquer le reste ?',
+      other: '{count} lignes seront ignorées. Appliquer le reste ?'
+    },
+
+    // history
+    'No changes recorded yet.': 'Aucune modification enregistrée pour l’instant.',
+    'not played': 'non joué',
+    'Entered': 'Saisi',
+    'Edited': 'Modifié',
+    'Voided': 'Annulé',
+    'Undid': 'Défait',
+    'Redid': 'Refait',
+
+    // knockout after a correction
+    'The knockout was drawn from complete group results, but a group match is now unplayed. Standings and bracket may disagree.':
+      'La phase finale a été tirée d’après des résultats de groupe complets, mais un match de groupe n’est plus joué. Classements et tableau peuvent ne plus concorder.',
+    'This correction changes who qualifies (out: {out}; in: {in}).': 'Cette correction change les qualifiés (sortent : {out} ; entrent : {in}).',
+    'This correction changes final group positions and so the bracket.': 'Cette correction change le classement final des groupes et donc le tableau.',
+    'Redraw the knockout now? All knockout results will be lost.': 'Refaire le tableau maintenant ? Tous les résultats de la phase finale seront perdus.',
+    '{round} draw generated. Open Knockout page to view bracket.': 'Tirage des {round} effectué. Ouvrez la page Élimination directe pour voir le tableau.',
+
+    // scenarios
+    '{home} draw with {away}': '{home} fait match nul avec {away}',
+    '{winner} beat {loser}': '{winner} bat {loser}',
+    'through': 'qualifié',
+    'depending on goals': 'selon les buts',
+    'if the other groups\' thirds allow it': 'si les troisièmes des autres groupes le permettent',
+    'if the drawing of lots goes their way': 'si le tirage au sort leur est favorable',
+    'Pick a team to see the results that send them through.': 'Choisissez une équipe pour voir les résultats qui la qualifient.',
+    'Scenarios appear once at most {count} matches are left in {group}.': 'Les scénarios apparaissent dès qu’il reste au plus {count} matchs dans le {group}.',
+    '{group} is complete.': '{group} est terminé.',
+    'No combination of results sends them through.': 'Aucune combinaison de résultats ne la qualifie.',
+
+    // knockout page
+    'Result: {round} ({tie})': 'Résultat : {round} ({tie})',
+    '1st leg at {team}': 'Match aller chez {team}',
+    'bye': 'exempt',
+    'through to the next round': 'qualifié pour le tour suivant',
+    'Enter result': 'Saisir le résultat',
+    'No matches': 'Aucun match',
+    'Knockout stage not generated yet.': 'Phase finale pas encore générée.',
+    'The bracket could not be turned into an image in this browser.': 'Ce navigateur n’a pas pu convertir le tableau en image.',
+    'vs': 'contre',
+    'aet': 'a.p.',
+    'pens': 't.a.b.',
+    'agg': 'cumul',
+
+    // share & snapshots
+    'Draw the groups first.': 'Tirez d’abord les groupes.',
+    'Link copied. Whoever opens it sees the tables and the bracket as they are now.':
+      'Lien copié. Quiconque l’ouvre voit les classements et le tableau tels qu’ils sont maintenant.',
+    'Copy this link:': 'Copiez ce lien :',
+    'This shared link cannot be read:': 'Ce lien partagé est illisible :',
+    'Shared snapshot of {name}': 'Instantané partagé de {name}',
+    'taken {date}': 'pris le {date}',
+    'read-only': 'lecture seule',
+    'Keep a Local Copy': 'Garder une copie locale',
+    'Leave': 'Quitter',
+    'Unknown link format.': 'Format de lien inconnu.',
+    'This browser cannot unpack compressed links.': 'Ce navigateur ne sait pas décompresser les liens compressés.',
+    'The link is cut short or damaged.': 'Le lien est tronqué ou abîmé.',
+
+    // diagnostics
+    'The saved tournament needs attention': 'Le tournoi enregistré demande votre attention',
+    'Tables and the bracket can be wrong until this is fixed. Repairs keep every result that still fits; the ones marked * drop results.':
+      'Les classements et le tableau peuvent être faux tant que ce n’est pas corrigé. Les réparations gardent chaque résultat encore valable ; celles marquées * suppriment des résultats.',
+    'Repair All': 'Tout réparer',
+    'Hide': 'Masquer',
+    'Remove the value': 'Supprimer la valeur',
+    'This repair drops the results involved. Continue?': 'Cette réparation supprime les résultats concernés. Continuer ?',
+    'The saved {field} are not valid JSON and are ignored.': 'Les données enregistrées ({field}) ne sont pas du JSON valide et sont ignorées.',
+
+    // teams page
+    'Name': 'Nom',
+    'Short code': 'Code court',
+    'Colours': 'Couleurs',
+    'Country': 'Pays',
+    'Who controls the club': 'Qui contrôle le club',
+    'Crest': 'Écusson',
+    'Uploaded image': 'Image envoyée',
+    'Remove crest': 'Retirer l’écusson',
+    'ID {team}': 'ID {team}',
+    '{file} is too large for a crest ({size} KB at most).': '{file} est trop lourd pour un écusson ({size} Ko au maximum).',
+    'Teams not saved:': 'Équipes non enregistrées :',
+    'Teams saved.': 'Équipes enregistrées.',
+
+    // draw page
+    'Pot': 'Chapeau',
+    'Pot {pot}': 'Chapeau {pot}',
+    'Confederation': 'Confédération',
+    'Pot {pot} has {count} teams, needs {size}.': 'Le chapeau {pot} compte {count} équipes, il en faut {size}.',
+    'Draw complete! Seed: {seed}': 'Tirage terminé ! Graine : {seed}',
+    'Current groups were drawn with seed {seed}. Enter it again with the same pots to replay the draw.':
+      'Les groupes actuels ont été tirés avec la graine {seed}. Saisissez-la de nouveau avec les mêmes chapeaux pour rejouer le tirage.',
+    'The draw cannot start:': 'Le tirage ne peut pas commencer :',
+    'A new draw replaces the current groups and deletes every result. Continue?': 'Un nouveau tirage remplace les groupes actuels et efface tous les résultats. Continuer ?',
+
+    // calendar page
+    'All teams': 'Toutes les équipes',
+    'No calendar yet. Set the slots and click "Plan Calendar".': 'Pas encore de calendrier. Réglez les créneaux puis cliquez sur « Planifier le calendrier ».',
+    'The calendar cannot be planned:': 'Le calendrier ne peut pas être planifié :',
+    'Plan the calendar again? Matches not played yet may move.': 'Replanifier le calendrier ? Les matchs pas encore joués peuvent changer de créneau.',
+    'Plan the calendar first.': 'Planifiez d’abord le calendrier.',
+
+    // odds page
+    'Group': 'Groupe',
+    'From results': 'D’après les résultats',
+    'Rating': 'Note',
+    'Top of table': 'En tête',
+    'Win group': 'Gagne le groupe',
+    'Best 3rd': 'Meilleur 3e',
+    'Qualify': 'Qualifié',
+    'Win cup': 'Gagne la coupe',
+    'Runs must be between 1 and 20000.': 'Le nombre de simulations doit être compris entre 1 et 20000.',
+    'Simulating {count} tournaments…': 'Simulation de {count} tournois…',
+    '{count} runs, seed {seed}.': { one: '{count} simulation, graine {seed}.', other: '{count} simulations, graine {seed}.' },
+    '{count} league matches left to play.': {
+      one: '{count} match de ligue reste à jouer.',
+      other: '{count} matchs de ligue restent à jouer.'
+    },
+    '{count} group matches left to play.': {
+      one: '{count} match de groupe reste à jouer.',
+      other: '{count} matchs de groupe restent à jouer.'
+    },
+
+    // big screen
+    'Waiting for the draw': 'En attente du tirage',
+    'The groups have not been drawn yet.': 'Les groupes n’ont pas encore été tirés.',
+    'Groups {first}-{last}': 'Groupes {first}-{last}',
+    'Group Tables': 'Classements des groupes',
+    'Today': 'Aujourd’hui',
+    'Next Up': 'À suivre',
+
+    /* ---- engine.js: labels ---- */
+    'Group {letter}': 'Groupe {letter}',
+    'League Phase': 'Phase de ligue',
+    'League': 'Ligue',
+    'Quarterfinal': 'Quart de finale',
+    'Semifinal': 'Demi-finale',
+    'Knockout Play-offs': 'Barrages',
+    'Group {letter} · Matchday {round}': 'Groupe {letter} · Journée {round}',
+    'League · Matchday {round}': 'Ligue · Journée {round}',
+    '{round} · 1st leg': '{round} · match aller',
+    '{round} · 2nd leg': '{round} · match retour',
+    '{group} R{round} {home} vs {away}': '{group} J{round} {home} contre {away}',
+    'red card': 'carton rouge',
+    '{count} yellow cards': '{count} cartons jaunes',
+
+    // tiebreakers
+    'Points': 'Points',
+    'Head-to-head points': 'Points en confrontations directes',
+    'Head-to-head goal difference': 'Différence de buts en confrontations directes',
+    'Head-to-head goals scored': 'Buts marqués en confrontations directes',
+    'Goal difference': 'Différence de buts',
+    'Goals scored': 'Buts marqués',
+    'Fair play': 'Fair-play',
+    'Drawing of lots': 'Tirage au sort',
+    'Alphabetical order': 'Ordre alphabétique',
+    'UEFA (head-to-head first)': 'UEFA (confrontations directes d’abord)',
+    'FIFA (overall goal difference first)': 'FIFA (différence de buts générale d’abord)',
+    'Simple (points, GD, goals, name)': 'Simple (points, différence, buts, nom)',
+
+    // scenarios & pasted results
+    'Qualified': 'Qualifié',
+    'Through with a draw': 'Qualifié avec un nul',
+    'Through with a win': 'Qualifié avec une victoire',
+    'Needs other results': 'Dépend d’autres résultats',
+    'Eliminated': 'Éliminé',
+    'Too early to tell': 'Trop tôt pour le dire',
+    'New result': 'Nouveau résultat',
+    'Changes a result': 'Modifie un résultat',
+    'No change': 'Aucun changement',
+    'Ambiguous': 'Ambigu',
+    'Unmatched': 'Introuvable',
+    'Not understood': 'Incompris',
+    'No team like {teams}.': 'Aucune équipe ressemblant à {teams}.',
+    'No scheduled match between {home} and {away}; is its round generated?': 'Aucun match prévu entre {home} et {away} ; sa journée est-elle générée ?',
+    'Could be {matches}.': 'Peut-être {matches}.',
+    'Home and away swapped to match the fixture.': 'Domicile et extérieur inversés pour correspondre au match.',
+    'This match appears on an earlier line.': 'Ce match figure sur une ligne précédente.',
+    'Expected home, score, away or home, home goals, away goals, away.':
+      'Attendu : domicile, score, extérieur ou domicile, buts domicile, buts extérieur, extérieur.',
+    'Scores go up to 99.': 'Les scores vont jusqu’à 99.',
+    'Expected a line like "REAL MADRID 2-1 BARCA".': 'Attendu : une ligne comme « REAL MADRID 2-1 BARCA ».',
+
+    /* ---- engine.js: problems ---- */
+    'Duplicate team: {team}': 'Équipe en double : {team}',
+    '{field} must be a whole number.': '{field} doit être un nombre entier.',
+    'At least one group is needed.': 'Il faut au moins un groupe.',
+    'Groups need at least 2 teams.': 'Un groupe a besoin d’au moins 2 équipes.',
+    '{groups} groups of {size} need {needed} teams, got {count}.': '{groups} groupes de {size} demandent {needed} équipes, il y en a {count}.',
+    'Qualifiers per group must be between 1 and {max}.': 'Le nombre de qualifiés par groupe doit être compris entre 1 et {max}.',
+    'Best {place}-placed qualifiers must be fewer than the number of groups.': 'Les meilleurs {place} qualifiés doivent être moins nombreux que les groupes.',
+    'Unknown tiebreaker preset: {preset}': 'Règle de départage inconnue : {preset}',
+    'The knockout needs {sizes} qualifiers, got {count}.': 'La phase finale demande {sizes} qualifiés, il y en a {count}.',
+    'The {round} must be played over 1 or 2 legs.': 'Le tour « {round} » se joue en 1 ou 2 manches.',
+    'A league needs an even number of teams, at least 4, got {count}.': 'Une ligue demande un nombre pair d’équipes, au moins 4 ; il y en a {count}.',
+    'Matches per team must be between 1 and {max}.': 'Le nombre de matchs par équipe doit être compris entre 1 et {max}.',
+    '{count} teams cannot be split into {pots} equal pots.': '{count} équipes ne peuvent pas être réparties en {pots} chapeaux égaux.',
+    'The play-off needs twice as many teams as go straight through ({count}), or none.':
+      'Les barrages demandent deux fois plus d’équipes que de qualifiés directs ({count}), ou aucune.',
+    '{count} teams go through, but the league only has {total}.': '{count} équipes se qualifient, mais la ligue n’en compte que {total}.',
+    '{first} and {second} are both called {name}.': '{first} et {second} s’appellent tous deux {name}.',
+    '{team}: the short code must be 2 to 4 letters or digits.': '{team} : le code court doit compter 2 à 4 lettres ou chiffres.',
+    '{first} and {second} share the short code {code}.': '{first} et {second} ont le même code court {code}.',
+    '{team}: the crest must be an image file or a data: URL.': '{team} : l’écusson doit être un fichier image ou une URL data:.',
+    '{team}: primary colour must look like #ff2b91.': '{team} : la couleur principale doit ressembler à #ff2b91.',
+    '{team}: secondary colour must look like #ff2b91.': '{team} : la couleur secondaire doit ressembler à #ff2b91.',
+    '"config" must hold the team list and the format.': '« config » doit contenir la liste des équipes et la formule.',
+    'Calendar entry {id} is not a fixture of the tournament.': 'L’entrée de calendrier {id} n’est pas un match du tournoi.',
+    'Calendar entry {id} needs a kickoff like 2025-06-14T18:30 and a venue name.': 'L’entrée de calendrier {id} doit avoir un coup d’envoi comme 2025-06-14T18:30 et un nom de lieu.',
+    'Event {number} needs a player.': 'L’événement {number} demande un joueur.',
+    'Event {number} has an invalid minute.': 'L’événement {number} a une minute invalide.',
+    'Event {number}: a player cannot assist their own goal.': 'Événement {number} : un joueur ne peut pas être passeur sur son propre but.',
+    'Goal events add up to {events}, but the score is {score}.': 'Les buts saisis donnent {events}, mais le score est {score}.',
+    'Round must be between 1 and {max}.': 'La journée doit être comprise entre 1 et {max}.',
+    'Generate matchday {round} first.': 'Générez d’abord la journée {round}.',
+    'Finish matchday {round} first: the next one is paired from the table.': 'Terminez d’abord la journée {round} : la suivante est appariée d’après le classement.',
+    'No pairing without a rematch is left for matchday {round}.': 'Il ne reste aucun appariement sans revanche pour la journée {round}.',
+    'Knockout tie {tie} is not ready to be played.': 'La rencontre {tie} n’est pas encore prête à être jouée.',
+    'Enter the first leg score.': 'Saisissez le score du match aller.',
+    'A drawn tie needs a penalty shoot-out winner.': 'Une rencontre nulle demande un vainqueur aux tirs au but.',
+    'Pick the date of the first matchday.': 'Choisissez la date de la première journée.',
+    'Allow at least one day of the week.': 'Autorisez au moins un jour de la semaine.',
+    'Add at least one kickoff time.': 'Ajoutez au moins une heure de coup d’envoi.',
+    'Kickoff time "{time}" must look like 18:30.': 'L’heure « {time} » doit ressembler à 18:30.',
+    'Add at least one console or stream.': 'Ajoutez au moins une console ou une diffusion.',
+    'Match length must be a positive number of minutes.': 'La durée d’un match doit être un nombre de minutes positif.',
+    'Rest time must be zero or more minutes.': 'Le temps de repos doit être de zéro minute ou plus.',
+    '{fixture} does not fit within a year; add kickoff times, days or consoles.':
+      '{fixture} ne tient pas dans l’année ; ajoutez des heures, des jours ou des consoles.',
+    'File uses schema version {version}; this app reads up to {supported}. Update the app first.':
+      'Le fichier utilise la version de schéma {version} ; cette application lit jusqu’à la {supported}. Mettez d’abord l’application à jour.',
+
+    /* ---- engine.js: integrity check ---- */
+    'The saved {field} are not in a shape the app can read.': 'Les données enregistrées ({field}) ont une forme que l’application ne sait pas lire.',
+    '{team} is in more than one group. Draw the groups again to fix it.': '{team} est dans plusieurs groupes. Refaites le tirage pour corriger.',
+    '{teams} is in the tournament but in no group.': '{teams} est dans le tournoi mais dans aucun groupe.',
+    '{teams} are in the tournament but in no group.': '{teams} sont dans le tournoi mais dans aucun groupe.',
+    '{teams} plays in a group but is not in the tournament.': '{teams} joue dans un groupe mais n’est pas dans le tournoi.',
+    '{teams} play in a group but are not in the tournament.': '{teams} jouent dans un groupe mais ne sont pas dans le tournoi.',
+    'The groups do not match the format ({groups} groups of {size}). Draw the groups again to fix it.':
+      'Les groupes ne correspondent pas au format ({groups} groupes de {size}). Refaites le tirage pour corriger.',
+    'Match #{number} has no id.': 'Le match n°{number} n’a pas d’identifiant.',
+    'Match {match} is stored more than once.': 'Le match {match} est enregistré plusieurs fois.',
+    'Match {match} is not a fixture of the current groups.': 'Le match {match} ne fait pas partie des groupes actuels.',
+    'Match {match} is not a fixture of the current groups (its result would be lost).':
+      'Le match {match} ne fait pas partie des groupes actuels (son résultat serait perdu).',
+    'Match {match} lists different teams, group or matchday than its id.': 'Le match {match} indique d’autres équipes, groupe ou journée que son identifiant.',
+    'Match {match} has an impossible score {score}.': 'Le match {match} a un score impossible {score}.',
+    'Match {match} has unknown status {status}.': 'Le match {match} a un statut inconnu {status}.',
+    'Match {match} has malformed events.': 'Le match {match} a des événements mal formés.',
+    'The events of match {match} do not fit its score.': 'Les événements du match {match} ne correspondent pas à son score.',
+    'The round counter says {count} matchday(s) were generated, but matches exist up to matchday {round}.':
+      'Le compteur indique {count} journée(s) générée(s), mais des matchs existent jusqu’à la journée {round}.',
+    'The round counter says {count} matchday(s) were generated, but there are no matches.':
+      'Le compteur indique {count} journée(s) générée(s), mais il n’y a aucun match.',
+    '{count} match(es) of matchdays 1-{round} were never generated.': '{count} match(s) des journées 1 à {round} n’ont jamais été générés.',
+    'Knockout tie {tie} has an impossible first leg score.': 'La rencontre {tie} a un score aller impossible.',
+    'Knockout tie {tie} has a second leg but no first leg.': 'La rencontre {tie} a un match retour mais pas de match aller.',
+    'Knockout tie {tie} has an impossible score.': 'La rencontre {tie} a un score impossible.',
+    'Knockout tie {tie} is played but has no winner.': 'La rencontre {tie} est jouée mais n’a pas de vainqueur.',
+    'A knockout bracket exists although the group stage is not finished.': 'Un tableau final existe alors que la phase de groupes n’est pas terminée.',
+    'The knockout bracket does not follow the final group standings.': 'Le tableau final ne suit pas le classement final des groupes.',
+    'The knockout bracket does not follow the final group standings (its results would be lost).':
+      'Le tableau final ne suit pas le classement final des groupes (ses résultats seraient perdus).',
+    'Later knockout rounds do not follow the winners of the earlier ones.': 'Les tours suivants ne suivent pas les vainqueurs des tours précédents.',
+    'Clear the unreadable parts': 'Effacer les parties illisibles',
+    'Use the teams in the groups': 'Utiliser les équipes des groupes',
+    'Remove those matches': 'Supprimer ces matchs',
+    'Keep one copy': 'Garder un seul exemplaire',
+    'Restore teams from the match id': 'Rétablir les équipes d’après l’identifiant du match',
+    'Clear those results': 'Effacer ces résultats',
+    'Clear those events': 'Effacer ces événements',
+    'Fix the round counter': 'Corriger le compteur de journées',
+    'Clear those ties': 'Effacer ces rencontres',
+    'Draw the knockout again': 'Refaire le tirage de la phase finale',
+    'Rebuild the later rounds': 'Reconstruire les tours suivants'
+  }
+});
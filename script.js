@@ -1,14 +1,47 @@
-/* script.js - Full tournament logic
+/* script.js - tournament pages & storage
+   The rules (draw, schedule, standings, knockout) live in engine.js; this file keeps
+   them in localStorage and drives the pages.
    Features:
-   - createGroups (6 groups x 4 teams)
-   - generateRound (1..3) per group (2 matches per group per round)
-   - store matches & groups in localStorage
+   - tournament config from create.html (teams, groups, teams per group, qualifiers)
+   - createGroups (config driven, defaults to 6 groups x 4 teams from teams.js)
+   - team profiles on teams.html (name, short code, crest, colours, country, player); results keep
+     the team id, so a renamed team keeps its matches
+   - pot-based draw: one team per pot per group, same country / confederation kept apart,
+     backtracking check before every placement, animated reveal on draw.html
+   - seeded PRNG behind the group draw; seeds are shown, stored and re-playable
+   - generateRound (1..N) per group (circle-method round-robin, byes for odd groups, optional home & away legs)
+   - league phase instead of groups: one table, every matchday Swiss-paired from the pots and the table
+     once the one before is finished; the top places skip the knockout play-offs, the next ones play them
+   - store matches & groups in localStorage, namespaced per tournament (several cups side by side)
    - modal for entering scores (homeGoals / awayGoals)
+   - edit / void played results, multi-step undo / redo, timestamped history log
+   - bulk entry: pasted lines or CSV matched loosely to scheduled fixtures, previewed, applied as one step
+   - match events (goals, assists, cards), player leaderboards and automatic suspensions
    - compute standings per group (Played,Pts,W,D,L,GF,GA,GD)
-   - compute best 4 thirds (Points -> GD -> GF -> name)
-   - generate Round of 16 (constrained draw to avoid same-group where possible)
-   - save knockout bracket & render it on knockout.html
-   - auto-generate R16 when all 36 group matches are played OR when user clicks Go to Knockout
+   - tiebreaker presets (UEFA head-to-head first, FIFA overall first, simple)
+   - compute best thirds (same preset minus head-to-head)
+   - generate first knockout round, R32..Final depending on qualifiers: rule-based bracket (winners vs thirds /
+     runners-up, no same-group ties, same-group teams in opposite halves)
+   - save knockout bracket & render it on knockout.html: SVG tree with connector lines and the
+     hovered team's path highlighted (round lists on small screens), print & PNG export
+   - knockout score entry (extra time + penalties), winners advance to QF / SF / Final;
+     rounds can be two-legged (aggregate, optional away goals, extra time after the 2nd leg)
+   - fixture calendar on calendar.html: kickoff slots per console with rest times, .ics export
+   - team ratings (typed or derived from results) and Monte Carlo odds on odds.html;
+     "Simulate Rest of Round" fills open matches with placeholder results
+   - qualification scenarios per team (qualified / through with a draw or a win / eliminated)
+   - auto-generate knockout when all group matches are played OR when user clicks Go to Knockout
+   - export / import the whole tournament as versioned JSON (index.html)
+   - share links: the tournament packed into the URL fragment, shown read-only on another
+     device (groups, knockout, big screen) and optionally kept as a local copy
+   - live updates across tabs (storage events) and a read-only big screen (screen.html) cycling
+     through the tables, the day's fixtures and the bracket
+   - installable offline app: manifest, icons and a service worker (sw.js) caching every page and
+     script, with a banner offering a reload when a new version is ready
+   - English, French and Arabic (i18n.js, lang/*.js) with a remembered language switcher, numbers
+     and dates in the locale's format, and a right-to-left layout for Arabic
+   - integrity check on every page load (duplicate / orphan matches, stale round counter,
+     impossible scores, a bracket that disagrees with the standings) with one-click repairs
 */
 
 (() => {
@@ -19,177 +52,362 @@
   const KEY_MATCHES = 'ef_matches';
   const KEY_ROUNDS = 'ef_generatedRounds';
   const KEY_KNOCKOUT = 'ef_knockout';
+  const KEY_CONFIG = 'ef_config';
+  const KEY_LOTS = 'ef_lots';
+  const KEY_HISTORY = 'ef_history';
+  const KEY_DRAWS = 'ef_draws';
+  const KEY_CALENDAR = 'ef_calendar';
+  // every key above is stored per tournament as `${key}__${tournamentId}`
+  const TOURNAMENT_KEYS = [KEY_GROUPS, KEY_MATCHES, KEY_ROUNDS, KEY_KNOCKOUT, KEY_CONFIG, KEY_LOTS, KEY_HISTORY, KEY_DRAWS, KEY_CALENDAR];
+  // { activeId, list: [{ id, name, createdAt, archived }] }, shared by all tournaments
+  const KEY_REGISTRY = 'ef_tournaments';
 
   /* ------------------------
      Helpers
      ------------------------ */
   const $ = (sel) => document.querySelector(sel);
   const $$ = (sel) => Array.from(document.querySelectorAll(sel));
-  const save = (key, value) => localStorage.setItem(key, JSON.stringify(value));
-  const load = (key) => {
+  // text typed by the user (team and player names) on its way into markup or an attribute
+  const escapeHtml = (value) => String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  const readJson = (storageKey) => {
     try {
-      return JSON.parse(localStorage.getItem(key));
+      return JSON.parse(localStorage.getItem(storageKey));
     } catch (e) {
       return null;
     }
   };
+  const scopedKey = (key, id = activeId) => `${key}__${id}`;
+  // while a shared snapshot is on show (see "Shared snapshots") it stands in for the
+  // storage: reads come from it and writes stay in memory, local data is never touched
+  let snapshot = null;
+  const SNAPSHOT_FIELDS = {
+    [KEY_GROUPS]: 'groups', [KEY_MATCHES]: 'matches', [KEY_ROUNDS]: 'generatedRounds', [KEY_KNOCKOUT]: 'knockout',
+    [KEY_CONFIG]: 'config', [KEY_LOTS]: 'lots', [KEY_HISTORY]: 'history', [KEY_DRAWS]: 'draws', [KEY_CALENDAR]: 'calendar'
+  };
+  const snapshotRead = (key) => {
+    const value = snapshot[SNAPSHOT_FIELDS[key]];
+    return value == null ? null : JSON.parse(JSON.stringify(value));
+  };
+  // save / load / remove act on the active tournament unless an id is given
+  const save = (key, value, id) => {
+    if (snapshot) snapshot[SNAPSHOT_FIELDS[key]] = JSON.parse(JSON.stringify(value));
+    else localStorage.setItem(scopedKey(key, id), JSON.stringify(value));
+  };
+  const load = (key, id) => (snapshot ? snapshotRead(key) : readJson(scopedKey(key, id)));
+  const remove = (key, id) => {
+    if (snapshot) snapshot[SNAPSHOT_FIELDS[key]] = null;
+    else localStorage.removeItem(scopedKey(key, id));
+  };
+
+  /* ------------------------
+     Engine
+     the rules themselves (draw, schedule, standings, knockout) live in engine.js
+     and work on a plain tournament state; this file maps that state onto
+     localStorage and the pages
+     ------------------------ */
+  const {
+    normalizeSeed, newSeed,
+    knockoutSize, roundsPerGroup, totalGroupMatches, validateConfig, isLeague, leagueByes, groupTitle,
+    teamMetaOf, getPots,
+    restingTeams,
+    TIEBREAK_PRESETS,
+    FAIR_PLAY_POINTS, validateEvents, playersByTeam, computePlayerStats, computeSuspensions,
+    KO_ROUNDS, KO_LABELS, firstKnockoutRound, knockoutRoundLabel, knockoutWinner, advanceKnockout,
+    hasKnockout, findKnockoutTie, formatKnockoutScore, isTwoLegged, tieAggregate, tieLeader
+  } = EfEngine;
+
+  /* ------------------------
+     Language
+     every string shown goes through tr() from i18n.js, its English text being the
+     key; sentences and labels the engine composes go through trMessage. num()
+     writes a number in the locale's digits, place() an ordinal. The choice is
+     kept per device.
+     ------------------------ */
+  const { tr, translateMessage: trMessage, formatNumber: num, localizeDigits, ordinal: place } = EfI18n;
+  const KEY_LANGUAGE = 'ef_language';
+
+  // engine labels in the page language
+  const groupName = (config, groupIndex) => trMessage(groupTitle(config, groupIndex));
+  const roundName = (config, key) => trMessage(knockoutRoundLabel(config, key));
+  const problemList = (problems) => problems.map(trMessage).join('\n- ');
+  // the words of formatKnockoutScore ("1 - 1 (2 - 1 aet)", "agg 3 - 2") and its digits
+  const knockoutScore = (tie) => localizeDigits(formatKnockoutScore(tie).replace(/1st leg|away goals|vs|aet|pens|agg/g, word => tr(word)));
+  // engine errors may list several problems, one per "\n- " line
+  const errorMessage = (err) => problemList(String(err.message).split('\n- '));
+
+  EfI18n.setLanguage(EfI18n.languageOf(localStorage.getItem(KEY_LANGUAGE), navigator.languages || [navigator.language]));
+  document.documentElement.lang = EfI18n.language();
+  document.documentElement.dir = EfI18n.direction();
+  // the pages' own English, swapped before anything is drawn into them
+  EfI18n.translateDom(document.body);
+  document.title = trMessage(document.title);
+  // "before → after"; a right-to-left pack turns the arrow round
+  const ARROW = tr('→');
+
+  // a select in the header; the page reloads in the new language
+  function renderLanguageSwitcher() {
+    const header = $('header nav') || $('header .nav-actions') || $('header');
+    if (!header) return;
+    const select = document.createElement('select');
+    select.className = 'language-select';
+    select.setAttribute('aria-label', tr('Language'));
+    select.innerHTML = EfI18n.languages()
+      .map(l => `<option value="${l.code}"${l.code === EfI18n.language() ? ' selected' : ''}>${l.name}</option>`).join('');
+    select.addEventListener('change', () => {
+      localStorage.setItem(KEY_LANGUAGE, select.value);
+      location.reload();
+    });
+    header.appendChild(select);
+  }
+
+  // the stored tournament as one engine state (the export shape without metadata)
+  function tournamentState() {
+    return {
+      config: getConfig(),
+      groups: load(KEY_GROUPS) || [],
+      matches: load(KEY_MATCHES) || [],
+      generatedRounds: load(KEY_ROUNDS) || 0,
+      knockout: load(KEY_KNOCKOUT),
+      lots: load(KEY_LOTS) || {},
+      history: load(KEY_HISTORY),
+      draws: load(KEY_DRAWS) || [],
+      calendar: load(KEY_CALENDAR) || {}
+    };
+  }
+
+  // runs an engine call on the stored state and keeps any lots it had to draw
+  function withState(fn) {
+    const state = tournamentState();
+    const lotCount = Object.keys(state.lots).length;
+    const result = fn(state);
+    if (Object.keys(state.lots).length !== lotCount) save(KEY_LOTS, state.lots);
+    return result;
+  }
+
+  const currentDrawSeed = (kind) => EfEngine.currentDrawSeed({ draws: load(KEY_DRAWS) }, kind);
+
+  /* ------------------------
+     Tournaments registry
+     storage from before multi-tournament support (unscoped ef_* keys) is
+     adopted as the first tournament
+     ------------------------ */
+  let activeId = null;
+
+  const newTournamentId = () => `t${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+
+  function loadRegistry() {
+    return readJson(KEY_REGISTRY) || { activeId: null, list: [] };
+  }
 
-  const shuffle = (arr) => {
-    const a = arr.slice();
-    for (let i = a.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [a[i], a[j]] = [a[j], a[i]];
+  function saveRegistry(registry) {
+    localStorage.setItem(KEY_REGISTRY, JSON.stringify(registry));
+  }
+
+  function ensureRegistry() {
+    const registry = loadRegistry();
+    if (registry.list.length === 0) {
+      const id = newTournamentId();
+      registry.list.push({ id, name: 'EFOOTBALL CUP', createdAt: new Date().toISOString(), archived: false });
+      TOURNAMENT_KEYS.forEach(key => {
+        const legacy = localStorage.getItem(key);
+        if (legacy == null) return;
+        localStorage.setItem(scopedKey(key, id), legacy);
+        localStorage.removeItem(key);
+      });
+      registry.activeId = id;
     }
-    return a;
-  };
+    if (!registry.list.some(t => t.id === registry.activeId)) {
+      registry.activeId = (registry.list.find(t => !t.archived) || registry.list[0]).id;
+    }
+    saveRegistry(registry);
+    activeId = registry.activeId;
+    return registry;
+  }
+
+  function activeTournament() {
+    return loadRegistry().list.find(t => t.id === activeId) || null;
+  }
+
+  function createTournament(name) {
+    const registry = loadRegistry();
+    const entry = { id: newTournamentId(), name, createdAt: new Date().toISOString(), archived: false };
+    registry.list.push(entry);
+    registry.activeId = entry.id;
+    saveRegistry(registry);
+    activeId = entry.id;
+    return entry;
+  }
+
+  function switchTournament(id) {
+    const registry = loadRegistry();
+    if (!registry.list.some(t => t.id === id)) return;
+    registry.activeId = id;
+    saveRegistry(registry);
+    activeId = id;
+  }
+
+  function updateTournament(id, changes) {
+    const registry = loadRegistry();
+    const entry = registry.list.find(t => t.id === id);
+    if (!entry) return;
+    Object.assign(entry, changes);
+    saveRegistry(registry);
+  }
+
+  function duplicateTournament(id) {
+    const source = loadRegistry().list.find(t => t.id === id);
+    if (!source) return null;
+    const current = activeId;
+    const copy = createTournament(tr('{name} (copy)', { name: source.name }));
+    TOURNAMENT_KEYS.forEach(key => {
+      const raw = localStorage.getItem(scopedKey(key, id));
+      if (raw != null) localStorage.setItem(scopedKey(key, copy.id), raw);
+    });
+    switchTournament(current);
+    return copy;
+  }
+
+  function deleteTournament(id) {
+    const registry = loadRegistry();
+    registry.list = registry.list.filter(t => t.id !== id);
+    TOURNAMENT_KEYS.forEach(key => remove(key, id));
+    saveRegistry(registry);
+    // falls back to another tournament, or a fresh one when the list is empty
+    ensureRegistry();
+  }
+
+  // "Not started", "Group stage 12/36" ("League phase 40/144"), "Round of 16", "Champion: X"
+  function tournamentStage(id) {
+    const config = getConfig(id);
+    const groups = load(KEY_GROUPS, id);
+    const bracket = load(KEY_KNOCKOUT, id);
+    if (bracket && bracket.champion) return tr('Champion: {team}', { team: teamLabel(bracket.champion, config) });
+    const current = bracket && KO_ROUNDS.slice().reverse().find(key => bracket[key] && bracket[key].some(t => t.home && t.away));
+    if (current) return roundName(config, current);
+    if (!groups) return tr('Not started');
+    const played = (load(KEY_MATCHES, id) || []).filter(m => m.status === 'played').length;
+    const counts = { played, total: totalGroupMatches(config) };
+    return isLeague(config) ? tr('League phase {played}/{total}', counts) : tr('Group stage {played}/{total}', counts);
+  }
 
   /* ------------------------
-     ID helpers
+     Tournament config
+     { teams, groupCount, teamsPerGroup, qualifyPerGroup, bestThirds, doubleRoundRobin, tiebreakPreset,
+       pots, teamMeta, drawConstraints }; teamMeta holds the team profiles
+     saved by create.html; without one, the teams.js list plays 6 groups of 4
      ------------------------ */
-  function mkMatchId(groupIndex, round, home, away) {
-    return `G${groupIndex}_R${round}_${home.replace(/\s+/g, '_')}__VS__${away.replace(/\s+/g, '_')}`;
+  function defaultConfig() {
+    // teams.js declares top-level consts, which are not window properties
+    const list = typeof teams !== 'undefined' ? teams : window.teams;
+    const info = typeof teamInfo !== 'undefined' ? teamInfo : window.teamInfo;
+    return EfEngine.defaultConfig(Array.isArray(list) ? list : [], info || {});
+  }
+
+  // teamMeta fields saved from draw.html or teams.html override the teams.js ones field by field
+  function getConfig(id) {
+    const defaults = defaultConfig();
+    const stored = load(KEY_CONFIG, id) || {};
+    const teamMeta = { ...defaults.teamMeta };
+    Object.entries(stored.teamMeta || {}).forEach(([team, meta]) => { teamMeta[team] = { ...teamMeta[team], ...meta }; });
+    return { ...defaults, ...stored, teamMeta };
+  }
+
+  /* ------------------------
+     Team display
+     groups, results and the bracket hold team ids; what is shown comes from the
+     profile edited on teams.html, so a renamed team keeps all of its matches.
+     Renders that list many teams read the config once and pass it along.
+     ------------------------ */
+  const teamProfile = (team, config = getConfig()) => EfEngine.teamProfile(config, team);
+  const teamLabel = (team, config) => (team ? teamProfile(team, config).name : tr('TBD'));
+
+  // the crest, or the short code on the club colours when there is none
+  function crestHtml(p) {
+    return p.crest
+      ? `<img class="crest" src="${escapeHtml(p.crest)}" alt="">`
+      : `<span class="crest crest-code" style="background:${p.primary};color:${p.secondary}">${escapeHtml(p.short)}</span>`;
+  }
+
+  // crest + name; small screens show the short code instead of the name.
+  // Profiles may come from a shared link, so every field is escaped
+  function teamTag(team, config) {
+    if (!team) return `<span class="team-tag tbd">${tr('TBD')}</span>`;
+    const p = teamProfile(team, config);
+    const title = p.owner ? `${p.name} · ${p.owner}` : p.name;
+    return `<span class="team-tag" title="${escapeHtml(title)}">${crestHtml(p)}<span class="team-full">${escapeHtml(p.name)}</span><span class="team-short">${escapeHtml(p.short)}</span></span>`;
   }
 
   /* ------------------------
      Create / Reset Groups
      ------------------------ */
-  function createGroups(randomize = true) {
-    // expects global "teams" array (teams.js should define it)
-    if (!window.teams || !Array.isArray(window.teams) || window.teams.length < 24) {
-      alert('Teams list missing or incomplete (teams.js).');
+  function createGroups(randomize = true, seed = newSeed()) {
+    const config = getConfig();
+    const problems = validateConfig(config);
+    if (problems.length) {
+      alert(`${tr('Tournament setup is incomplete:')}\n- ${problemList(problems)}`);
       return null;
     }
-    const order = randomize ? shuffle(window.teams) : window.teams.slice(0, 24);
+    const state = tournamentState();
+    if (randomize) {
+      const draw = EfEngine.drawTournament(state, seed);
+      if (!draw) {
+        alert(tr('No valid draw exists with these pots and separation rules. Relax a rule or move teams between pots.'));
+        return null;
+      }
+      writeState(state);
+      return draw.groups;
+    }
+    const size = config.teamsPerGroup;
     const groups = [];
-    for (let i = 0; i < 6; i++) {
-      groups.push(order.slice(i * 4, i * 4 + 4));
+    for (let i = 0; i < config.groupCount; i++) {
+      groups.push(config.teams.slice(i * size, i * size + size));
     }
-    // save groups, reset matches/rounds/knockout
-    save(KEY_GROUPS, groups);
-    save(KEY_MATCHES, []);
-    save(KEY_ROUNDS, 0);
-    save(KEY_KNOCKOUT, null);
+    writeState(EfEngine.startGroupStage(state, groups));
     return groups;
   }
 
   /* ------------------------
-     Match generation (round-robin template)
-     Round 1: T1 vs T2, T3 vs T4
-     Round 2: T1 vs T3, T2 vs T4
-     Round 3: T1 vs T4, T2 vs T3
+     Match generation
      ------------------------ */
-  function makeMatchObj(groupIndex, round, home, away) {
-    return {
-      id: mkMatchId(groupIndex, round, home, away),
-      groupIndex,
-      groupName: String.fromCharCode(65 + groupIndex),
-      round,
-      home,
-      away,
-      homeGoals: null,
-      awayGoals: null,
-      status: 'scheduled' // 'scheduled' | 'played'
-    };
+  function generateRound(roundNumber) {
+    const config = getConfig();
+    if (!Number.isInteger(roundNumber) || roundNumber < 1 || roundNumber > roundsPerGroup(config)) return;
+    const state = tournamentState();
+    if (!state.groups.length) {
+      alert(tr('Create groups first.'));
+      return;
+    }
+    // a league matchday is paired from the table, which may not be final yet
+    try {
+      EfEngine.scheduleRound(state, roundNumber);
+    } catch (err) {
+      alert(errorMessage(err));
+      return;
+    }
+    save(KEY_MATCHES, state.matches);
+    save(KEY_ROUNDS, state.generatedRounds);
+    return state.matches;
   }
 
-  function generateRound(roundNumber) {
-    if (![1, 2, 3].includes(roundNumber)) return;
-    const groups = load(KEY_GROUPS);
-    if (!groups) {
-      alert('Create groups first.');
+  // a league pairs its next matchday as soon as the last one is finished
+  function pairNextMatchday() {
+    if (!isLeague(getConfig())) return;
+    const state = tournamentState();
+    try {
+      if (!EfEngine.pairNextLeagueRound(state)) return;
+    } catch (err) {
+      alert(errorMessage(err));
       return;
     }
-    const matches = load(KEY_MATCHES) || [];
-    // avoid generating duplicate matches for same round (idempotent)
-    groups.forEach((group, gi) => {
-      if (!group || group.length !== 4) return;
-      const [T1, T2, T3, T4] = group;
-      const candidates = [];
-      if (roundNumber === 1) {
-        candidates.push(makeMatchObj(gi, 1, T1, T2));
-        candidates.push(makeMatchObj(gi, 1, T3, T4));
-      } else if (roundNumber === 2) {
-        candidates.push(makeMatchObj(gi, 2, T1, T3));
-        candidates.push(makeMatchObj(gi, 2, T2, T4));
-      } else if (roundNumber === 3) {
-        candidates.push(makeMatchObj(gi, 3, T1, T4));
-        candidates.push(makeMatchObj(gi, 3, T2, T3));
-      }
-      candidates.forEach(c => {
-        if (!matches.find(m => m.id === c.id)) {
-          matches.push(c);
-        }
-      });
-    });
-    save(KEY_MATCHES, matches);
-    save(KEY_ROUNDS, roundNumber);
-    return matches;
+    save(KEY_MATCHES, state.matches);
+    save(KEY_ROUNDS, state.generatedRounds);
   }
 
   /* ------------------------
      Compute Standings
-     returns array of 6 arrays (one per group) sorted:
-     each entry: {team, played, w,d,l,gf,ga,gd,pts}
-     tie-breakers applied: points -> gd -> gf -> name
+     one sorted array per group, see computeStandings in engine.js
      ------------------------ */
-  function computeStandings() {
-    const groups = load(KEY_GROUPS) || [];
-    const matches = load(KEY_MATCHES) || [];
-    // init structures
-    const statsPerGroup = groups.map(g => {
-      return g.map(team => ({
-        team,
-        played: 0,
-        w: 0,
-        d: 0,
-        l: 0,
-        gf: 0,
-        ga: 0,
-        gd: 0,
-        pts: 0
-      }));
-    });
-
-    // accumulate from matches (played only)
-    matches.forEach(m => {
-      if (!m || m.status !== 'played') return;
-      const gi = m.groupIndex;
-      if (typeof gi !== 'number' || !statsPerGroup[gi]) return;
-      const homeObj = statsPerGroup[gi].find(x => x.team === m.home);
-      const awayObj = statsPerGroup[gi].find(x => x.team === m.away);
-      if (!homeObj || !awayObj) return;
-      homeObj.played += 1;
-      awayObj.played += 1;
-      homeObj.gf += Number(m.homeGoals || 0);
-      homeObj.ga += Number(m.awayGoals || 0);
-      awayObj.gf += Number(m.awayGoals || 0);
-      awayObj.ga += Number(m.homeGoals || 0);
-      if (m.homeGoals > m.awayGoals) {
-        homeObj.w += 1; homeObj.pts += 3;
-        awayObj.l += 1;
-      } else if (m.homeGoals < m.awayGoals) {
-        awayObj.w += 1; awayObj.pts += 3;
-        homeObj.l += 1;
-      } else {
-        homeObj.d += 1; awayObj.d += 1;
-        homeObj.pts += 1; awayObj.pts += 1;
-      }
-    });
-
-    // compute gd and sort
-    const sorted = statsPerGroup.map(arr => {
-      arr.forEach(o => o.gd = o.gf - o.ga);
-      arr.sort((a, b) => {
-        if (b.pts !== a.pts) return b.pts - a.pts;
-        if (b.gd !== a.gd) return b.gd - a.gd;
-        if (b.gf !== a.gf) return b.gf - a.gf;
-        return a.team.localeCompare(b.team);
-      });
-      return arr.map((r, idx) => ({ ...r, position: idx + 1 }));
-    });
-
-    return sorted;
-  }
+  const computeStandings = () => withState(EfEngine.computeStandings);
 
   /* ------------------------
      Render functions (Groups page)
@@ -198,15 +416,17 @@
     const wrap = $('#standingsWrap');
     if (!wrap) return;
     const groups = load(KEY_GROUPS) || [];
+    const config = getConfig();
     wrap.innerHTML = '';
     groups.forEach((grp, i) => {
       const container = document.createElement('div');
-      container.className = 'group';
+      // the league's table already lists every team
+      container.className = isLeague(config) ? 'group league' : 'group';
       container.innerHTML = `
-        <h3>Group ${String.fromCharCode(65 + i)}</h3>
-        <ul>
-          ${grp.map(t => `<li>${t}</li>`).join('')}
-        </ul>
+        <h3>${groupName(config, i)}</h3>
+        ${isLeague(config) ? '' : `<ul>
+          ${grp.map(t => `<li>${teamTag(t, config)}</li>`).join('')}
+        </ul>`}
         <div id="stand-${i}" class="table-placeholder"></div>
       `;
       wrap.appendChild(container);
@@ -215,23 +435,36 @@
     renderStandingsAll();
   }
 
-  function renderStandingsAll() {
-    const sorted = computeStandings();
-    sorted.forEach((arr, gi) => {
-      const container = document.getElementById(`stand-${gi}`);
-      if (!container) return;
-      container.innerHTML = `
+  // a league row's way on: straight into the knockout, the play-offs or out
+  function leagueZone(position, config) {
+    if (position <= config.leagueDirect) return 'zone-direct';
+    return position <= config.leagueDirect + config.leaguePlayoff ? 'zone-playoff' : 'zone-out';
+  }
+
+  // one group's table from its sorted rows (groups.html and the big screen)
+  function standingsTableHtml(arr, config) {
+    return `
         <table class="small-table">
           <thead>
             <tr>
-              <th>#</th><th>Team</th><th>P</th><th>Pts</th><th>W</th><th>D</th><th>L</th><th>GF</th><th>GA</th><th>GD</th>
+              <th>#</th><th>${tr('Team')}</th><th>${tr('P')}</th><th>${tr('Pts')}</th><th>${tr('W')}</th><th>${tr('D')}</th><th>${tr('L')}</th><th>${tr('GF')}</th><th>${tr('GA')}</th><th>${tr('GD')}</th>
             </tr>
           </thead>
           <tbody>
-            ${arr.map(r => `<tr class="pos-${r.position}"><td>${r.position}</td><td class="name">${r.team}</td><td>${r.played}</td><td>${r.pts}</td><td>${r.w}</td><td>${r.d}</td><td>${r.l}</td><td>${r.gf}</td><td>${r.ga}</td><td>${r.gd}</td></tr>`).join('')}
+            ${arr.map(r => `<tr class="pos-${r.position}${isLeague(config) ? ` ${leagueZone(r.position, config)}` : ''}"><td>${num(r.position)}</td><td class="name">${teamTag(r.team, config)}${r.tiebreak ? `<sup class="tiebreak" title="${trMessage(r.tiebreak)}">*</sup>` : ''}</td><td>${num(r.played)}</td><td>${num(r.pts)}</td><td>${num(r.w)}</td><td>${num(r.d)}</td><td>${num(r.l)}</td><td>${num(r.gf)}</td><td>${num(r.ga)}</td><td>${num(r.gd, { signDisplay: 'exceptZero' })}</td></tr>`).join('')}
           </tbody>
         </table>
+        ${arr.some(r => r.tiebreak) ? `<p class="tiebreak-note">* ${arr.filter(r => r.tiebreak).map(r => `${escapeHtml(teamLabel(r.team, config))}: ${trMessage(r.tiebreak).toLowerCase()}`).join(' · ')}</p>` : ''}
       `;
+  }
+
+  function renderStandingsAll() {
+    const sorted = computeStandings();
+    const config = getConfig();
+    sorted.forEach((arr, gi) => {
+      const container = document.getElementById(`stand-${gi}`);
+      if (!container) return;
+      container.innerHTML = standingsTableHtml(arr, config);
     });
     updateBestThirdsUI();
   }
@@ -239,242 +472,1883 @@
   /* ------------------------
      Matches rendering and score input
      ------------------------ */
+  // "Round 4 of 6 · 2nd leg" ("Matchday 4 of 8" in a league); the round nav reads the number back from data-round
+  function roundLabel(roundNumber, config) {
+    const total = roundsPerGroup(config);
+    if (isLeague(config)) return tr('Matchday {round} of {total}', { round: roundNumber, total });
+    const label = tr('Round {round} of {total}', { round: roundNumber, total });
+    if (!config.doubleRoundRobin) return label;
+    return `${label} · ${roundNumber > total / 2 ? tr('2nd leg') : tr('1st leg')}`;
+  }
+
   function renderMatchesForRound(roundNumber) {
+    const config = getConfig();
+    const curLabel = $('#currentRoundLabel');
+    if (curLabel) {
+      curLabel.textContent = roundLabel(roundNumber, config);
+      curLabel.dataset.round = roundNumber;
+    }
+    if ($('#prevRound')) $('#prevRound').disabled = roundNumber <= 1;
+    if ($('#nextRound')) $('#nextRound').disabled = roundNumber >= roundsPerGroup(config);
+
     const matches = (load(KEY_MATCHES) || []).filter(m => m.round === roundNumber);
     const matchesList = $('#matchesList');
     if (!matchesList) return;
     matchesList.innerHTML = '';
     if (matches.length === 0) {
-      matchesList.innerHTML = '<p class="muted">No matches for this round. Click "Generate Next Round".</p>';
+      matchesList.innerHTML = isLeague(config)
+        ? `<p class="muted">${tr('Not paired yet: a matchday is paired from the table once the one before it is finished.')}</p>`
+        : `<p class="muted">${tr('No matches for this round. Click "Generate Next Round".')}</p>`;
       return;
     }
+    const suspensions = computeSuspensions(load(KEY_MATCHES) || []);
+    const calendar = load(KEY_CALENDAR) || {};
     matches.forEach(m => {
       const card = document.createElement('div');
       card.className = 'match';
-      const score = m.status === 'played' ? `${m.homeGoals} - ${m.awayGoals}` : '×';
+      const score = m.status === 'played' ? localizeDigits(`${m.homeGoals} - ${m.awayGoals}`) : '×';
+      const banned = m.status === 'played' ? [] : (suspensions[m.id] || []);
+      // the club colours run down either edge of the card
+      card.style.setProperty('--home-colour', teamProfile(m.home, config).primary);
+      card.style.setProperty('--away-colour', teamProfile(m.away, config).primary);
       card.innerHTML = `
-        <div class="match-left">${m.home}</div>
+        <div class="match-left">${teamTag(m.home, config)}</div>
         <div class="match-center">${score}</div>
-        <div class="match-right">${m.away}</div>
+        <div class="match-right">${teamTag(m.away, config)}</div>
         <div class="match-actions">
-          ${m.status === 'played' ? '<span class="played-label">Played</span>' : `<button class="btn small enter-score" data-id="${m.id}">×</button>`}
+          ${m.status === 'played'
+            ? `<span class="played-label">${tr('Played')}</span>
+               <button class="btn small enter-score" data-id="${m.id}">${tr('Edit')}</button>
+               <button class="btn small void-score" data-id="${m.id}">${tr('Void')}</button>`
+            : `<button class="btn small enter-score" data-id="${m.id}">×</button>`}
         </div>
+        ${calendar[m.id] ? `<div class="kickoff">${escapeHtml(formatKickoff(calendar[m.id]))}</div>` : ''}
+        ${banned.length ? `<div class="suspended">${tr('Suspended:')} ${banned.map(b => `${escapeHtml(b.player)} (${escapeHtml(teamLabel(b.team, config))}, ${trMessage(b.reason)})`).join(', ')}</div>` : ''}
       `;
       matchesList.appendChild(card);
     });
-    // attach listeners
-    $$('.enter-score').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        const id = e.currentTarget.dataset.id;
-        openScoreModal(id);
+    // odd groups: list who sits this matchday out
+    const resting = [];
+    (load(KEY_GROUPS) || []).forEach((group, gi) => {
+      const pairs = matches.filter(m => m.groupIndex === gi).map(m => [m.home, m.away]);
+      restingTeams(group, pairs).forEach(t => resting.push(`${teamLabel(t, config)} (${groupName(config, gi)})`));
+    });
+    if (resting.length) {
+      const note = document.createElement('p');
+      note.className = 'muted bye-note';
+      note.textContent = `${tr('Resting:')} ${resting.join(', ')}`;
+      matchesList.appendChild(note);
+    }
+    // attach listeners
+    $$('.enter-score').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const id = e.currentTarget.dataset.id;
+        openScoreModal(id);
+      });
+    });
+    $$('.void-score').forEach(btn => {
+      btn.addEventListener('click', (e) => voidResult(e.currentTarget.dataset.id));
+    });
+  }
+
+  /* ------------------------
+     Match events
+     { type: 'goal', side, player, assist, minute, ownGoal, penalty }
+     { type: 'yellow' | 'red', side, player, minute }
+     side = the player's team ('home' | 'away'); an own goal counts for the other side.
+     When goal events are entered they must add up to the scoreline.
+     ------------------------ */
+  function renderPlayerStats() {
+    const container = $('#playerStats');
+    if (!container) return;
+    const stats = computePlayerStats(load(KEY_MATCHES) || []);
+    const config = getConfig();
+    const board = (title, rows, cols) => `
+      <div class="leaderboard">
+        <h3>${tr(title)}</h3>
+        ${rows.length ? `<table class="small-table">
+          <thead><tr><th>#</th><th>${tr('Player')}</th><th>${tr('Team')}</th>${cols.map(c => `<th>${tr(c.label)}</th>`).join('')}</tr></thead>
+          <tbody>${rows.slice(0, 10).map((r, i) => `<tr><td>${num(i + 1)}</td><td class="name">${escapeHtml(r.player)}</td><td>${escapeHtml(teamLabel(r.team, config))}</td>${cols.map(c => `<td>${num(c.value(r))}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>` : `<p class="muted">${tr('Nothing recorded yet.')}</p>`}
+      </div>`;
+    const byName = (a, b) => a.player.localeCompare(b.player);
+    const scorers = stats.filter(r => r.goals > 0).sort((a, b) => b.goals - a.goals || a.penalties - b.penalties || byName(a, b));
+    const assists = stats.filter(r => r.assists > 0).sort((a, b) => b.assists - a.assists || byName(a, b));
+    const discipline = stats.filter(r => r.yellow + r.red > 0)
+      .sort((a, b) => (b.red * FAIR_PLAY_POINTS.red + b.yellow) - (a.red * FAIR_PLAY_POINTS.red + a.yellow) || byName(a, b));
+    container.innerHTML =
+      board('Top scorers', scorers, [{ label: 'Goals', value: r => r.goals }, { label: 'Pens', value: r => r.penalties }]) +
+      board('Assists', assists, [{ label: 'Assists', value: r => r.assists }]) +
+      board('Discipline', discipline, [{ label: 'Yellow', value: r => r.yellow }, { label: 'Red', value: r => r.red }]);
+  }
+
+  function eventRowHtml(m, e) {
+    const sideSelect = `<select class="ev-side">
+        <option value="home"${e.side === 'home' ? ' selected' : ''}>${escapeHtml(teamLabel(m.home))}</option>
+        <option value="away"${e.side === 'away' ? ' selected' : ''}>${escapeHtml(teamLabel(m.away))}</option>
+      </select>`;
+    const player = (cls, value, placeholder) =>
+      `<input type="text" class="${cls}" list="${e.side === 'away' ? 'awayPlayers' : 'homePlayers'}" value="${escapeHtml(value || '')}" placeholder="${placeholder}">`;
+    const minute = `<input type="number" class="ev-minute" min="1" max="130" value="${e.minute != null ? e.minute : ''}" placeholder="${tr('min')}">`;
+    const removeBtn = '<button type="button" class="btn small ev-remove">×</button>';
+    if (e.type === 'goal') {
+      return `<div class="event-row" data-type="goal">⚽ ${sideSelect}${player('ev-player', e.player, tr('Scorer'))}${player('ev-assist', e.assist, tr('Assist'))}${minute}
+        <label><input type="checkbox" class="ev-og"${e.ownGoal ? ' checked' : ''}> ${tr('OG')}</label>
+        <label><input type="checkbox" class="ev-pen"${e.penalty ? ' checked' : ''}> ${tr('Pen')}</label>${removeBtn}</div>`;
+    }
+    return `<div class="event-row" data-type="card">
+      <select class="ev-card"><option value="yellow"${e.type === 'yellow' ? ' selected' : ''}>🟨 ${tr('Yellow')}</option><option value="red"${e.type === 'red' ? ' selected' : ''}>🟥 ${tr('Red')}</option></select>
+      ${sideSelect}${player('ev-player', e.player, tr('Player'))}${minute}${removeBtn}</div>`;
+  }
+
+  function renderEventRows(m, events) {
+    const list = $('#eventsList');
+    if (!list) return;
+    list.innerHTML = events.map(e => eventRowHtml(m, e)).join('');
+    const known = playersByTeam(load(KEY_MATCHES) || []);
+    const fill = (sel, team) => {
+      const dl = $(sel);
+      if (dl) dl.innerHTML = [...(known[team] || [])].map(p => `<option value="${escapeHtml(p)}">`).join('');
+    };
+    fill('#homePlayers', m.home);
+    fill('#awayPlayers', m.away);
+  }
+
+  function readEventRows() {
+    return $$('#eventsList .event-row').map(row => {
+      const val = (sel) => { const el = row.querySelector(sel); return el ? el.value.trim() : ''; };
+      const minute = val('.ev-minute') === '' ? null : Number(val('.ev-minute'));
+      const side = val('.ev-side');
+      if (row.dataset.type === 'goal') {
+        return {
+          type: 'goal',
+          side,
+          player: val('.ev-player'),
+          assist: val('.ev-assist') || null,
+          minute,
+          ownGoal: row.querySelector('.ev-og').checked,
+          penalty: row.querySelector('.ev-pen').checked
+        };
+      }
+      return { type: val('.ev-card'), side, player: val('.ev-player'), minute };
+    });
+  }
+
+  function addEventRow(type) {
+    const m = (load(KEY_MATCHES) || []).find(x => x.id === currentEditingId);
+    if (!m) return;
+    const events = readEventRows();
+    events.push({ type, side: 'home', player: '', minute: null });
+    renderEventRows(m, events);
+  }
+
+  /* ------------------------
+     Modal logic
+     ------------------------ */
+  let currentEditingId = null;
+
+  function openScoreModal(matchId) {
+    currentEditingId = matchId;
+    const matches = load(KEY_MATCHES) || [];
+    const m = matches.find(x => x.id === matchId);
+    if (!m) return;
+    const modal = $('#scoreModal');
+    $('#modalTitle').textContent = tr('{action}: {group} (R{round})', {
+      action: m.status === 'played' ? tr('Edit result') : tr('Result'), group: trMessage(m.groupName), round: m.round
+    });
+    $('#homeName').textContent = teamLabel(m.home);
+    $('#awayName').textContent = teamLabel(m.away);
+    $('#homeGoals').value = m.homeGoals != null ? m.homeGoals : 0;
+    $('#awayGoals').value = m.awayGoals != null ? m.awayGoals : 0;
+    renderEventRows(m, m.events || []);
+    modal.classList.remove('hidden');
+  }
+
+  function closeScoreModal() {
+    currentEditingId = null;
+    const modal = $('#scoreModal');
+    if (modal) modal.classList.add('hidden');
+  }
+
+  function saveScoreFromModal() {
+    const hg = Number($('#homeGoals').value);
+    const ag = Number($('#awayGoals').value);
+    // whole goals up to 99, as an import accepts them
+    if (![hg, ag].every(v => Number.isInteger(v) && v >= 0 && v <= 99)) {
+      alert(tr('Invalid goals input'));
+      return;
+    }
+    const events = readEventRows();
+    const problems = validateEvents(events, hg, ag);
+    if (problems.length) {
+      alert(`${tr('Check the match events:')}\n- ${problemList(problems)}`);
+      return;
+    }
+    const matchId = currentEditingId;
+    closeScoreModal();
+    changeResult(matchId, { homeGoals: hg, awayGoals: ag, events, status: 'played' });
+  }
+
+  /* ------------------------
+     Result changes, undo / redo & history
+     ef_history = { log, undo, redo }
+     log: every change, newest last: { at, action, matchId, label, before, after }
+     undo / redo: stacks of { matchId, before, after } (a new change clears redo)
+     before / after = { homeGoals, awayGoals, events, status }
+     ------------------------ */
+  const formatResult = (r) => (r.status === 'played' ? localizeDigits(`${r.homeGoals}-${r.awayGoals}`) : tr('not played'));
+
+  const loadHistory = () => EfEngine.historyOf({ history: load(KEY_HISTORY) });
+
+  // runs an engine result change on the stored matches and history;
+  // the config gives the history labels the profile names
+  function commitResult(change) {
+    const state = { config: getConfig(), matches: load(KEY_MATCHES) || [], history: load(KEY_HISTORY) };
+    if (!change(state)) return;
+    save(KEY_MATCHES, state.matches);
+    save(KEY_HISTORY, state.history);
+    afterResultChange();
+  }
+
+  function changeResult(matchId, result) {
+    commitResult(state => EfEngine.changeResult(state, matchId, result));
+  }
+
+  function voidResult(matchId) {
+    const m = (load(KEY_MATCHES) || []).find(x => x.id === matchId);
+    if (!m || !confirm(tr('Void the result of {home} {score} {away}?', { home: teamLabel(m.home), score: localizeDigits(`${m.homeGoals} - ${m.awayGoals}`), away: teamLabel(m.away) }))) return;
+    changeResult(matchId, { homeGoals: null, awayGoals: null, events: [], status: 'scheduled' });
+  }
+
+  const undoResult = () => commitResult(EfEngine.undoResult);
+  const redoResult = () => commitResult(EfEngine.redoResult);
+
+  // placeholder results for testing: every open match of the round gets a simulated score
+  function simulateRound(roundNumber) {
+    const open = (load(KEY_MATCHES) || []).filter(m => m.round === roundNumber && m.status !== 'played');
+    if (!open.length) {
+      alert(tr('Every match of this round has a result already.'));
+      return;
+    }
+    if (!confirm(tr('Fill the {count} open matches of this round with simulated results?', { count: open.length }))) return;
+    const ratings = EfEngine.teamRatings(tournamentState());
+    const rng = EfEngine.createRng(newSeed());
+    commitResult(state => open.reduce((changed, m) => {
+      const score = EfEngine.simulateScore(ratings, m.home, m.away, rng);
+      return !!EfEngine.changeResult(state, m.id, { ...score, events: [], status: 'played' }) || changed;
+    }, false));
+  }
+
+  /* ------------------------
+     Pasted results (groups.html)
+     the preview is rebuilt on every keystroke; Apply writes every new or changed
+     result as one undo step, so the tables and the knockout update once
+     ------------------------ */
+  let pastedEntries = [];
+
+  function renderPastePreview() {
+    pastedEntries = withState(state => EfEngine.matchPastedResults(state, $('#pasteInput').value));
+    const ready = pastedEntries.filter(e => e.status === 'new' || e.status === 'edit');
+    const apply = $('#pasteApplyBtn');
+    apply.disabled = ready.length === 0;
+    apply.textContent = ready.length ? tr('Apply {count} results', { count: ready.length }) : tr('Apply');
+    const preview = $('#pastePreview');
+    const config = getConfig();
+    if (!pastedEntries.length) {
+      preview.innerHTML = '';
+      return;
+    }
+    preview.innerHTML = `
+      <table class="small-table">
+        <thead><tr><th>${tr('Line')}</th><th>${tr('Match')}</th><th>${tr('Result')}</th><th>${tr('Status')}</th></tr></thead>
+        <tbody>
+          ${pastedEntries.map(e => `<tr class="paste-${e.status}">
+            <td>${num(e.line)}</td>
+            <td class="name">${e.matchId ? escapeHtml(tr('{home} vs {away}', { home: teamLabel(e.home, config), away: teamLabel(e.away, config) })) : escapeHtml(e.text)}</td>
+            <td>${e.matchId ? `${e.status === 'edit' ? `${formatResult(e.before)} ${ARROW} ` : ''}${localizeDigits(`${e.homeGoals}-${e.awayGoals}`)}` : '-'}</td>
+            <td>${trMessage(EfEngine.PASTE_STATUS[e.status])}${e.message ? `<div class="muted">${escapeHtml(trMessage(e.message))}</div>` : ''}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+  }
+
+  function openPasteModal() {
+    $('#pasteInput').value = '';
+    renderPastePreview();
+    $('#pasteModal').classList.remove('hidden');
+    $('#pasteInput').focus();
+  }
+
+  const closePasteModal = () => $('#pasteModal').classList.add('hidden');
+
+  function applyPastedResults() {
+    const skipped = pastedEntries.filter(e => !['new', 'edit', 'unchanged'].includes(e.status)).length;
+    if (skipped && !confirm(tr('{count} lines will be skipped. Apply the rest?', { count: skipped }))) return;
+    commitResult(state => EfEngine.applyPastedResults(state, pastedEntries));
+    closePasteModal();
+  }
+
+  // the round the groups page is showing, 1 before anything is shown
+  function shownRound() {
+    const currentRoundLabel = $('#currentRoundLabel');
+    return (currentRoundLabel && Number(currentRoundLabel.dataset.round)) || 1;
+  }
+
+  function afterResultChange() {
+    pairNextMatchday();
+    renderMatchesForRound(shownRound());
+    renderStandingsAll();
+    renderPlayedMatches();
+    renderPlayerStats();
+    renderHistory();
+    renderScenarios();
+    checkKnockoutAfterCorrection();
+    tryAutoGenerateKnockout();
+  }
+
+  // everything groups.html shows, redrawn from storage after another tab saved;
+  // unlike afterResultChange this never writes, that tab has done it already
+  function refreshGroupsPage() {
+    renderGroupsPanel();
+    renderMatchesForRound(shownRound());
+    renderPlayedMatches();
+    renderPlayerStats();
+    renderHistory();
+    renderScenarios();
+  }
+
+  const HISTORY_VERBS = { enter: 'Entered', edit: 'Edited', void: 'Voided', undo: 'Undid', redo: 'Redid' };
+
+  function renderHistory() {
+    const history = loadHistory();
+    const undoBtn = $('#undoBtn');
+    const redoBtn = $('#redoBtn');
+    if (undoBtn) undoBtn.disabled = history.undo.length === 0;
+    if (redoBtn) redoBtn.disabled = history.redo.length === 0;
+    const container = $('#historyList');
+    if (!container) return;
+    if (history.log.length === 0) {
+      container.innerHTML = `<p class="muted">${tr('No changes recorded yet.')}</p>`;
+      return;
+    }
+    container.innerHTML = history.log.slice().reverse().map(e => `
+      <div class="history-row">
+        <span class="muted">${EfI18n.formatDate(new Date(e.at), { dateStyle: 'short', timeStyle: 'medium' })}</span>
+        <span>${tr(HISTORY_VERBS[e.action] || e.action)} ${escapeHtml(trMessage(e.label))}</span>
+        <span class="score">${formatResult(e.before)} ${ARROW} ${formatResult(e.after)}</span>
+      </div>`).join('');
+  }
+
+  // a correction after the knockout draw can change who should be in it
+  function checkKnockoutAfterCorrection() {
+    const bracket = load(KEY_KNOCKOUT);
+    const firstRound = bracket && KO_ROUNDS.find(key => bracket[key] && bracket[key].length);
+    if (!firstRound) return;
+    const drawn = bracket[firstRound].flatMap(t => [t.home, t.away]);
+    const pool = knockoutQualifiers();
+    if (!pool) {
+      alert(tr('The knockout was drawn from complete group results, but a group match is now unplayed. Standings and bracket may disagree.'));
+      return;
+    }
+    const config = getConfig();
+    const now = EfEngine.knockoutPairs(pool, EfEngine.knockoutFormat(config)).flat();
+    if (drawn.join('|') === now.join('|')) return;
+    const names = (list) => list.map(t => teamLabel(t, config)).join(', ');
+    const out = drawn.filter(t => !now.includes(t));
+    const inn = now.filter(t => !drawn.includes(t));
+    const change = out.length
+      ? tr('This correction changes who qualifies (out: {out}; in: {in}).', { out: names(out), in: names(inn) })
+      : tr('This correction changes final group positions and so the bracket.');
+    if (confirm(`${change}\n${tr('Redraw the knockout now? All knockout results will be lost.')}`)) {
+      save(KEY_KNOCKOUT, null);
+    }
+  }
+
+  /* ------------------------
+     Played matches list
+     ------------------------ */
+  function renderPlayedMatches() {
+    const matches = (load(KEY_MATCHES) || []).filter(m => m.status === 'played');
+    const container = $('#playedContainer');
+    if (!container) return;
+    if (matches.length === 0) {
+      container.innerHTML = `<p class="muted">${tr('No played matches yet.')}</p>`;
+      return;
+    }
+    const config = getConfig();
+    container.innerHTML = matches.map(m => `<div class="played-row"><div class="left">${trMessage(m.groupName)} - ${teamTag(m.home, config)}</div><div class="score">${localizeDigits(`${m.homeGoals} - ${m.awayGoals}`)}</div><div class="right">${teamTag(m.away, config)}</div></div>`).join('');
+  }
+
+  /* ------------------------
+     Best thirds selection
+     "third" = first non-qualifying place (3rd in the default top-2 format);
+     how many go through comes from config.bestThirds. Thirds never met,
+     so the preset is applied without its head-to-head rules.
+     ------------------------ */
+  const getBestFourThirds = (sortedStandings) => withState(state => EfEngine.getBestFourThirds(state, sortedStandings));
+
+  function updateBestThirdsUI() {
+    const info = $('#roundInfo');
+    if (!info) return;
+    const config = getConfig();
+    const sorted = computeStandings();
+    const best = getBestFourThirds(sorted);
+    const counts = { done: load(KEY_ROUNDS) || 0, total: roundsPerGroup(config) };
+    const text = isLeague(config) ? tr('Matchdays paired: {done}/{total}', counts) : tr('Rounds generated: {done}/{total}', counts);
+    info.textContent = config.bestThirds > 0
+      ? `${text} · ${tr('Best {place} qualified: {teams}', {
+        place: place(config.qualifyPerGroup + 1),
+        teams: best.qualified.map(x => teamLabel(x.team, config)).join(', ') || '-'
+      })}`
+      : text;
+    const seedInfo = $('#drawSeedInfo');
+    const seed = currentDrawSeed('group');
+    if (seedInfo) seedInfo.textContent = seed ? tr('Group draw seed: {seed}', { seed }) : '';
+  }
+
+  /* ------------------------
+     Qualification scenarios (groups.html)
+     worked out on request, then kept up to date while the section is shown;
+     see qualificationScenarios in engine.js
+     ------------------------ */
+  let scenariosShown = false;
+  let scenarios = null;
+  let scenarioTeam = null;
+
+  const SCENARIO_REASONS = {
+    goals: 'depending on goals',
+    others: 'if the other groups\' thirds allow it',
+    lots: 'if the drawing of lots goes their way'
+  };
+
+  function describeResult(match, result, config) {
+    const [home, away] = [escapeHtml(teamLabel(match.home, config)), escapeHtml(teamLabel(match.away, config))];
+    if (result === 'draw') return tr('{home} draw with {away}', { home, away });
+    return result === 'home' ? tr('{winner} beat {loser}', { winner: home, loser: away }) : tr('{winner} beat {loser}', { winner: away, loser: home });
+  }
+
+  function renderScenarios() {
+    const table = $('#scenarioTable');
+    if (!table || !scenariosShown) return;
+    scenarios = withState(EfEngine.qualificationScenarios);
+    const config = getConfig();
+    table.innerHTML = scenarios.groups.map(group => `
+      <div class="scenario-group">
+        <h3>${groupName(config, group.letter.charCodeAt(0) - 65)}</h3>
+        <ul>${Object.entries(scenarios.teams).filter(([, t]) => t.group === group.letter).map(([team, t]) => `
+          <li><button class="scenario-team${team === scenarioTeam ? ' selected' : ''}" data-team="${escapeHtml(team)}">${teamTag(team, config)}</button>
+            <span class="scenario-status status-${t.status}">${trMessage(EfEngine.SCENARIO_STATUS[t.status])}</span></li>`).join('')}
+        </ul>
+      </div>`).join('');
+    renderScenarioDetail();
+  }
+
+  function renderScenarioDetail() {
+    const detail = $('#scenarioDetail');
+    const team = scenarios && scenarios.teams[scenarioTeam];
+    if (!detail) return;
+    if (!team) {
+      detail.innerHTML = `<p class="muted">${tr('Pick a team to see the results that send them through.')}</p>`;
+      return;
+    }
+    const group = scenarios.groups.find(g => g.letter === team.group);
+    const config = getConfig();
+    const heading = `<h3>${escapeHtml(teamLabel(scenarioTeam, config))} · ${trMessage(EfEngine.SCENARIO_STATUS[team.status])}</h3>`;
+    const title = groupName(config, group.letter.charCodeAt(0) - 65);
+    if (group.tooMany) {
+      detail.innerHTML = `${heading}<p class="muted">${tr('Scenarios appear once at most {count} matches are left in {group}.', { count: EfEngine.SCENARIO_MATCH_LIMIT, group: title })}</p>`;
+      return;
+    }
+    if (!group.matches.length) {
+      detail.innerHTML = `${heading}<p class="muted">${tr('{group} is complete.', { group: title })}</p>`;
+      return;
+    }
+    const through = team.scenarios.filter(sc => sc.outcome !== 'no');
+    detail.innerHTML = `${heading}${through.length
+      ? `<ul class="scenario-list">${through.map(sc => `
+          <li class="outcome-${sc.outcome}">${sc.results.map((r, i) => describeResult(group.matches[i], r, config)).join(', ')}
+            ${ARROW} ${tr('through')}${sc.reason ? ` ${tr(SCENARIO_REASONS[sc.reason])}` : ''}</li>`).join('')}
+        </ul>`
+      : `<p class="muted">${tr('No combination of results sends them through.')}</p>`}`;
+  }
+
+  /* ------------------------
+     Knockout generation
+     ------------------------ */
+  // null until every group match is played
+  const knockoutQualifiers = () => withState(EfEngine.knockoutQualifiers);
+
+  function tryAutoGenerateKnockout() {
+    // if already generated, do nothing
+    if (hasKnockout(load(KEY_KNOCKOUT))) return;
+    const pool = knockoutQualifiers();
+    if (!pool) return;
+    const config = getConfig();
+    const bracket = EfEngine.createKnockout(pool, EfEngine.knockoutFormat(config));
+    save(KEY_KNOCKOUT, bracket);
+    // notify user
+    const goBtn = $('#goKnockout');
+    if (goBtn) goBtn.style.display = 'inline-block';
+    alert(tr('{round} draw generated. Open Knockout page to view bracket.', { round: roundName(config, KO_ROUNDS.find(key => bracket[key] && bracket[key].length)) }));
+  }
+
+  /* ------------------------
+     Knockout modal logic
+     ------------------------ */
+  let currentKnockoutId = null;
+  let currentKnockoutTie = null;
+
+  const modalNumber = (sel) => Number($(sel).value);
+
+  // the open tie as the modal currently fills it in
+  function knockoutModalTie() {
+    const tie = {
+      ...currentKnockoutTie,
+      homeGoals: modalNumber('#koHomeGoals'),
+      awayGoals: modalNumber('#koAwayGoals'),
+      etHomeGoals: modalNumber('#koEtHome'),
+      etAwayGoals: modalNumber('#koEtAway')
+    };
+    if (isTwoLegged(tie)) tie.firstLeg = { homeGoals: modalNumber('#koLeg1Home'), awayGoals: modalNumber('#koLeg1Away') };
+    return tie;
+  }
+
+  // extra time only once the 90 minutes end level, penalties only once extra time does;
+  // over two legs "level" means on aggregate, away goals included when they count
+  function syncKnockoutModalRows() {
+    const tie = knockoutModalTie();
+    const secondLeg = !isTwoLegged(tie) || $('#koSecondLegPlayed').checked;
+    ['#koHomeGoals', '#koAwayGoals'].forEach(sel => { $(sel).disabled = !secondLeg; });
+    const needEt = secondLeg && !tieLeader({ ...tie, etHomeGoals: null, etAwayGoals: null });
+    $('#koEtRow').classList.toggle('hidden', !needEt);
+    const needPens = needEt && !tieLeader(tie);
+    $('#koPenRow').classList.toggle('hidden', !needPens);
+  }
+
+  function openKnockoutModal(tieId) {
+    const bracket = load(KEY_KNOCKOUT);
+    const found = bracket && findKnockoutTie(bracket, tieId);
+    if (!found || !found.tie.home || !found.tie.away) return;
+    const { key, tie } = found;
+    currentKnockoutId = tieId;
+    currentKnockoutTie = tie;
+    const twoLegs = isTwoLegged(tie);
+    $('#koModalTitle').textContent = tr('Result: {round} ({tie})', { round: roundName(getConfig(), key), tie: tie.id });
+    $('#koHomeName').textContent = teamLabel(tie.home);
+    $('#koAwayName').textContent = teamLabel(tie.away);
+    $('#koFirstLegRow').classList.toggle('hidden', !twoLegs);
+    $('#koSecondLegToggle').classList.toggle('hidden', !twoLegs);
+    $('#koFirstLegLabel').textContent = tr('1st leg at {team}', { team: teamLabel(tie.away) });
+    $('#koLeg1Home').value = tie.firstLeg ? tie.firstLeg.homeGoals : 0;
+    $('#koLeg1Away').value = tie.firstLeg ? tie.firstLeg.awayGoals : 0;
+    $('#koSecondLegPlayed').checked = !twoLegs || tie.status === 'played';
+    $('#koHomeGoals').value = tie.homeGoals != null ? tie.homeGoals : 0;
+    $('#koAwayGoals').value = tie.awayGoals != null ? tie.awayGoals : 0;
+    $('#koEtHome').value = tie.etHomeGoals != null ? tie.etHomeGoals : 0;
+    $('#koEtAway').value = tie.etAwayGoals != null ? tie.etAwayGoals : 0;
+    $('#koPenHome').value = tie.penHome != null ? tie.penHome : 0;
+    $('#koPenAway').value = tie.penAway != null ? tie.penAway : 0;
+    syncKnockoutModalRows();
+    $('#koModal').classList.remove('hidden');
+  }
+
+  function closeKnockoutModal() {
+    currentKnockoutId = null;
+    currentKnockoutTie = null;
+    const modal = $('#koModal');
+    if (modal) modal.classList.add('hidden');
+  }
+
+  function saveKnockoutFromModal() {
+    const values = ['#koHomeGoals', '#koAwayGoals', '#koEtHome', '#koEtAway', '#koPenHome', '#koPenAway', '#koLeg1Home', '#koLeg1Away']
+      .map(modalNumber);
+    // whole goals up to 99, as an import accepts them
+    if (!values.every(v => Number.isInteger(v) && v >= 0 && v <= 99)) {
+      alert(tr('Invalid goals input'));
+      return;
+    }
+    const [homeGoals, awayGoals, etHomeGoals, etAwayGoals, penHome, penAway, leg1Home, leg1Away] = values;
+    const bracket = load(KEY_KNOCKOUT);
+    const found = bracket && findKnockoutTie(bracket, currentKnockoutId);
+    if (!found) { closeKnockoutModal(); return; }
+    const score = { homeGoals, awayGoals, etHomeGoals, etAwayGoals, penHome, penAway };
+    if (isTwoLegged(found.tie)) {
+      score.firstLeg = { homeGoals: leg1Home, awayGoals: leg1Away };
+      if (!$('#koSecondLegPlayed').checked) score.homeGoals = score.awayGoals = null;
+    }
+    try {
+      EfEngine.setKnockoutResult(bracket, currentKnockoutId, score);
+    } catch (err) {
+      alert(errorMessage(err));
+      return;
+    }
+    save(KEY_KNOCKOUT, bracket);
+    closeKnockoutModal();
+    renderKnockoutPage();
+  }
+
+  /* ------------------------
+     Render Knockout (on knockout.html)
+     ------------------------ */
+  /* ------------------------
+     Bracket drawing (knockout.html)
+     rounds are columns; a tie sits halfway between the two ties that feed it and
+     an elbow line joins them. The SVG carries its own <style>, so the file saved
+     as PNG looks the same as the page.
+     ------------------------ */
+  const BRACKET = { tieWidth: 210, legsExtra: 60, rowHeight: 26, gap: 18, columnGap: 46, top: 34, pad: 12 };
+
+  // goals after extra time, penalties in brackets; two legs read "1st + 2nd = aggregate"
+  function sideScore(tie, side) {
+    const home = side === 'home';
+    const first = isTwoLegged(tie) && tie.firstLeg ? (home ? tie.firstLeg.homeGoals : tie.firstLeg.awayGoals) : null;
+    if (tie.status !== 'played') return first != null ? String(first) : '';
+    const goals = (home ? tie.homeGoals : tie.awayGoals) + ((home ? tie.etHomeGoals : tie.etAwayGoals) || 0);
+    const pens = home ? tie.penHome : tie.penAway;
+    const total = tieAggregate(tie)[side];
+    const score = first != null ? `${first} + ${goals} = ${total}` : String(goals);
+    return pens != null ? `${score} (${pens})` : score;
+  }
+
+  const BRACKET_STYLE = `
+    .bracket-bg { fill: #0e0e10; }
+    .round-label { fill: #ff2b91; font: 700 12px sans-serif; letter-spacing: 0.5px; }
+    .tie-box { fill: #1a1a1f; stroke: #2a2a30; }
+    .tie.played .tie-box { stroke: #ff2b91; }
+    .team-name, .team-score { fill: #ddd; font: 13px sans-serif; }
+    .team-score { text-anchor: end; }
+    .team.tbd .team-name { fill: #555; }
+    .team.winner .team-name, .team.winner .team-score { fill: #ff2b91; font-weight: 700; }
+    .team.loser .team-name, .team.loser .team-score { fill: #777; }
+    .connector { fill: none; stroke: #3a3a42; stroke-width: 2px; }
+    .connector.won { stroke: #ff2b91; stroke-opacity: 0.45; }
+    .champion-box { fill: #ff2b91; }
+    .champion-name { fill: #0e0e10; font: 700 14px sans-serif; text-anchor: middle; }
+    .on-path .tie-box, .on-path.connector { stroke: #fff; stroke-opacity: 1; }
+    .team.on-path .team-name { fill: #fff; }`;
+
+  // the whole bracket as one standalone <svg>, teams in their profile names and colours;
+  // right to left it is drawn mirrored, the first round on the right and the cup on the left
+  function bracketSvg(bracket, config = getConfig()) {
+    const rounds = KO_ROUNDS.filter(key => bracket[key] && bracket[key].length);
+    const { rowHeight, gap, columnGap, top, pad } = BRACKET;
+    // "1 + 2 = 3 (4)" needs more room than a single score
+    const tieWidth = BRACKET.tieWidth + (rounds.some(key => bracket[key].some(isTwoLegged)) ? BRACKET.legsExtra : 0);
+    const tieHeight = rowHeight * 2;
+    const x = (r) => pad + r * (tieWidth + columnGap);
+    // vertical centre of every tie, the first round evenly spaced
+    const centres = [bracket[rounds[0]].map((_, i) => top + i * (tieHeight + gap) + tieHeight / 2)];
+    rounds.slice(1).forEach((key, r) => {
+      centres.push(bracket[key].map((_, i) => (centres[r][i * 2] + centres[r][i * 2 + 1]) / 2));
+    });
+    const width = x(rounds.length) + tieWidth / 2 + pad;
+    const height = top + bracket[rounds[0]].length * (tieHeight + gap) + pad;
+    const rtl = EfI18n.direction() === 'rtl';
+    // a point, and the left edge of a box w wide, on the page's side; text-anchor
+    // start / end follow the direction, so the labels need no change of their own
+    const px = (left) => (rtl ? width - left : left);
+    const bx = (left, w) => (rtl ? width - left - w : left);
+    const parts = [`<rect class="bracket-bg" width="${width}" height="${height}"/>`];
+
+    rounds.forEach((key, r) => {
+      parts.push(`<text class="round-label" x="${px(x(r))}" y="${top - 14}">${escapeHtml(roundName(config, key).toUpperCase())}</text>`);
+      bracket[key].forEach((tie, i) => {
+        const y = centres[r][i] - tieHeight / 2;
+        const winner = knockoutWinner(tie);
+        const row = (team, side, offset) => {
+          const state = !team ? 'tbd' : winner ? (winner === team ? 'winner' : 'loser') : '';
+          const colour = team ? `<rect class="team-colour" x="${bx(x(r) + 4, 4)}" y="${y + offset + 6}" width="4" height="${rowHeight - 12}" fill="${teamProfile(team, config).primary}"/>` : '';
+          return `<g class="team ${state}"${team ? ` data-team="${escapeHtml(team)}"` : ''}>
+            ${colour}
+            <text class="team-name" x="${px(x(r) + 14)}" y="${y + offset + 17}">${escapeHtml(tie.bye && !team ? tr('bye') : teamLabel(team, config))}</text>
+            <text class="team-score" x="${px(x(r) + tieWidth - 10)}" y="${y + offset + 17}">${escapeHtml(localizeDigits(sideScore(tie, side)))}</text>
+          </g>`;
+        };
+        // the line into the next round carries the winner, for the hover path
+        if (r < rounds.length - 1) {
+          const midX = x(r) + tieWidth + columnGap / 2;
+          const nextY = centres[r + 1][Math.floor(i / 2)];
+          parts.push(`<path class="connector${winner ? ' won' : ''}"${winner ? ` data-team="${escapeHtml(winner)}"` : ''}
+            d="M${px(x(r) + tieWidth)} ${centres[r][i]} H${px(midX)} V${nextY} H${px(x(r + 1))}"/>`);
+        }
+        parts.push(`<g class="tie${tie.status === 'played' ? ' played' : ''}" data-id="${escapeHtml(tie.id)}"
+            data-teams="${escapeHtml([tie.home, tie.away].filter(Boolean).join('|'))}">
+          <rect class="tie-box" rx="6" x="${bx(x(r), tieWidth)}" y="${y}" width="${tieWidth}" height="${tieHeight}"/>
+          ${row(tie.home, 'home', 0)}
+          ${row(tie.away, 'away', rowHeight)}
+        </g>`);
+      });
+    });
+
+    // the cup after the final
+    const last = rounds.length - 1;
+    const finalY = centres[last][0];
+    const champion = bracket.champion;
+    parts.push(`<path class="connector${champion ? ' won' : ''}"${champion ? ` data-team="${escapeHtml(champion)}"` : ''}
+      d="M${px(x(last) + tieWidth)} ${finalY} H${px(x(rounds.length))}"/>`);
+    parts.push(`<text class="round-label" x="${px(x(rounds.length))}" y="${top - 14}">${escapeHtml(tr('CHAMPION'))}</text>`);
+    parts.push(`<rect class="champion-box" rx="6" x="${bx(x(rounds.length), tieWidth / 2)}" y="${finalY - rowHeight / 2}" width="${tieWidth / 2}" height="${rowHeight}"/>`);
+    parts.push(`<text class="champion-name" x="${px(x(rounds.length) + tieWidth / 4)}" y="${finalY + 5}">${escapeHtml(champion ? teamLabel(champion, config) : '?')}</text>`);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="bracket-svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"${rtl ? ' direction="rtl"' : ''}>
+      <style>${BRACKET_STYLE}</style>
+      ${parts.join('\n')}
+    </svg>`;
+  }
+
+  // hover a team: every tie it played and every line it won along the way
+  function highlightBracketPath(svg, team) {
+    svg.querySelectorAll('.on-path').forEach(el => el.classList.remove('on-path'));
+    if (!team) return;
+    svg.querySelectorAll('.tie').forEach(tie => {
+      if (!tie.dataset.teams.split('|').includes(team)) return;
+      tie.classList.add('on-path');
+      tie.querySelectorAll('.team').forEach(row => row.classList.toggle('on-path', row.dataset.team === team));
+    });
+    svg.querySelectorAll('.connector').forEach(line => line.classList.toggle('on-path', line.dataset.team === team));
+  }
+
+  function renderBracketSvg(bracket) {
+    const wrap = $('#bracketSvg');
+    if (!wrap) return;
+    const ready = hasKnockout(bracket);
+    wrap.innerHTML = ready ? bracketSvg(bracket) : `<p class="muted">${tr('Knockout stage not generated yet.')}</p>`;
+    $$('.bracket-export').forEach(btn => { btn.disabled = !ready; });
+    const svg = wrap.querySelector('svg');
+    if (!svg) return;
+    svg.addEventListener('mouseover', (e) => {
+      const row = e.target.closest('.team[data-team]');
+      if (row) highlightBracketPath(svg, row.dataset.team);
+    });
+    svg.addEventListener('mouseleave', () => highlightBracketPath(svg, null));
+    svg.addEventListener('click', (e) => {
+      const tie = e.target.closest('.tie');
+      if (tie && !snapshot) openKnockoutModal(tie.dataset.id);
+    });
+  }
+
+  // the bracket drawn onto a canvas at twice its size, saved as PNG
+  function downloadBracketPng() {
+    const bracket = load(KEY_KNOCKOUT);
+    if (!hasKnockout(bracket)) return;
+    const svgText = bracketSvg(advanceKnockout(bracket));
+    const svg = new DOMParser().parseFromString(svgText, 'image/svg+xml').documentElement;
+    const width = Number(svg.getAttribute('width'));
+    const height = Number(svg.getAttribute('height'));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * 2;
+      canvas.height = height * 2;
+      const context = canvas.getContext('2d');
+      context.scale(2, 2);
+      context.drawImage(image, 0, 0, width, height);
+      canvas.toBlob(blob => downloadBlob('bracket.png', blob), 'image/png');
+    };
+    image.onerror = () => alert(tr('The bracket could not be turned into an image in this browser.'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgText)}`;
+  }
+
+  function renderKnockoutPage() {
+    const data = load(KEY_KNOCKOUT);
+    const r32El = $('#r32');
+    const r16El = $('#r16');
+    const qfEl = $('#qf');
+    const sfEl = $('#sf');
+    const finalEl = $('#final');
+    if (!r16El || !qfEl || !sfEl || !finalEl) return;
+    if (!data) {
+      renderBracketSvg(null);
+      r16El.innerHTML = `<p class="muted">${tr('Knockout stage not generated yet.')}</p>`;
+      qfEl.innerHTML = '<p class="muted">-</p>';
+      sfEl.innerHTML = '<p class="muted">-</p>';
+      finalEl.innerHTML = '<p class="muted">-</p>';
+      return;
+    }
+    // brackets saved before progression existed only hold the R16
+    advanceKnockout(data);
+    renderBracketSvg(data);
+    const config = getConfig();
+    // hide the rounds this format skips; a league's play-off round takes the first heading
+    KO_ROUNDS.forEach(key => {
+      const section = $(`#${key}`);
+      if (!section) return;
+      const skipped = !(data[key] && data[key].length);
+      section.classList.toggle('hidden', skipped);
+      const heading = section.previousElementSibling;
+      if (!heading) return;
+      heading.classList.toggle('hidden', skipped);
+      if (knockoutRoundLabel(config, key) !== KO_LABELS[key]) heading.textContent = roundName(config, key);
+    });
+    const calendar = load(KEY_CALENDAR) || {};
+    const renderSection = (el, arr) => {
+      if (!arr || arr.length === 0) {
+        el.innerHTML = `<div class="muted">${tr('No matches')}</div>`;
+        return;
+      }
+      el.innerHTML = arr.map(m => {
+        if (m.bye) {
+          return `<div class="bracket-card bye">
+            <div class="left winner">${teamTag(m.home, config)}</div>
+            <div class="vs">${tr('bye')}</div>
+            <div class="right muted">${tr('through to the next round')}</div>
+          </div>`;
+        }
+        const winner = knockoutWinner(m);
+        const ready = m.home && m.away;
+        const action = ready
+          ? `<button class="btn small enter-ko-score" data-id="${m.id}">${m.status === 'played' || m.firstLeg ? tr('Edit') : tr('Enter result')}</button>`
+          : '';
+        return `<div class="bracket-card${m.status === 'played' ? ' played' : ''}">
+          <div class="left${winner && winner === m.home ? ' winner' : ''}">${teamTag(m.home, config)}</div>
+          <div class="vs">${knockoutScore(m)}</div>
+          <div class="right${winner && winner === m.away ? ' winner' : ''}">${teamTag(m.away, config)}</div>
+          ${[m.id, `${m.id}-L1`, `${m.id}-L2`].filter(id => calendar[id])
+            .map(id => `<div class="kickoff">${id.endsWith('-L1') ? `${tr('1st leg')} · ` : id.endsWith('-L2') ? `${tr('2nd leg')} · ` : ''}${escapeHtml(formatKickoff(calendar[id]))}</div>`).join('')}
+          ${action}
+        </div>`;
+      }).join('');
+    };
+    if (r32El) renderSection(r32El, data.r32);
+    renderSection(r16El, data.r16);
+    renderSection(qfEl, data.qf);
+    renderSection(sfEl, data.sf);
+    renderSection(finalEl, data.final);
+    $$('.enter-ko-score').forEach(btn => {
+      btn.addEventListener('click', (e) => openKnockoutModal(e.currentTarget.dataset.id));
+    });
+
+    const championEl = $('#champion');
+    if (championEl) {
+      championEl.textContent = data.champion ? `🏆 ${tr('Champion: {team}', { team: teamLabel(data.champion, config) })}` : '';
+      championEl.classList.toggle('hidden', !data.champion);
+    }
+  }
+
+  /* ------------------------
+     Export / import
+     one JSON document holding every storage key, tagged with the engine's
+     SCHEMA_VERSION; migration and validation of imports happen in engine.js.
+     ------------------------ */
+  function exportState() {
+    const entry = activeTournament();
+    return {
+      schemaVersion: EfEngine.SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      name: entry ? entry.name : 'EFOOTBALL CUP',
+      ...tournamentState()
+    };
+  }
+
+  function writeState(state) {
+    save(KEY_CONFIG, { ...defaultConfig(), ...(state.config || {}) });
+    save(KEY_GROUPS, state.groups);
+    save(KEY_MATCHES, state.matches);
+    save(KEY_ROUNDS, state.generatedRounds || 0);
+    save(KEY_KNOCKOUT, state.knockout || null);
+    save(KEY_LOTS, state.lots || {});
+    if (state.history) save(KEY_HISTORY, state.history);
+    else remove(KEY_HISTORY);
+    save(KEY_DRAWS, state.draws || []);
+    save(KEY_CALENDAR, state.calendar || {});
+  }
+
+  function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  const downloadText = (filename, text, type) => downloadBlob(filename, new Blob([text], { type }));
+  const downloadJson = (filename, value) => downloadText(filename, JSON.stringify(value, null, 2), 'application/json');
+
+  function initBackupControls() {
+    const exportBtn = $('#exportBtn');
+    const importInput = $('#importFile');
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => {
+        const date = new Date().toISOString().slice(0, 10);
+        const slug = (activeTournament() || { name: 'efootball-cup' }).name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        downloadJson(`${slug}-${date}.json`, exportState());
+      });
+    }
+    if (importInput) {
+      importInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        let data;
+        try {
+          data = JSON.parse(await file.text());
+        } catch (err) {
+          alert(tr('Import failed: the file is not valid JSON.'));
+          return;
+        }
+        let state;
+        try {
+          state = EfEngine.readState(data);
+        } catch (err) {
+          alert(`${tr('Import failed:')}\n- ${errorMessage(err)}`);
+          return;
+        }
+        // an import never overwrites: it lands as a new tournament and becomes the active one
+        const entry = createTournament(data.name || file.name.replace(/\.json$/i, ''));
+        writeState(state);
+        alert(tr('Tournament "{name}" imported.', { name: entry.name }));
+        location.reload();
+      });
+    }
+  }
+
+  /* ------------------------
+     Shared snapshots
+     "Share" packs the tournament (EfEngine.snapshotOf) into the link itself:
+     #snapshot= then 'z' + base64url of the deflated JSON, or 'j' + base64url of
+     the JSON where the browser has no CompressionStream. Opening such a link
+     shows the groups and knockout pages read-only from it, no server involved;
+     it can be kept as a new local tournament.
+     ------------------------ */
+  const SNAPSHOT_PREFIX = '#snapshot=';
+  const SNAPSHOT_PAGES = ['groups.html', 'knockout.html', 'screen.html'];
+
+  function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+  }
+
+  // bytes run through a CompressionStream / DecompressionStream
+  const pipeBytes = async (bytes, transform) =>
+    new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+
+  async function encodeSnapshot(data) {
+    const bytes = new TextEncoder().encode(JSON.stringify(data));
+    if (typeof CompressionStream === 'undefined') return `j${toBase64Url(bytes)}`;
+    return `z${toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+  }
+
+  async function decodeSnapshot(text) {
+    const format = text[0];
+    if (format !== 'z' && format !== 'j') throw new Error('Unknown link format.');
+    if (format === 'z' && typeof DecompressionStream === 'undefined') throw new Error('This browser cannot unpack compressed links.');
+    let data;
+    try {
+      let bytes = fromBase64Url(text.slice(1));
+      if (format === 'z') bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+      data = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (err) {
+      throw new Error('The link is cut short or damaged.');
+    }
+    return { ...EfEngine.readState(data), name: data.name || 'EFOOTBALL CUP', takenAt: data.takenAt || null };
+  }
+
+  // copies a link to `page` showing the tournament as it is now
+  async function shareSnapshot(page) {
+    const state = tournamentState();
+    if (!state.groups.length) {
+      alert(tr('Draw the groups first.'));
+      return;
+    }
+    const data = EfEngine.snapshotOf(state, (activeTournament() || {}).name);
+    const url = new URL(`${page}${SNAPSHOT_PREFIX}${await encodeSnapshot(data)}`, location.href).href;
+    try {
+      await navigator.clipboard.writeText(url);
+      alert(tr('Link copied. Whoever opens it sees the tables and the bracket as they are now.'));
+    } catch (err) {
+      prompt(tr('Copy this link:'), url);
+    }
+  }
+
+  // reads a snapshot from the address; the page then shows it instead of local storage
+  async function openSnapshotFromUrl() {
+    if (!SNAPSHOT_PAGES.some(page => location.pathname.endsWith(page))) return;
+    try {
+      snapshot = await decodeSnapshot(location.hash.slice(SNAPSHOT_PREFIX.length));
+    } catch (err) {
+      alert(`${tr('This shared link cannot be read:')}\n- ${errorMessage(err)}`);
+      history.replaceState(null, '', location.pathname);
+      return;
+    }
+    document.body.classList.add('snapshot-view');
+    // the other read-only pages keep showing the snapshot
+    $$('a[href="groups.html"], a[href="knockout.html"], a[href="screen.html"]').forEach(a => {
+      a.href = a.getAttribute('href') + location.hash;
+    });
+    // a different link pasted into this tab
+    window.addEventListener('hashchange', () => location.reload());
+  }
+
+  function renderSnapshotBanner() {
+    const taken = snapshot.takenAt
+      ? ` · ${tr('taken {date}', { date: EfI18n.formatDate(new Date(snapshot.takenAt), { dateStyle: 'medium', timeStyle: 'short' }) })}`
+      : '';
+    const banner = document.createElement('aside');
+    banner.className = 'snapshot-banner';
+    banner.innerHTML = `
+      <span>${tr('Shared snapshot of {name}', { name: `<strong>${escapeHtml(snapshot.name)}</strong>` })}${taken} · ${tr('read-only')}</span>
+      <button class="btn small" data-snapshot="import">${tr('Keep a Local Copy')}</button>
+      <a href="${location.pathname.split('/').pop()}" class="muted">${tr('Leave')}</a>`;
+    banner.querySelector('[data-snapshot="import"]').addEventListener('click', importSnapshot);
+    ($('main') || document.body).prepend(banner);
+  }
+
+  // the snapshot as it was shared becomes a new tournament, like an import
+  function importSnapshot() {
+    const state = EfEngine.readState(JSON.parse(JSON.stringify(snapshot)));
+    const name = snapshot.name;
+    snapshot = null;
+    const entry = createTournament(name);
+    writeState(state);
+    alert(tr('Tournament "{name}" saved on this device.', { name: entry.name }));
+    location.href = location.pathname.split('/').pop();
+  }
+
+  /* ------------------------
+     Diagnostics
+     every page checks the stored tournament on load and lists what disagrees
+     (engine.js "Integrity check") in a panel above the page, each problem with
+     its repair. Keys holding something that is not JSON never reach the engine,
+     load reads them as null, so they are found here and repaired by removing them.
+     ------------------------ */
+  // sessionStorage: the problems the panel was hidden for, it shows again when they change
+  const KEY_DIAGNOSTICS_HIDDEN = 'ef_diagnosticsHidden';
+
+  const REMOVE_UNREADABLE = 'removeUnreadable';
+
+  // keys of the active tournament whose stored value is not JSON
+  function unreadableKeys() {
+    return TOURNAMENT_KEYS.filter(key => {
+      const raw = localStorage.getItem(scopedKey(key));
+      if (raw === null) return false;
+      try {
+        JSON.parse(raw);
+        return false;
+      } catch (e) {
+        return true;
+      }
+    });
+  }
+
+  function diagnoseStorage() {
+    const unreadable = unreadableKeys().map(key => ({
+      code: 'unreadable',
+      message: `The saved ${key.replace(/^ef_/, '')} are not valid JSON and are ignored.`,
+      repair: REMOVE_UNREADABLE
+    }));
+    return unreadable.concat(EfEngine.diagnoseState(tournamentState()));
+  }
+
+  const repairLabel = (repair) => (repair === REMOVE_UNREADABLE ? tr('Remove the value') : trMessage(EfEngine.INTEGRITY_REPAIRS[repair].label));
+  const repairDrops = (repair) => repair !== REMOVE_UNREADABLE && !!EfEngine.INTEGRITY_REPAIRS[repair].destructive;
+
+  function runRepair(repair) {
+    if (repair === REMOVE_UNREADABLE) {
+      unreadableKeys().forEach(key => remove(key));
+      return;
+    }
+    const state = tournamentState();
+    EfEngine.repairState(state, repair);
+    writeState(state);
+  }
+
+  function repairEverything() {
+    unreadableKeys().forEach(key => remove(key));
+    const state = tournamentState();
+    EfEngine.repairAll(state);
+    writeState(state);
+  }
+
+  function renderDiagnostics() {
+    const old = $('#diagnostics');
+    if (old) old.remove();
+    const issues = diagnoseStorage();
+    const signature = issues.map(issue => issue.message).join('\n');
+    if (!issues.length || sessionStorage.getItem(KEY_DIAGNOSTICS_HIDDEN) === signature) return;
+
+    const row = (issue) => `
+      <li>
+        <span>${trMessage(issue.message)}</span>
+        ${issue.repair
+          ? `<button class="btn small" data-repair="${issue.repair}">${repairLabel(issue.repair)}${repairDrops(issue.repair) ? ' *' : ''}</button>`
+          : ''}
+      </li>`;
+    const panel = document.createElement('aside');
+    panel.id = 'diagnostics';
+    panel.className = 'diagnostics';
+    panel.innerHTML = `
+      <h3>${tr('The saved tournament needs attention')}</h3>
+      <p class="muted">${tr('Tables and the bracket can be wrong until this is fixed. Repairs keep every result that still fits; the ones marked * drop results.')}</p>
+      <ul>${issues.map(row).join('')}</ul>
+      <div class="controls">
+        ${issues.some(issue => issue.repair) ? `<button data-repair="all">${tr('Repair All')}</button>` : ''}
+        <button class="btn small" data-repair="hide">${tr('Hide')}</button>
+      </div>`;
+    panel.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-repair]');
+      if (!btn) return;
+      const repair = btn.dataset.repair;
+      if (repair === 'hide') {
+        sessionStorage.setItem(KEY_DIAGNOSTICS_HIDDEN, signature);
+        panel.remove();
+        return;
+      }
+      const drops = repair === 'all' ? issues.some(issue => issue.repair && repairDrops(issue.repair)) : repairDrops(repair);
+      if (drops && !confirm(tr('This repair drops the results involved. Continue?'))) return;
+      if (repair === 'all') repairEverything();
+      else runRepair(repair);
+      location.reload();
+    });
+    ($('main') || document.body).prepend(panel);
+  }
+
+  /* ------------------------
+     Teams page (teams.html)
+     profiles are saved into config.teamMeta next to the draw's country and
+     confederation; uploaded crests are stored inline as data: URLs, so they
+     are kept small to leave room in localStorage
+     ------------------------ */
+  const CREST_MAX_BYTES = 150 * 1024;
+
+  function renderProfilesEditor(config) {
+    const editor = $('#profilesEditor');
+    if (!editor) return;
+    editor.innerHTML = config.teams.map(team => {
+      const meta = teamMetaOf(config, team);
+      const p = teamProfile(team, config);
+      const uploaded = (meta.crest || '').startsWith('data:');
+      return `<div class="profile-card" data-team="${escapeHtml(team)}"${uploaded ? ` data-upload="${escapeHtml(meta.crest)}"` : ''}>
+        <div class="profile-crest">${crestHtml(p)}</div>
+        <div class="profile-fields">
+          <label>${tr('Name')} <input type="text" class="pf-name" value="${escapeHtml(p.name)}"></label>
+          <label>${tr('Short code')} <input type="text" class="pf-short" maxlength="4" value="${escapeHtml(meta.short || '')}" placeholder="${escapeHtml(EfEngine.shortCode(p.name))}"></label>
+          <label>${tr('Colours')} <span class="pf-colours"><input type="color" class="pf-primary" value="${p.primary}"><input type="color" class="pf-secondary" value="${p.secondary}"></span></label>
+          <label>${tr('Country')} <input type="text" class="pf-country" value="${escapeHtml(p.country)}"></label>
+          <label>${tr('Player')} <input type="text" class="pf-owner" value="${escapeHtml(p.owner)}" placeholder="${tr('Who controls the club')}"></label>
+          <label>${tr('Crest')} <input type="text" class="pf-crest" value="${uploaded ? '' : escapeHtml(p.crest)}" placeholder="${uploaded ? tr('Uploaded image') : 'crests/file.png'}"></label>
+          <div class="pf-crest-actions">
+            <input type="file" class="pf-crest-file" accept="image/*">
+            <button type="button" class="btn small pf-crest-clear">${tr('Remove crest')}</button>
+          </div>
+          <span class="muted pf-id">${escapeHtml(tr('ID {team}', { team }))}</span>
+        </div>
+      </div>`;
+    }).join('');
+  }
+
+  function readProfilesEditor(config) {
+    const teamMeta = { ...config.teamMeta };
+    $$('#profilesEditor .profile-card').forEach(card => {
+      const team = card.dataset.team;
+      const value = (cls) => card.querySelector(cls).value.trim();
+      teamMeta[team] = {
+        ...teamMetaOf(config, team),
+        name: value('.pf-name') || team,
+        short: value('.pf-short').toUpperCase(),
+        primary: value('.pf-primary'),
+        secondary: value('.pf-secondary'),
+        country: value('.pf-country'),
+        owner: value('.pf-owner'),
+        crest: value('.pf-crest') || card.dataset.upload || ''
+      };
+    });
+    return { ...config, teamMeta };
+  }
+
+  // redraws one card's crest from what is typed so far
+  function previewProfile(card, config) {
+    const draft = readProfilesEditor(config);
+    card.querySelector('.profile-crest').innerHTML = crestHtml(teamProfile(card.dataset.team, draft));
+  }
+
+  function initTeamsPage() {
+    let config = getConfig();
+    const editor = $('#profilesEditor');
+    const info = $('#profilesInfo');
+    renderProfilesEditor(config);
+
+    editor.addEventListener('input', (e) => {
+      const card = e.target.closest('.profile-card');
+      info.textContent = '';
+      if (card && !e.target.classList.contains('pf-crest-file')) previewProfile(card, config);
+    });
+    editor.addEventListener('click', (e) => {
+      if (!e.target.classList.contains('pf-crest-clear')) return;
+      const card = e.target.closest('.profile-card');
+      delete card.dataset.upload;
+      card.querySelector('.pf-crest').value = '';
+      card.querySelector('.pf-crest').placeholder = 'crests/file.png';
+      previewProfile(card, config);
+    });
+    editor.addEventListener('change', (e) => {
+      if (!e.target.classList.contains('pf-crest-file')) return;
+      const card = e.target.closest('.profile-card');
+      const file = e.target.files[0];
+      if (!file) return;
+      if (file.size > CREST_MAX_BYTES) {
+        alert(tr('{file} is too large for a crest ({size} KB at most).', { file: file.name, size: Math.round(CREST_MAX_BYTES / 1024) }));
+        e.target.value = '';
+        return;
+      }
+      const reader = new FileReader();
+      reader.addEventListener('load', () => {
+        card.dataset.upload = reader.result;
+        card.querySelector('.pf-crest').value = '';
+        card.querySelector('.pf-crest').placeholder = tr('Uploaded image');
+        previewProfile(card, config);
       });
+      reader.readAsDataURL(file);
+    });
+
+    $('#saveProfilesBtn').addEventListener('click', () => {
+      const draft = readProfilesEditor(config);
+      const problems = EfEngine.validateTeamProfiles(draft);
+      if (problems.length) {
+        alert(`${tr('Teams not saved:')}\n- ${problemList(problems)}`);
+        return;
+      }
+      config = draft;
+      save(KEY_CONFIG, config);
+      info.textContent = tr('Teams saved.');
     });
   }
 
   /* ------------------------
-     Modal logic
+     Draw page (draw.html)
+     pots & team countries are edited here and saved into the config;
+     the draw is saved as soon as it is made, the reveal only replays it
      ------------------------ */
-  let currentEditingId = null;
+  const DRAW_STEP_MS = 1200;
+  let drawTimer = null;
 
-  function openScoreModal(matchId) {
-    currentEditingId = matchId;
-    const matches = load(KEY_MATCHES) || [];
-    const m = matches.find(x => x.id === matchId);
-    if (!m) return;
-    const modal = $('#scoreModal');
-    $('#modalTitle').textContent = `Result: ${m.groupName} (R${m.round})`;
-    $('#homeName').textContent = m.home;
-    $('#awayName').textContent = m.away;
-    $('#homeGoals').value = m.homeGoals != null ? m.homeGoals : 0;
-    $('#awayGoals').value = m.awayGoals != null ? m.awayGoals : 0;
-    modal.classList.remove('hidden');
+  function readPotsEditor(config) {
+    const pots = Array.from({ length: getPots(config).length }, () => []);
+    const teamMeta = {};
+    $$('#potsEditor tr[data-team]').forEach(row => {
+      const team = row.dataset.team;
+      pots[Number(row.querySelector('.pot-select').value) - 1].push(team);
+      teamMeta[team] = {
+        ...teamMetaOf(config, team),
+        country: row.querySelector('.meta-country').value.trim(),
+        confederation: row.querySelector('.meta-confed').value.trim()
+      };
+    });
+    return {
+      ...config,
+      pots,
+      teamMeta,
+      drawConstraints: { country: $('#sepCountry').checked, confederation: $('#sepConfederation').checked }
+    };
   }
 
-  function closeScoreModal() {
-    currentEditingId = null;
-    const modal = $('#scoreModal');
-    if (modal) modal.classList.add('hidden');
+  function renderPotsEditor(config) {
+    const editor = $('#potsEditor');
+    if (!editor) return;
+    const pots = getPots(config);
+    const potOf = (team) => pots.findIndex(p => p.includes(team)) + 1;
+    editor.innerHTML = `
+      <table class="small-table">
+        <thead><tr><th>${tr('Team')}</th><th>${tr('Pot')}</th><th>${tr('Country')}</th><th>${tr('Confederation')}</th></tr></thead>
+        <tbody>
+          ${config.teams.map(team => {
+            const meta = teamMetaOf(config, team);
+            const options = pots.map((_, i) => `<option value="${i + 1}"${potOf(team) === i + 1 ? ' selected' : ''}>${num(i + 1)}</option>`).join('');
+            return `<tr data-team="${team}">
+              <td class="name">${teamTag(team, config)}</td>
+              <td><select class="pot-select">${options}</select></td>
+              <td><input type="text" class="meta-country" value="${escapeHtml(meta.country || '')}"></td>
+              <td><input type="text" class="meta-confed" value="${escapeHtml(meta.confederation || '')}"></td>
+            </tr>`;
+          }).join('')}
+        </tbody>
+      </table>`;
+    $('#sepCountry').checked = !!(config.drawConstraints || {}).country;
+    $('#sepConfederation').checked = !!(config.drawConstraints || {}).confederation;
   }
 
-  function saveScoreFromModal() {
-    const hg = Number($('#homeGoals').value);
-    const ag = Number($('#awayGoals').value);
-    if (isNaN(hg) || isNaN(ag) || hg < 0 || ag < 0) {
-      alert('Invalid goals input');
-      return;
+  // problems with the pot sizes, empty when every pot can fill one slot per group
+  // (a league's pots are equal shares of the table)
+  function potProblems(config) {
+    const size = isLeague(config) ? config.teams.length / config.leaguePots : config.groupCount;
+    return config.pots
+      .map((p, i) => (p.length === size ? null : tr('Pot {pot} has {count} teams, needs {size}.', { pot: i + 1, count: p.length, size })))
+      .filter(Boolean);
+  }
+
+  function renderDrawBoard(config, pots) {
+    const board = $('#drawBoard');
+    const potsBoard = $('#potsBoard');
+    if (board && isLeague(config)) {
+      // one table filled pot by pot, slot-0-<place in the draw>
+      board.innerHTML = `
+        <div class="group draw-group league">
+          <h3>${groupName(config, 0)}</h3>
+          <ul>${pots.flatMap((p, pi) => p.map(() => pi + 1)).map((pot, i) => `<li id="slot-0-${i}" class="draw-slot">${tr('Pot {pot}', { pot })}</li>`).join('')}</ul>
+        </div>`;
+    } else if (board) {
+      board.innerHTML = Array.from({ length: config.groupCount }, (_, gi) => `
+        <div class="group draw-group">
+          <h3>${groupName(config, gi)}</h3>
+          <ul>${Array.from({ length: config.teamsPerGroup }, (_, p) => `<li id="slot-${gi}-${p}" class="draw-slot">${tr('Pot {pot}', { pot: p + 1 })}</li>`).join('')}</ul>
+        </div>`).join('');
     }
-    const matches = load(KEY_MATCHES) || [];
-    const idx = matches.findIndex(m => m.id === currentEditingId);
-    if (idx === -1) { closeScoreModal(); return; }
-    matches[idx].homeGoals = hg;
-    matches[idx].awayGoals = ag;
-    matches[idx].status = 'played';
-    save(KEY_MATCHES, matches);
-    closeScoreModal();
-    // re-render
-    const currentRoundLabel = $('#currentRoundLabel');
-    let activeRound = 1;
-    if (currentRoundLabel && currentRoundLabel.textContent) {
-      const match = currentRoundLabel.textContent.match(/\d+/);
-      if (match) activeRound = Number(match[0]);
+    if (potsBoard) {
+      potsBoard.innerHTML = pots.map((p, i) => `
+        <div class="pot">
+          <h4>${tr('Pot {pot}', { pot: i + 1 })}</h4>
+          <ul>${p.map(team => `<li data-pot-team="${team}">${teamTag(team, config)}</li>`).join('')}</ul>
+        </div>`).join('');
     }
-    renderMatchesForRound(activeRound);
-    renderStandingsAll();
-    renderPlayedMatches();
-    tryAutoGenerateKnockout();
+  }
+
+  function revealDrawStep(step, index) {
+    const league = isLeague(getConfig());
+    const slot = document.getElementById(`slot-${step.group}-${league ? index : step.pot - 1}`);
+    if (slot) {
+      slot.innerHTML = teamTag(step.team);
+      slot.classList.add('revealed');
+    }
+    const inPot = $$('[data-pot-team]').find(li => li.dataset.potTeam === step.team);
+    if (inPot) inPot.classList.add('drawn');
+    const ticker = $('#drawTicker');
+    if (ticker) ticker.textContent = `${tr('Pot {pot}', { pot: step.pot })}: ${teamLabel(step.team)} ${ARROW} ${groupName(getConfig(), step.group)}`;
+  }
+
+  function finishDrawReveal(steps, seed) {
+    clearTimeout(drawTimer);
+    drawTimer = null;
+    steps.forEach(revealDrawStep);
+    const ticker = $('#drawTicker');
+    if (ticker) ticker.textContent = tr('Draw complete! Seed: {seed}', { seed });
+    $('#skipDrawBtn').classList.add('hidden');
+    $('#drawDone').classList.remove('hidden');
+  }
+
+  function playDrawReveal(steps, seed) {
+    let i = 0;
+    const tick = () => {
+      if (i >= steps.length) { finishDrawReveal(steps, seed); return; }
+      revealDrawStep(steps[i], i);
+      i += 1;
+      drawTimer = setTimeout(tick, DRAW_STEP_MS);
+    };
+    $('#skipDrawBtn').classList.remove('hidden');
+    $('#drawDone').classList.add('hidden');
+    tick();
+  }
+
+  function initDrawPage() {
+    let config = getConfig();
+    renderPotsEditor(config);
+    renderDrawBoard(config, getPots(config));
+    const lastSeed = currentDrawSeed('group');
+    if (lastSeed) $('#drawSeedInfo').textContent = tr('Current groups were drawn with seed {seed}. Enter it again with the same pots to replay the draw.', { seed: lastSeed });
+
+    const onEdit = () => {
+      config = readPotsEditor(config);
+      const problems = potProblems(config);
+      $('#potWarning').textContent = problems.join(' ');
+      save(KEY_CONFIG, config);
+      if (!problems.length) renderDrawBoard(config, config.pots);
+    };
+    $('#potsEditor').addEventListener('change', onEdit);
+    $('#sepCountry').addEventListener('change', onEdit);
+    $('#sepConfederation').addEventListener('change', onEdit);
+
+    $('#startDrawBtn').addEventListener('click', () => {
+      config = readPotsEditor(config);
+      const problems = [...validateConfig(config), ...potProblems(config)];
+      if (problems.length) {
+        alert(`${tr('The draw cannot start:')}\n- ${problemList(problems)}`);
+        return;
+      }
+      const played = (load(KEY_MATCHES) || []).some(m => m.status === 'played');
+      if (played && !confirm(tr('A new draw replaces the current groups and deletes every result. Continue?'))) return;
+      save(KEY_CONFIG, config);
+      const seedInput = $('#drawSeed');
+      const seed = normalizeSeed(seedInput.value || newSeed());
+      const state = tournamentState();
+      const draw = EfEngine.drawTournament(state, seed);
+      if (!draw) {
+        alert(tr('No valid draw exists with these pots and separation rules. Relax a rule or move teams between pots.'));
+        return;
+      }
+      seedInput.value = seed;
+      writeState(state);
+      $('#drawSeedInfo').textContent = '';
+      renderDrawBoard(config, config.pots);
+      playDrawReveal(draw.steps, seed);
+      $('#skipDrawBtn').onclick = () => finishDrawReveal(draw.steps, seed);
+    });
   }
 
   /* ------------------------
-     Played matches list
+     Calendar page (calendar.html)
+     slot settings are saved into config.calendar, the plan into ef_calendar;
+     see "Fixture calendar" in engine.js
      ------------------------ */
-  function renderPlayedMatches() {
-    const matches = (load(KEY_MATCHES) || []).filter(m => m.status === 'played');
-    const container = $('#playedContainer');
-    if (!container) return;
-    if (matches.length === 0) {
-      container.innerHTML = '<p class="muted">No played matches yet.</p>';
+  // short weekday names in the page language, 0 = Sunday (1 January 2023 was one)
+  const weekdayName = (day) => EfI18n.formatDate(new Date(Date.UTC(2023, 0, 1 + day)), { weekday: 'short', timeZone: 'UTC' });
+
+  // kickoffs are wall-clock times, so they are shown without any time zone conversion
+  const kickoffDate = (kickoff) => new Date(`${kickoff.slice(0, 10)}T00:00:00Z`);
+  const formatDay = (kickoff) => EfI18n.formatDate(kickoffDate(kickoff),
+    { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const formatKickoff = (slot) => {
+    const date = kickoffDate(slot.kickoff);
+    const day = EfI18n.formatDate(date, { day: '2-digit', month: '2-digit', timeZone: 'UTC' });
+    return `${weekdayName(date.getUTCDay())} ${day} ${localizeDigits(slot.kickoff.slice(11, 16))} · ${slot.venue}`;
+  };
+
+  const splitList = (text) => text.split(',').map(t => t.trim()).filter(Boolean);
+
+  function readCalendarForm(config) {
+    return {
+      ...config,
+      calendar: {
+        start: $('#calStart').value || null,
+        days: $$('#calDays input:checked').map(box => Number(box.value)),
+        times: splitList($('#calTimes').value),
+        venues: splitList($('#calVenues').value),
+        matchMinutes: Number($('#calMatchMinutes').value),
+        restMinutes: Number($('#calRestMinutes').value)
+      }
+    };
+  }
+
+  function renderCalendarForm(config) {
+    const settings = EfEngine.calendarSettings(config);
+    $('#calStart').value = settings.start || new Date().toISOString().slice(0, 10);
+    $('#calTimes').value = settings.times.join(', ');
+    $('#calVenues').value = settings.venues.join(', ');
+    $('#calMatchMinutes').value = settings.matchMinutes;
+    $('#calRestMinutes').value = settings.restMinutes;
+    // Monday first
+    $('#calDays').innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => `
+      <label><input type="checkbox" value="${day}"${settings.days.includes(day) ? ' checked' : ''}> ${weekdayName(day)}</label>`).join('');
+    const teams = (load(KEY_GROUPS) || []).flat().map(id => teamProfile(id, config)).sort((a, b) => a.name.localeCompare(b.name));
+    $('#icsTeam').innerHTML = `<option value="">${tr('All teams')}</option>${teams.map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}</option>`).join('')}`;
+  }
+
+  function renderCalendarView() {
+    const view = $('#calendarView');
+    if (!view) return;
+    const state = tournamentState();
+    const fixtures = EfEngine.fixtureCalendar(state);
+    if (!fixtures.length) {
+      view.innerHTML = `<p class="muted">${tr('No calendar yet. Set the slots and click "Plan Calendar".')}</p>`;
       return;
     }
-    container.innerHTML = matches.map(m => `<div class="played-row"><div class="left">${m.groupName} - ${m.home}</div><div class="score">${m.homeGoals} - ${m.awayGoals}</div><div class="right">${m.away}</div></div>`).join('');
+    const days = [];
+    fixtures.forEach(f => {
+      const day = f.kickoff.slice(0, 10);
+      if (!days.length || days[days.length - 1].day !== day) days.push({ day, fixtures: [] });
+      days[days.length - 1].fixtures.push(f);
+    });
+    view.innerHTML = days.map(({ day, fixtures: list }) => `
+      <div class="calendar-day">
+        <h3>${formatDay(day)}</h3>
+        ${list.map(f => `<div class="calendar-row${f.score ? ' played' : ''}">
+          <span class="time">${localizeDigits(f.kickoff.slice(11, 16))}</span>
+          <span class="venue">${escapeHtml(f.venue)}</span>
+          <span class="stage">${trMessage(f.label)}</span>
+          <span class="teams">${teamTag(f.home, state.config)} <strong>${f.score ? localizeDigits(f.score) : tr('vs')}</strong> ${teamTag(f.away, state.config)}</span>
+        </div>`).join('')}
+      </div>`).join('');
+  }
+
+  function initCalendarPage() {
+    let config = getConfig();
+    renderCalendarForm(config);
+    renderCalendarView();
+    onLiveUpdate(renderCalendarView);
+
+    $('#planCalendarBtn').addEventListener('click', () => {
+      config = readCalendarForm(config);
+      const problems = EfEngine.validateCalendarSettings(EfEngine.calendarSettings(config));
+      if (problems.length) {
+        alert(`${tr('The calendar cannot be planned:')}\n- ${problemList(problems)}`);
+        return;
+      }
+      const state = tournamentState();
+      if (!state.groups.length) {
+        alert(tr('Draw the groups first.'));
+        return;
+      }
+      if (Object.keys(state.calendar).length && !confirm(tr('Plan the calendar again? Matches not played yet may move.'))) return;
+      save(KEY_CONFIG, config);
+      state.config = config;
+      try {
+        EfEngine.planCalendar(state);
+      } catch (err) {
+        alert(errorMessage(err));
+        return;
+      }
+      save(KEY_CALENDAR, state.calendar);
+      renderCalendarView();
+    });
+
+    $('#exportIcsBtn').addEventListener('click', () => {
+      const state = { ...tournamentState(), name: (activeTournament() || {}).name };
+      if (!Object.keys(state.calendar).length) {
+        alert(tr('Plan the calendar first.'));
+        return;
+      }
+      const team = $('#icsTeam').value || null;
+      const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      const filename = `${slug(state.name || 'efootball-cup') || 'cup'}${team ? `-${slug(team)}` : ''}.ics`;
+      downloadText(filename, EfEngine.calendarToIcs(state, team), 'text/calendar');
+    });
   }
 
   /* ------------------------
-     Best 4 thirds selection
+     Odds page (odds.html)
+     ratings typed here are saved into config.ratings; the simulation itself is
+     engine.js simulateTournament and nothing it plays is stored
      ------------------------ */
-  function getBestFourThirds(sortedStandings) {
-    const thirds = [];
-    sortedStandings.forEach((arr, gi) => {
-      const third = arr.find(el => el.position === 3);
-      if (third) thirds.push({ ...third, group: String.fromCharCode(65 + gi) });
+  const formatOdds = (p) => (p ? num(p, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 }) : '-');
+
+  // attack and defence folded into one number on the scale of a typed rating
+  const strengthOf = (r) => Math.sqrt(r.attack / r.defence);
+  const formatStrength = (r) => num(strengthOf(r), { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+  function renderRatingsEditor(config) {
+    const editor = $('#ratingsEditor');
+    if (!editor) return;
+    const derived = EfEngine.teamRatings({ ...tournamentState(), config: { ...config, ratings: {} } });
+    const ratings = config.ratings || {};
+    const groups = load(KEY_GROUPS) || [];
+    const groupOf = (team) => {
+      const gi = groups.findIndex(g => g.includes(team));
+      return gi < 0 ? '-' : String.fromCharCode(65 + gi);
+    };
+    // a league has no group to show
+    const league = isLeague(config);
+    editor.innerHTML = `
+      <table class="small-table">
+        <thead><tr><th>${tr('Team')}</th>${league ? '' : `<th>${tr('Group')}</th>`}<th>${tr('From results')}</th><th>${tr('Rating')}</th></tr></thead>
+        <tbody>
+          ${config.teams.map(team => `<tr data-team="${team}">
+            <td class="name">${teamTag(team, config)}</td>
+            ${league ? '' : `<td>${groupOf(team)}</td>`}
+            <td>${derived[team] ? formatStrength(derived[team]) : '-'}</td>
+            <td><input type="number" class="rating-input" min="0.1" max="5" step="0.05" value="${ratings[team] || ''}" placeholder="${derived[team] ? strengthOf(derived[team]).toFixed(2) : ''}"></td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+  }
+
+  function readRatingsEditor(config) {
+    const ratings = {};
+    $$('#ratingsEditor tr[data-team]').forEach(row => {
+      const value = Number(row.querySelector('.rating-input').value);
+      if (value > 0) ratings[row.dataset.team] = value;
+    });
+    return { ...config, ratings };
+  }
+
+  function renderOddsTable(result) {
+    const table = $('#oddsTable');
+    if (!table) return;
+    const rows = Object.entries(result.teams)
+      .sort((a, b) => b[1].champion - a[1].champion || b[1].qualify - a[1].qualify || a[0].localeCompare(b[0]));
+    // the first knockout round is the "Qualify" column already
+    const later = result.rounds.slice(1);
+    const config = getConfig();
+    const bestThirds = config.bestThirds > 0;
+    const league = isLeague(config);
+    table.innerHTML = `
+      <table class="odds-table">
+        <thead><tr>
+          <th>${tr('Team')}</th>${league ? `<th>${tr('Top of table')}</th>` : `<th>${tr('Group')}</th><th>${tr('Win group')}</th>`}${bestThirds ? `<th>${tr('Best 3rd')}</th>` : ''}<th>${tr('Qualify')}</th>
+          ${later.map(key => `<th>${trMessage(KO_LABELS[key])}</th>`).join('')}<th>${tr('Win cup')}</th>
+        </tr></thead>
+        <tbody>
+          ${rows.map(([team, t]) => `<tr>
+            <td class="name">${teamTag(team, config)}</td>
+            ${league ? '' : `<td>${t.group}</td>`}
+            <td>${formatOdds(t.groupWin)}</td>
+            ${bestThirds ? `<td>${formatOdds(t.bestThird)}</td>` : ''}
+            <td>${formatOdds(t.qualify)}</td>
+            ${later.map(key => `<td>${formatOdds(t.reach[key])}</td>`).join('')}
+            <td class="odds-champion">${formatOdds(t.champion)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+  }
+
+  function initOddsPage() {
+    let config = getConfig();
+    // a league run pairs every matchday from its own table, several times the work of a group run
+    if (isLeague(config)) $('#simRuns').value = 500;
+    renderRatingsEditor(config);
+    $('#ratingsEditor').addEventListener('change', () => {
+      config = readRatingsEditor(config);
+      save(KEY_CONFIG, config);
     });
-    thirds.sort((a, b) => {
-      if (b.pts !== a.pts) return b.pts - a.pts;
-      if ((b.gf - b.ga) !== (a.gf - a.ga)) return (b.gf - b.ga) - (a.gf - a.ga);
-      if (b.gf !== a.gf) return b.gf - a.gf;
-      return a.team.localeCompare(b.team);
+
+    $('#runSimulationBtn').addEventListener('click', () => {
+      const state = tournamentState();
+      if (!state.groups.length) {
+        alert(tr('Draw the groups first.'));
+        return;
+      }
+      const runs = Math.round(Number($('#simRuns').value));
+      if (!(runs >= 1 && runs <= 20000)) {
+        alert(tr('Runs must be between 1 and 20000.'));
+        return;
+      }
+      const seedInput = $('#simSeed');
+      const seed = normalizeSeed(seedInput.value || newSeed());
+      seedInput.value = seed;
+      $('#simInfo').textContent = tr('Simulating {count} tournaments…', { count: runs });
+      // let the message paint before the page is busy
+      setTimeout(() => {
+        const result = EfEngine.simulateTournament(state, { runs, seed });
+        const open = state.matches.filter(m => m.status !== 'played').length +
+          Math.max(0, totalGroupMatches(state.config) - state.matches.length);
+        const left = isLeague(state.config) ? tr('{count} league matches left to play.', { count: open }) : tr('{count} group matches left to play.', { count: open });
+        $('#simInfo').textContent = `${tr('{count} runs, seed {seed}.', { count: runs, seed })} ${left}`;
+        renderOddsTable(result);
+      }, 20);
     });
-    return { all: thirds, qualified: thirds.slice(0, 4) };
   }
 
-  function updateBestThirdsUI() {
-    const info = $('#roundInfo');
-    if (!info) return;
-    const sorted = computeStandings();
-    const best = getBestFourThirds(sorted);
-    info.textContent = `Rounds generated: ${load(KEY_ROUNDS) || 0}/3 · Best 3rd qualified: ${best.qualified.map(x => x.team).join(', ') || '-'}`;
+  /* ------------------------
+     Live updates
+     a save in one tab fires a storage event in every other tab of the site, so
+     pages that show results redraw from storage instead of waiting for a reload
+     (a second tab, the big screen). One action saves several keys; the events
+     are gathered for a moment and the page redraws once.
+     ------------------------ */
+  const LIVE_DELAY = 150;
+  let liveRender = null;
+  let liveTimer = null;
+
+  // a page that shows stored data registers how to redraw it
+  function onLiveUpdate(render) {
+    liveRender = render;
+  }
+
+  function renderTournamentName() {
+    const nameTag = $('#activeTournamentName');
+    if (nameTag) nameTag.textContent = snapshot ? snapshot.name : (activeTournament() || {}).name || '';
   }
 
+  window.addEventListener('storage', (e) => {
+    // another tab picked a language: every string on the page changes
+    if (e.key === KEY_LANGUAGE) {
+      location.reload();
+      return;
+    }
+    // a null key means the storage was cleared; a shared snapshot never changes
+    if (!liveRender || snapshot || (e.key !== null && !e.key.startsWith('ef_'))) return;
+    clearTimeout(liveTimer);
+    liveTimer = setTimeout(() => {
+      renderTournamentName();
+      liveRender();
+    }, LIVE_DELAY);
+  });
+
   /* ------------------------
-     Knockout generation
+     Big screen (screen.html)
+     read-only slides for a projector: the group tables, the fixtures of the day
+     (the next open ones when nothing is planned today) and the bracket. Nothing
+     here writes except lots, which any standings view draws once.
      ------------------------ */
-  function tryAutoGenerateKnockout() {
-    const generatedRounds = load(KEY_ROUNDS) || 0;
-    if (generatedRounds < 3) return; // need all rounds generated logically
-    const matches = load(KEY_MATCHES) || [];
-    const playedCount = matches.filter(m => m.status === 'played').length;
-    const totalGroupMatches = 6 * 6; // 36
-    if (playedCount < totalGroupMatches) return; // require full group completion
-    // if already generated, do nothing
-    const existing = load(KEY_KNOCKOUT);
-    if (existing && existing.r16 && existing.r16.length) return;
-    // compute standings
+  const SCREEN_INTERVAL = 15; // seconds per slide, ?interval= overrides
+  const SCREEN_GROUPS_PER_SLIDE = 6;
+  const SCREEN_LEAGUE_ROWS = 12; // a league table runs over several slides
+  const SCREEN_FIXTURES = 12;
+  let screenSlide = 0;
+  let screenTimer = null;
+
+  // [{ title, html }]
+  function screenSlides() {
+    const state = tournamentState();
+    const config = state.config;
+    const slides = [];
+    if (!state.groups.length) {
+      return [{ title: tr('Waiting for the draw'), html: `<p class="muted screen-empty">${tr('The groups have not been drawn yet.')}</p>` }];
+    }
+
     const sorted = computeStandings();
-    const winners = [], seconds = [];
-    sorted.forEach((arr, gi) => {
-      winners.push({ team: arr[0].team, group: String.fromCharCode(65 + gi) });
-      seconds.push({ team: arr[1].team, group: String.fromCharCode(65 + gi) });
-    });
-    const bestThirds = getBestFourThirds(sorted).qualified.map(t => ({ team: t.team, group: t.group }));
-
-    // assemble pool
-    const pool = [
-      ...winners.map(w => ({ ...w, seed: '1st' })),
-      ...seconds.map(s => ({ ...s, seed: '2nd' })),
-      ...bestThirds.map(b => ({ ...b, seed: '3rd' }))
-    ]; // length 16
-
-    // attempt constrained pairing to avoid same-group clashes
-    // simple algorithm: shuffle pool, then try to pair homes/aways with minimal same-group collisions by swapping
-    let shuffled = shuffle(pool);
-    // form two slices
-    let homeSlice = shuffled.slice(0, 8);
-    let awaySlice = shuffled.slice(8, 16);
-
-    // try to repair same-group conflicts
-    for (let i = 0; i < 8; i++) {
-      if (homeSlice[i].group === awaySlice[i].group) {
-        // find swap in awaySlice to fix
-        let swapped = false;
-        for (let j = i + 1; j < 8; j++) {
-          if (homeSlice[i].group !== awaySlice[j].group && homeSlice[j].group !== awaySlice[i].group) {
-            const tmp = awaySlice[j];
-            awaySlice[j] = awaySlice[i];
-            awaySlice[i] = tmp;
-            swapped = true;
-            break;
-          }
-        }
-        if (!swapped) {
-          // try swap in homeSlice
-          for (let j = i + 1; j < 8; j++) {
-            if (awaySlice[i].group !== homeSlice[j].group && awaySlice[j].group !== homeSlice[i].group) {
-              const tmp = homeSlice[j];
-              homeSlice[j] = homeSlice[i];
-              homeSlice[i] = tmp;
-              swapped = true;
-              break;
-            }
-          }
-        }
-        // if still not swapped, leave as is (rare)
+    if (isLeague(config)) {
+      const table = sorted[0];
+      for (let start = 0; start < table.length; start += SCREEN_LEAGUE_ROWS) {
+        const rows = table.slice(start, start + SCREEN_LEAGUE_ROWS);
+        slides.push({
+          title: `${groupName(config, 0)} ${num(start + 1)}-${num(start + rows.length)}`,
+          html: `<div class="screen-groups"><div class="group league">${standingsTableHtml(rows, config)}</div></div>`
+        });
+      }
+    } else {
+      for (let start = 0; start < sorted.length; start += SCREEN_GROUPS_PER_SLIDE) {
+        const indexes = sorted.slice(start, start + SCREEN_GROUPS_PER_SLIDE).map((arr, i) => start + i);
+        const last = indexes[indexes.length - 1];
+        slides.push({
+          title: sorted.length > SCREEN_GROUPS_PER_SLIDE
+            ? tr('Groups {first}-{last}', { first: EfEngine.groupLetter(start), last: EfEngine.groupLetter(last) })
+            : tr('Group Tables'),
+          html: `<div class="screen-groups">${indexes.map(gi => `
+            <div class="group">
+              <h3>${groupName(config, gi)}</h3>
+              ${standingsTableHtml(sorted[gi], config)}
+            </div>`).join('')}</div>`
+        });
       }
     }
 
-    const r16 = homeSlice.map((h, idx) => ({
-      id: `R16-${idx + 1}`,
-      home: h.team,
-      away: awaySlice[idx].team,
-      homeGoals: null,
-      awayGoals: null,
-      status: 'scheduled'
-    }));
+    const today = new Date().toISOString().slice(0, 10);
+    let fixtures = EfEngine.fixtureCalendar(state).filter(f => f.kickoff.startsWith(today));
+    let title = tr('Today');
+    if (!fixtures.length) {
+      title = tr('Next Up');
+      fixtures = EfEngine.tournamentFixtures(state)
+        .filter(f => f.home && f.away && !EfEngine.fixturePlayed(f))
+        .slice(0, SCREEN_FIXTURES)
+        .map(f => ({ ...f, ...(state.calendar[f.id] || {}), score: null }));
+    }
+    if (fixtures.length) {
+      slides.push({
+        title,
+        html: `<div class="screen-fixtures">${fixtures.map(f => `
+          <div class="calendar-row${f.score ? ' played' : ''}">
+            <span class="time">${f.kickoff ? localizeDigits(f.kickoff.slice(11, 16)) : ''}</span>
+            <span class="venue">${escapeHtml(f.venue || '')}</span>
+            <span class="stage">${trMessage(f.label)}</span>
+            <span class="teams">${teamTag(f.home, config)} <strong>${f.score ? localizeDigits(f.score) : tr('vs')}</strong> ${teamTag(f.away, config)}</span>
+          </div>`).join('')}</div>`
+      });
+    }
 
-    const bracket = { r16, qf: [], sf: [], final: [] };
-    save(KEY_KNOCKOUT, bracket);
-    // notify user
-    const goBtn = $('#goKnockout');
-    if (goBtn) goBtn.style.display = 'inline-block';
-    alert('Round of 16 generated. Open Knockout page to view bracket.');
+    if (hasKnockout(state.knockout)) {
+      const bracket = advanceKnockout(state.knockout);
+      slides.push({
+        title: tr('Knockout Stage'),
+        html: `${bracket.champion ? `<p class="screen-champion">${tr('Champion: {team}', { team: teamTag(bracket.champion, config) })}</p>` : ''}
+          <div class="screen-bracket">${bracketSvg(bracket, config)}</div>`
+      });
+    }
+    return slides;
+  }
+
+  function showScreenSlide(index) {
+    const slides = $$('.screen-slide');
+    if (!slides.length) return;
+    screenSlide = (index + slides.length) % slides.length;
+    slides.forEach((el, i) => el.classList.toggle('hidden', i !== screenSlide));
+    $$('.screen-dot').forEach((el, i) => el.classList.toggle('active', i === screenSlide));
+    $('#screenTitle').textContent = slides[screenSlide].dataset.title;
+  }
+
+  function renderScreen() {
+    const slides = screenSlides();
+    $('#screenSlides').innerHTML = slides
+      .map(slide => `<section class="screen-slide hidden" data-title="${slide.title}">${slide.html}</section>`).join('');
+    $('#screenDots').innerHTML = slides.map(() => '<span class="screen-dot"></span>').join('');
+    // a redraw keeps the slide on show
+    showScreenSlide(Math.min(screenSlide, slides.length - 1));
+  }
+
+  function initScreenPage() {
+    const interval = Number(new URLSearchParams(location.search).get('interval')) || SCREEN_INTERVAL;
+    const restartTimer = () => {
+      clearInterval(screenTimer);
+      screenTimer = setInterval(() => showScreenSlide(screenSlide + 1), interval * 1000);
+    };
+    renderScreen();
+    restartTimer();
+    // right to left the next slide is the one to the left
+    const forward = EfI18n.direction() === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'ArrowRight' && e.key !== 'ArrowLeft') return;
+      showScreenSlide(screenSlide + (e.key === forward ? 1 : -1));
+      restartTimer();
+    });
+    onLiveUpdate(renderScreen);
   }
 
   /* ------------------------
-     Render Knockout (on knockout.html)
+     Tournament switcher (index.html)
      ------------------------ */
-  function renderKnockoutPage() {
-    const data = load(KEY_KNOCKOUT);
-    const r16El = $('#r16');
-    const qfEl = $('#qf');
-    const sfEl = $('#sf');
-    const finalEl = $('#final');
-    if (!r16El || !qfEl || !sfEl || !finalEl) return;
-    if (!data) {
-      r16El.innerHTML = '<p class="muted">Round of 16 not generated yet.</p>';
-      qfEl.innerHTML = '<p class="muted">-</p>';
-      sfEl.innerHTML = '<p class="muted">-</p>';
-      finalEl.innerHTML = '<p class="muted">-</p>';
+  function renderTournamentList() {
+    const container = $('#tournamentList');
+    if (!container) return;
+    const registry = loadRegistry();
+    const row = (t) => `
+      <div class="tournament-row${t.id === activeId ? ' active' : ''}">
+        <div class="tournament-info">
+          <strong>${escapeHtml(t.name)}</strong>
+          <span class="muted">${escapeHtml(tournamentStage(t.id))} · ${tr('created {date}', { date: EfI18n.formatDate(new Date(t.createdAt), { dateStyle: 'short' }) })}</span>
+        </div>
+        <div class="tournament-actions">
+          <button class="btn small" data-action="open" data-id="${t.id}">${tr('Open')}</button>
+          <button class="btn small" data-action="rename" data-id="${t.id}">${tr('Rename')}</button>
+          <button class="btn small" data-action="duplicate" data-id="${t.id}">${tr('Duplicate')}</button>
+          <button class="btn small" data-action="archive" data-id="${t.id}">${t.archived ? tr('Unarchive') : tr('Archive')}</button>
+          <button class="btn small" data-action="delete" data-id="${t.id}">${tr('Delete')}</button>
+        </div>
+      </div>`;
+    const current = registry.list.filter(t => !t.archived);
+    const archived = registry.list.filter(t => t.archived);
+    container.innerHTML = (current.map(row).join('') || `<p class="muted">${tr('No active tournaments.')}</p>`) +
+      (archived.length ? `<h3 class="archived-title">${tr('Archived')}</h3>${archived.map(row).join('')}` : '');
+  }
+
+  function handleTournamentAction(action, id) {
+    const entry = loadRegistry().list.find(t => t.id === id);
+    if (!entry) return;
+    if (action === 'open') {
+      switchTournament(id);
+      window.location.href = load(KEY_GROUPS) ? 'groups.html' : 'create.html';
       return;
     }
-    const renderSection = (el, arr) => {
-      if (!arr || arr.length === 0) {
-        el.innerHTML = '<div class="muted">No matches</div>';
-        return;
-      }
-      el.innerHTML = arr.map(m => `<div class="bracket-card"><div class="left">${m.home}</div><div class="vs">vs</div><div class="right">${m.away}</div></div>`).join('');
-    };
-    renderSection(r16El, data.r16);
-    renderSection(qfEl, data.qf);
-    renderSection(sfEl, data.sf);
-    renderSection(finalEl, data.final);
+    if (action === 'rename') {
+      const name = prompt(tr('Tournament name'), entry.name);
+      if (name && name.trim()) updateTournament(id, { name: name.trim() });
+    } else if (action === 'duplicate') {
+      duplicateTournament(id);
+    } else if (action === 'archive') {
+      updateTournament(id, { archived: !entry.archived });
+      // archiving the open tournament hands the pages to another one
+      const next = loadRegistry().list.find(t => !t.archived);
+      if (id === activeId && !entry.archived && next) switchTournament(next.id);
+    } else if (action === 'delete') {
+      if (!confirm(tr('Delete "{name}" and all of its results? This cannot be undone.', { name: entry.name }))) return;
+      deleteTournament(id);
+    }
+    renderTournamentList();
+  }
+
+  function initTournamentSwitcher() {
+    renderTournamentList();
+    onLiveUpdate(renderTournamentList);
+    const list = $('#tournamentList');
+    if (list) {
+      list.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (btn) handleTournamentAction(btn.dataset.action, btn.dataset.id);
+      });
+    }
+    const newBtn = $('#newTournamentBtn');
+    if (newBtn) {
+      newBtn.addEventListener('click', () => {
+        const name = prompt(tr('Name of the new tournament'), tr('New Cup'));
+        if (!name || !name.trim()) return;
+        createTournament(name.trim());
+        window.location.href = 'create.html';
+      });
+    }
   }
 
   /* ------------------------
@@ -486,7 +2360,6 @@
     const goKnockoutBtn = $('#goKnockout');
     const prev = $('#prevRound');
     const next = $('#nextRound');
-    const curLabel = $('#currentRoundLabel');
 
     // if no groups stored, create automatically (initial load)
     if (!load(KEY_GROUPS)) {
@@ -494,14 +2367,16 @@
     }
     renderGroupsPanel();
     renderPlayedMatches();
+    onLiveUpdate(refreshGroupsPage);
 
     // display rounds info
+    const config = getConfig();
+    const totalRounds = roundsPerGroup(config);
     const rounds = load(KEY_ROUNDS) || 0;
-    $('#roundInfo').textContent = `Rounds generated: ${rounds}/3`;
+    updateBestThirdsUI();
 
     // set active round to 1 or last generated
     let activeRound = rounds > 0 ? rounds : 1;
-    curLabel.textContent = `Round ${activeRound}`;
     renderMatchesForRound(activeRound);
 
     // attach handlers
@@ -510,48 +2385,109 @@
         createGroups(true);
         renderGroupsPanel();
         save(KEY_ROUNDS, 0);
-        $('#roundInfo').textContent = `Rounds generated: 0/3`;
+        updateBestThirdsUI();
         if ($('#goKnockout')) $('#goKnockout').style.display = 'none';
         renderMatchesForRound(1);
+        renderPlayedMatches();
+        renderHistory();
+        renderScenarios();
       });
     }
 
     if (generateRoundBtn) {
       generateRoundBtn.addEventListener('click', () => {
         let gen = load(KEY_ROUNDS) || 0;
-        if (gen >= 3) {
-          alert('All 3 rounds already generated.');
+        if (gen >= totalRounds) {
+          alert(tr('All {count} rounds already generated.', { count: totalRounds }));
           return;
         }
         const newRound = gen + 1;
-        generateRound(newRound);
+        if (!generateRound(newRound)) return;
         save(KEY_ROUNDS, newRound);
-        $('#roundInfo').textContent = `Rounds generated: ${newRound}/3`;
         activeRound = newRound;
-        curLabel.textContent = `Round ${activeRound}`;
         renderMatchesForRound(activeRound);
         renderStandingsAll();
         renderPlayedMatches();
+        renderScenarios();
       });
     }
 
     if (prev) {
       prev.addEventListener('click', () => {
-        let r = Number((curLabel.textContent.match(/\d+/) || [1])[0]) || 1;
+        let r = shownRound();
         r = Math.max(1, r - 1);
-        curLabel.textContent = `Round ${r}`;
         renderMatchesForRound(r);
       });
     }
     if (next) {
       next.addEventListener('click', () => {
-        let r = Number((curLabel.textContent.match(/\d+/) || [1])[0]) || 1;
-        r = Math.min(3, r + 1);
-        curLabel.textContent = `Round ${r}`;
+        let r = shownRound();
+        r = Math.min(totalRounds, r + 1);
         renderMatchesForRound(r);
       });
     }
 
+    renderPlayerStats();
+    const addGoalBtn = $('#addGoalBtn');
+    const addCardBtn = $('#addCardBtn');
+    if (addGoalBtn) addGoalBtn.addEventListener('click', () => addEventRow('goal'));
+    if (addCardBtn) addCardBtn.addEventListener('click', () => addEventRow('yellow'));
+    const eventsList = $('#eventsList');
+    if (eventsList) {
+      eventsList.addEventListener('click', (e) => {
+        if (e.target.classList.contains('ev-remove')) e.target.closest('.event-row').remove();
+      });
+      // the autocomplete list follows the side picked for the row
+      eventsList.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('ev-side')) return;
+        const list = e.target.value === 'away' ? 'awayPlayers' : 'homePlayers';
+        e.target.closest('.event-row').querySelectorAll('input[type="text"]').forEach(i => i.setAttribute('list', list));
+      });
+    }
+
+    // undo / redo & history
+    renderHistory();
+    const undoBtn = $('#undoBtn');
+    const redoBtn = $('#redoBtn');
+    if (undoBtn) undoBtn.addEventListener('click', undoResult);
+    if (redoBtn) redoBtn.addEventListener('click', redoResult);
+    // pasted results
+    const pasteBtn = $('#pasteResultsBtn');
+    if (pasteBtn) {
+      pasteBtn.addEventListener('click', openPasteModal);
+      $('#pasteInput').addEventListener('input', renderPastePreview);
+      $('#pasteCancelBtn').addEventListener('click', closePasteModal);
+      $('#pasteApplyBtn').addEventListener('click', applyPastedResults);
+      $('#pasteModal').addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) closePasteModal();
+      });
+    }
+
+    // scenarios
+    const scenariosBtn = $('#scenariosBtn');
+    if (scenariosBtn) {
+      scenariosBtn.addEventListener('click', () => {
+        scenariosShown = true;
+        scenariosBtn.classList.add('hidden');
+        renderScenarios();
+      });
+      $('#scenarioTable').addEventListener('click', (e) => {
+        const button = e.target.closest('.scenario-team');
+        if (!button) return;
+        scenarioTeam = button.dataset.team;
+        $$('.scenario-team').forEach(b => b.classList.toggle('selected', b === button));
+        renderScenarioDetail();
+      });
+    }
+    const shareBtn = $('#shareBtn');
+    if (shareBtn) shareBtn.addEventListener('click', () => shareSnapshot('groups.html'));
+    const simulateRoundBtn = $('#simulateRoundBtn');
+    if (simulateRoundBtn) {
+      simulateRoundBtn.addEventListener('click', () => {
+        simulateRound(shownRound());
+      });
+    }
+
     // modal buttons
     const cancelBtn = $('#cancelScoreBtn');
     const saveBtn = $('#saveScoreBtn');
@@ -575,8 +2511,143 @@
     }
   }
 
+  // accepts one team per line or a comma separated paste
+  function parseTeams(text) {
+    return text.split(/[\n,]/).map(t => t.trim()).filter(Boolean);
+  }
+
+  function initCreatePage() {
+    const teamsInput = $('#teamsInput');
+    const nameInput = $('#tournamentName');
+    const fields = ['groupCount', 'teamsPerGroup', 'qualifyPerGroup', 'bestThirds',
+      'leagueMatches', 'leaguePots', 'leagueDirect', 'leaguePlayoff'];
+    const config = getConfig();
+    if (nameInput) nameInput.value = (activeTournament() || {}).name || '';
+    teamsInput.value = config.teams.join('\n');
+    fields.forEach(f => { $(`#${f}`).value = config[f]; });
+    const doubleInput = $('#doubleRoundRobin');
+    doubleInput.checked = !!config.doubleRoundRobin;
+    const legsEl = $('#knockoutLegs');
+    legsEl.innerHTML = KO_ROUNDS.map(key => `<label><input type="checkbox" data-round="${key}"${(config.knockoutLegs || {})[key] === 2 ? ' checked' : ''}> ${trMessage(KO_LABELS[key])}</label>`).join('');
+    const awayGoalsInput = $('#awayGoals');
+    awayGoalsInput.checked = !!config.awayGoals;
+    const presetSelect = $('#tiebreakPreset');
+    presetSelect.innerHTML = Object.keys(TIEBREAK_PRESETS)
+      .map(key => `<option value="${key}">${trMessage(TIEBREAK_PRESETS[key].label)}</option>`).join('');
+    presetSelect.value = config.tiebreakPreset;
+    const formatSelect = $('#format');
+    formatSelect.value = config.format;
+
+    const readForm = () => {
+      const cfg = {
+        teams: parseTeams(teamsInput.value),
+        format: formatSelect.value,
+        doubleRoundRobin: doubleInput.checked,
+        tiebreakPreset: presetSelect.value,
+        knockoutLegs: {},
+        awayGoals: awayGoalsInput.checked
+      };
+      $$('#knockoutLegs input:checked:not(:disabled)').forEach(input => { cfg.knockoutLegs[input.dataset.round] = 2; });
+      fields.forEach(f => { cfg[f] = Number($(`#${f}`).value); });
+      return EfEngine.fitLeagueShape(cfg);
+    };
+
+    const updateSummary = () => {
+      const cfg = readForm();
+      const problems = validateConfig(cfg);
+      $('#teamCount').textContent = tr('{count} teams', { count: cfg.teams.length });
+      $$('.format-fields').forEach(el => el.classList.toggle('hidden', el.dataset.format !== cfg.format));
+      const summary = $('#formatSummary');
+      if (problems.length) {
+        summary.textContent = trMessage(problems[0]);
+        summary.classList.add('error');
+        return;
+      }
+      summary.classList.remove('error');
+      // rounds this format never reaches cannot be two-legged
+      const first = KO_ROUNDS.indexOf(firstKnockoutRound(knockoutSize(cfg)));
+      $$('#knockoutLegs input').forEach(input => { input.disabled = KO_ROUNDS.indexOf(input.dataset.round) < first; });
+      const twoLegged = KO_ROUNDS.slice(first).filter(key => cfg.knockoutLegs[key] === 2).map(key => roundName(cfg, key));
+      const twoLeggedText = twoLegged.length
+        ? ` · ${tr('two legs: {rounds}', { rounds: twoLegged.join(', ') })}${cfg.awayGoals ? ` (${tr('away goals')})` : ''}`
+        : '';
+      const koLabel = (key) => trMessage(KO_LABELS[key]);
+      if (isLeague(cfg)) {
+        const top = `${tr('top {count}', { count: cfg.leagueDirect })} ${ARROW} `;
+        const through = leagueByes(cfg)
+          ? `${top}${koLabel(KO_ROUNDS[first + 1])}, ${place(cfg.leagueDirect + 1)}–${place(cfg.leagueDirect + cfg.leaguePlayoff)} ${ARROW} ${roundName(cfg, KO_ROUNDS[first])}`
+          : `${top}${koLabel(KO_ROUNDS[first])}`;
+        const league = tr('League of {teams} ({matches} matches each, {pots} pots)', { teams: cfg.teams.length, matches: cfg.leagueMatches, pots: cfg.leaguePots });
+        summary.textContent = `${league} · ${through}${twoLeggedText}`;
+        return;
+      }
+      const extra = cfg.bestThirds > 0 ? ` + ${tr('{count} best {place}', { count: cfg.bestThirds, place: place(cfg.qualifyPerGroup + 1) })}` : '';
+      const shape = { groups: cfg.groupCount, size: cfg.teamsPerGroup, rounds: roundsPerGroup(cfg) };
+      const groups = cfg.doubleRoundRobin
+        ? tr('{groups} groups of {size} ({rounds} matchdays, home & away)', shape)
+        : tr('{groups} groups of {size} ({rounds} matchdays)', shape);
+      summary.textContent = `${groups} · ${tr('top {count}', { count: cfg.qualifyPerGroup })}${extra} ${ARROW} ${koLabel(firstKnockoutRound(knockoutSize(cfg)))}${twoLeggedText}`;
+    };
+
+    teamsInput.addEventListener('input', updateSummary);
+    formatSelect.addEventListener('change', updateSummary);
+    doubleInput.addEventListener('change', updateSummary);
+    awayGoalsInput.addEventListener('change', updateSummary);
+    legsEl.addEventListener('change', updateSummary);
+    fields.forEach(f => $(`#${f}`).addEventListener('input', updateSummary));
+
+    const defaultsBtn = $('#loadDefaultTeams');
+    if (defaultsBtn) {
+      defaultsBtn.addEventListener('click', () => {
+        teamsInput.value = defaultConfig().teams.join('\n');
+        updateSummary();
+      });
+    }
+
+    $('#createTournamentBtn').addEventListener('click', () => {
+      const cfg = readForm();
+      const problems = validateConfig(cfg);
+      if (problems.length) {
+        alert(`${tr('Tournament setup is incomplete:')}\n- ${problemList(problems)}`);
+        return;
+      }
+      if (load(KEY_GROUPS) && !confirm(tr('This replaces the current tournament. Continue?'))) return;
+      if (nameInput && nameInput.value.trim()) updateTournament(activeId, { name: nameInput.value.trim() });
+      save(KEY_CONFIG, cfg);
+      if (!createGroups(true)) return;
+      window.location.href = 'groups.html';
+    });
+
+    updateSummary();
+  }
+
   function initKnockoutPage() {
     renderKnockoutPage();
+    onLiveUpdate(renderKnockoutPage);
+    const printBtn = $('#printBracketBtn');
+    const pngBtn = $('#pngBracketBtn');
+    if (printBtn) printBtn.addEventListener('click', () => window.print());
+    if (pngBtn) pngBtn.addEventListener('click', downloadBracketPng);
+    const shareBtn = $('#shareBtn');
+    if (shareBtn) shareBtn.addEventListener('click', () => shareSnapshot('knockout.html'));
+
+    // modal buttons
+    const cancelBtn = $('#koCancelBtn');
+    const saveBtn = $('#koSaveBtn');
+    if (cancelBtn) cancelBtn.addEventListener('click', closeKnockoutModal);
+    if (saveBtn) saveBtn.addEventListener('click', saveKnockoutFromModal);
+    ['#koHomeGoals', '#koAwayGoals', '#koEtHome', '#koEtAway', '#koLeg1Home', '#koLeg1Away', '#koSecondLegPlayed'].forEach(sel => {
+      const input = $(sel);
+      if (input) input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', syncKnockoutModalRows);
+    });
+
+    // click overlay to close modal
+    const modal = $('#koModal');
+    if (modal) {
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeKnockoutModal();
+      });
+    }
   }
 
   /* ------------------------
@@ -586,43 +2657,131 @@
     createGroups(true);
     renderGroupsPanel();
     save(KEY_ROUNDS, 0);
-    $('#roundInfo').textContent = `Rounds generated: 0/3`;
+    updateBestThirdsUI();
     if ($('#goKnockout')) $('#goKnockout').style.display = 'none';
   };
   window.generateRound = (n) => {
-    if (![1,2,3].includes(n)) return;
-    generateRound(n);
+    if (!Number.isInteger(n) || n < 1 || n > roundsPerGroup(getConfig())) return;
+    if (!generateRound(n)) return;
     save(KEY_ROUNDS, n);
-    $('#roundInfo').textContent = `Rounds generated: ${n}/3`;
     renderMatchesForRound(n);
     renderStandingsAll();
     renderPlayedMatches();
     tryAutoGenerateKnockout();
   };
   window.resetTournament = function() {
-    if (!confirm('Reset tournament and clear saved data?')) return;
-    localStorage.removeItem(KEY_GROUPS);
-    localStorage.removeItem(KEY_MATCHES);
-    localStorage.removeItem(KEY_ROUNDS);
-    localStorage.removeItem(KEY_KNOCKOUT);
-    alert('Tournament reset.');
+    if (!confirm(tr('Reset tournament and clear saved data?'))) return;
+    // the config (teams & format) stays, only progress is cleared
+    TOURNAMENT_KEYS.filter(key => key !== KEY_CONFIG).forEach(key => remove(key));
+    alert(tr('Tournament reset.'));
     location.reload();
   };
 
+  /* ------------------------
+     Offline app
+     sw.js caches every page and script on the first visit and serves them from
+     then on. A new version installs in the background and waits; the banner
+     reloads every open tab into it at once, so one page never mixes files from
+     two versions. Pages opened from file:// run without a worker, online only.
+     ------------------------ */
+  function renderUpdateBanner(worker) {
+    if ($('#updateBanner')) return;
+    const banner = document.createElement('aside');
+    banner.id = 'updateBanner';
+    banner.className = 'update-banner';
+    banner.innerHTML = `
+      <span>${tr('A new version of the app is ready.')}</span>
+      <button class="btn small" data-update="reload">${tr('Reload')}</button>
+      <button class="btn small" data-update="later">${tr('Later')}</button>`;
+    banner.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-update]');
+      if (!btn) return;
+      banner.remove();
+      if (btn.dataset.update === 'reload') worker.postMessage('skipWaiting');
+    });
+    document.body.appendChild(banner);
+  }
+
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+    // the first install takes over a page that had no worker: nothing to reload then
+    const updating = !!navigator.serviceWorker.controller;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (updating) location.reload();
+    });
+    navigator.serviceWorker.register('sw.js').then(registration => {
+      if (registration.waiting && updating) renderUpdateBanner(registration.waiting);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) renderUpdateBanner(worker);
+        });
+      });
+    }).catch(() => {
+      // private windows and blocked storage: the app still works online
+    });
+  }
+
   /* ------------------------
      Auto-run based on page
      ------------------------ */
-  document.addEventListener('DOMContentLoaded', () => {
+  ensureRegistry();
+
+  function initPage() {
+    renderLanguageSwitcher();
+    // the big screen only shows; repairs belong to the organiser's pages
+    if (document.body.classList.contains('screen-page')) {
+      renderTournamentName();
+      initScreenPage();
+      return;
+    }
+    // stored data that disagrees with itself, checked before a page saves anything
+    if (!snapshot) renderDiagnostics();
+    // every page names the tournament it is working on
+    renderTournamentName();
     // groups.html detection
     if (location.pathname.endsWith('groups.html') || document.body.classList.contains('groups-page')) {
       initGroupsPage();
     }
+    // home page (index.html) backup controls
+    if (document.body.classList.contains('home-page')) {
+      initTournamentSwitcher();
+      initBackupControls();
+    }
+    // create.html detection
+    if (location.pathname.endsWith('create.html') || document.body.classList.contains('create-page')) {
+      initCreatePage();
+    }
+    // draw.html detection
+    if (location.pathname.endsWith('draw.html') || document.body.classList.contains('draw-page')) {
+      initDrawPage();
+    }
+    // calendar.html detection
+    if (location.pathname.endsWith('calendar.html') || document.body.classList.contains('calendar-page')) {
+      initCalendarPage();
+    }
+    // teams.html detection
+    if (location.pathname.endsWith('teams.html') || document.body.classList.contains('teams-page')) {
+      initTeamsPage();
+    }
+    // odds.html detection
+    if (location.pathname.endsWith('odds.html') || document.body.classList.contains('odds-page')) {
+      initOddsPage();
+    }
     // knockout.html detection
     if (location.pathname.endsWith('knockout.html') || document.body.classList.contains('knockout-page')) {
       initKnockoutPage();
     }
     // update if scoreboard present
     renderPlayedMatches();
+    if (snapshot) renderSnapshotBanner();
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    registerServiceWorker();
+    // a shared link has to be unpacked first, which cannot happen synchronously
+    if (location.hash.startsWith(SNAPSHOT_PREFIX)) openSnapshotFromUrl().then(initPage);
+    else initPage();
   });
 
 })();
@@ -0,0 +1,73 @@
+/* sw.js - offline copy of the app
+   Every page, script and icon is cached when the worker installs, and served
+   from that cache from then on, so the app keeps working without a network.
+   The cache is named after CACHE_VERSION: bump it whenever any file below
+   changes. The browser then installs the new worker next to the old one, the
+   pages offer a reload (see "Offline app" in script.js) and only that reload
+   switches every file over at once.
+   Other same-origin files (crests/*.png) are kept in a runtime cache the
+   first time they load, so crests seen online also show offline.
+*/
+const CACHE_VERSION = 3;
+const CACHE = `efcup-v${CACHE_VERSION}`;
+const RUNTIME_CACHE = 'efcup-runtime';
+
+const PRECACHE = [
+  './',
+  'index.html',
+  'teams.html',
+  'draw.html',
+  'groups.html',
+  'knockout.html',
+  'calendar.html',
+  'odds.html',
+  'screen.html',
+  'create.html',
+  'styles.css',
+  'teams.js',
+  'engine.js',
+  'i18n.js',
+  'lang/fr.js',
+  'lang/ar.js',
+  'script.js',
+  'reset.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(PRECACHE)));
+});
+
+// the old version's cache goes once the new one takes over
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key.startsWith('efcup-v') && key !== CACHE)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+// sent by the update banner
+self.addEventListener('message', (event) => {
+  if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+// cached first; ?interval= and the like do not make a page a different file
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(
+    caches.match(request, { ignoreSearch: true, cacheName: CACHE })
+      .then(cached => cached || caches.match(request, { cacheName: RUNTIME_CACHE }))
+      .then(cached => cached || fetch(request).then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(RUNTIME_CACHE).then(cache => cache.put(request, copy));
+        }
+        return response;
+      }))
+  );
+});
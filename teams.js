@@ -1,27 +1,37 @@
 // teams.js
-const teams = [
-  "REAL MADRID",
-  "BARCA",
-  "ATLETICO",
-  "MAN UTD",
-  "MAN CITY",
-  "LIVERPOOL",
-  "ARSENAL",
-  "CHELSEA",
-  "TOTTENHAM",
-  "PSG",
-  "LYON",
-  "BAYERN MUNCHEN",
-  "DORTMUND",
-  "FRANKFURT",
-  "INTER MILAN",
-  "AC MILAN",
-  "JUVE",
-  "NAPOLI",
-  "ROMA",
-  "RIVER PLATE",
-  "FLAMENGO",
-  "AL NASR",
-  "AL HILAL",
-  "BOCA JUNIOR"
+// the default clubs. id is what results and the bracket refer to and never changes;
+// the rest is the profile shown on the pages and can be edited on teams.html
+// (crest: an image file next to the pages or a data: URL, owner: who plays the club)
+const teamProfiles = [
+  { id: "REAL MADRID", name: "REAL MADRID", short: "RMA", primary: "#ffffff", secondary: "#febe10", country: "Spain", confederation: "UEFA", crest: "", owner: "" },
+  { id: "BARCA", name: "BARCA", short: "BAR", primary: "#a50044", secondary: "#004d98", country: "Spain", confederation: "UEFA", crest: "", owner: "" },
+  { id: "ATLETICO", name: "ATLETICO", short: "ATM", primary: "#cb3524", secondary: "#ffffff", country: "Spain", confederation: "UEFA", crest: "", owner: "" },
+  { id: "MAN UTD", name: "MAN UTD", short: "MUN", primary: "#da291c", secondary: "#fbe122", country: "England", confederation: "UEFA", crest: "", owner: "" },
+  { id: "MAN CITY", name: "MAN CITY", short: "MCI", primary: "#6cabdd", secondary: "#1c2c5b", country: "England", confederation: "UEFA", crest: "", owner: "" },
+  { id: "LIVERPOOL", name: "LIVERPOOL", short: "LIV", primary: "#c8102e", secondary: "#00b2a9", country: "England", confederation: "UEFA", crest: "", owner: "" },
+  { id: "ARSENAL", name: "ARSENAL", short: "ARS", primary: "#ef0107", secondary: "#ffffff", country: "England", confederation: "UEFA", crest: "", owner: "" },
+  { id: "CHELSEA", name: "CHELSEA", short: "CHE", primary: "#034694", secondary: "#ffffff", country: "England", confederation: "UEFA", crest: "", owner: "" },
+  { id: "TOTTENHAM", name: "TOTTENHAM", short: "TOT", primary: "#ffffff", secondary: "#132257", country: "England", confederation: "UEFA", crest: "", owner: "" },
+  { id: "PSG", name: "PSG", short: "PSG", primary: "#004170", secondary: "#da291c", country: "France", confederation: "UEFA", crest: "", owner: "" },
+  { id: "LYON", name: "LYON", short: "OL", primary: "#ffffff", secondary: "#da0812", country: "France", confederation: "UEFA", crest: "", owner: "" },
+  { id: "BAYERN MUNCHEN", name: "BAYERN MUNCHEN", short: "FCB", primary: "#dc052d", secondary: "#0066b2", country: "Germany", confederation: "UEFA", crest: "", owner: "" },
+  { id: "DORTMUND", name: "DORTMUND", short: "BVB", primary: "#fde100", secondary: "#000000", country: "Germany", confederation: "UEFA", crest: "", owner: "" },
+  { id: "FRANKFURT", name: "FRANKFURT", short: "SGE", primary: "#e1000f", secondary: "#000000", country: "Germany", confederation: "UEFA", crest: "", owner: "" },
+  { id: "INTER MILAN", name: "INTER MILAN", short: "INT", primary: "#0068a8", secondary: "#000000", country: "Italy", confederation: "UEFA", crest: "", owner: "" },
+  { id: "AC MILAN", name: "AC MILAN", short: "ACM", primary: "#fb090b", secondary: "#000000", country: "Italy", confederation: "UEFA", crest: "", owner: "" },
+  { id: "JUVE", name: "JUVE", short: "JUV", primary: "#ffffff", secondary: "#000000", country: "Italy", confederation: "UEFA", crest: "", owner: "" },
+  { id: "NAPOLI", name: "NAPOLI", short: "NAP", primary: "#12a0d7", secondary: "#ffffff", country: "Italy", confederation: "UEFA", crest: "", owner: "" },
+  { id: "ROMA", name: "ROMA", short: "ROM", primary: "#8e1f2f", secondary: "#f0bc42", country: "Italy", confederation: "UEFA", crest: "", owner: "" },
+  { id: "RIVER PLATE", name: "RIVER PLATE", short: "RIV", primary: "#ffffff", secondary: "#e30613", country: "Argentina", confederation: "CONMEBOL", crest: "", owner: "" },
+  { id: "FLAMENGO", name: "FLAMENGO", short: "FLA", primary: "#c52613", secondary: "#000000", country: "Brazil", confederation: "CONMEBOL", crest: "", owner: "" },
+  { id: "AL NASR", name: "AL NASR", short: "NAS", primary: "#fcd116", secondary: "#1d3e8f", country: "Saudi Arabia", confederation: "AFC", crest: "", owner: "" },
+  { id: "AL HILAL", name: "AL HILAL", short: "HIL", primary: "#1e4396", secondary: "#ffffff", country: "Saudi Arabia", confederation: "AFC", crest: "", owner: "" },
+  { id: "BOCA JUNIOR", name: "BOCA JUNIOR", short: "BOC", primary: "#103f79", secondary: "#f3b229", country: "Argentina", confederation: "CONMEBOL", crest: "", owner: "" }
 ];
+
+// the ids in list order, the default participants
+const teams = teamProfiles.map(t => t.id);
+
+// id -> profile without the id, the default config.teamMeta
+const teamInfo = {};
+teamProfiles.forEach(({ id, ...profile }) => { teamInfo[id] = profile; });